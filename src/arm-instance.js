@@ -0,0 +1,159 @@
+/**
+ * Arm Instance
+ * One arm in the cell: its robot description and base placement, with its own solver,
+ * collision checker, planner, gripper and motion state. Targets and joint angles are
+ * kept in the arm's own frame, so everything downstream works as for a lone arm.
+ */
+
+import * as THREE from 'three';
+import { RobotModel, DEFAULT_ROBOT, JointTypes } from './robot-model.js';
+import { IKSolver } from './ik-solver.js';
+import { CollisionChecker } from './collision-checker.js';
+import { GripperController } from './gripper-controller.js';
+import { TrajectoryPlanner } from './trajectory-planner.js';
+import { TrackingLossMonitor } from './tracking-loss.js';
+
+export class ArmInstance {
+    /**
+     * @param {Object} config - { id, name, definition } robot definition (DEFAULT_ROBOT when
+     *                          omitted), { position: {x, z}, rotation } base placement with
+     *                          rotation in radians about the vertical axis, { obstacles }
+     *                          list shared by every arm in the cell
+     */
+    constructor(config) {
+        this.id = config.id;
+        this.name = config.name || config.id;
+        this.position = { x: config.position?.x ?? 0, z: config.position?.z ?? 0 };
+        this.rotation = config.rotation ?? 0;
+
+        this.model = new RobotModel(config.definition || DEFAULT_ROBOT);
+        this.ikSolver = new IKSolver(this.model);
+        this.collisionChecker = new CollisionChecker(this.model, {
+            base: this.baseMatrix(),
+            obstacles: config.obstacles
+        });
+        this.planner = new TrajectoryPlanner(this.ikSolver, {
+            collisionChecker: this.collisionChecker
+        });
+        this.gripper = new GripperController();
+        this.rollJoint = ArmInstance.findRollJoint(this.model);
+
+        // Input source driving this arm, null while it holds its pose
+        this.source = null;
+        this.trackingLoss = new TrackingLossMonitor();
+
+        // Pose Home returns to; the robot's rest pose until one is taught
+        this.homeAngles = this.model.homeAngles();
+
+        // World-space link capsules for the latest pose, checked by the other arms
+        this.bodies = null;
+
+        this.state = {
+            target: new THREE.Vector3(10, 10, 0),
+            smoothTarget: new THREE.Vector3(10, 10, 0),
+            palmOrientation: null,
+            smoothApproach: new THREE.Vector3(0, -1, 0),
+            smoothSide: new THREE.Vector3(1, 0, 0),
+            rollTarget: null,
+            jointAngles: {},
+            gripper: { closed: false, opening: 1, pinchRatio: null },
+            inputBlend: null
+        };
+
+        // What an input source needs to continue from where this arm is
+        this.context = {
+            armId: this.id,
+            model: this.model,
+            getTarget: () => this.state.target.clone(),
+            getJointAngles: () => this.getJointAngles(),
+            getHomeAngles: () => ({ ...this.homeAngles })
+        };
+    }
+
+    /**
+     * Joint the second hand rolls in two-hand mode: the last one turning about the tool axis
+     * @param {RobotModel} model
+     * @returns {string|null} Joint name
+     */
+    static findRollJoint(model) {
+        const frames = model.computeFrames(model.homeAngles(true));
+        const approach = new THREE.Vector3().setFromMatrixColumn(frames.tipMatrix, 1);
+        const index = frames.joints.findLastIndex((frame, i) =>
+            i > 0 && frame.type === JointTypes.REVOLUTE && Math.abs(frame.axis.dot(approach)) > 0.999
+        );
+        return index >= 0 ? frames.joints[index].name : null;
+    }
+
+    /**
+     * Base pose in world space
+     * @returns {THREE.Matrix4}
+     */
+    baseMatrix() {
+        return new THREE.Matrix4().compose(
+            new THREE.Vector3(this.position.x, 0, this.position.z),
+            new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), this.rotation),
+            new THREE.Vector3(1, 1, 1)
+        );
+    }
+
+    /**
+     * Whether two arms' pedestals would intersect
+     */
+    overlaps(other) {
+        const distance = Math.hypot(this.position.x - other.position.x, this.position.z - other.position.z);
+        return distance < this.model.base.radius + other.model.base.radius;
+    }
+
+    getJointAngles() {
+        const angles = {};
+        this.model.jointNames.forEach(name => {
+            angles[name] = this.state.jointAngles[name] ?? this.ikSolver.lastAngles[name];
+        });
+        return angles;
+    }
+
+    /**
+     * Drive the arm to explicit joint angles by targeting their tool position
+     * and seeding the solver with them
+     */
+    setJointAngles(angles) {
+        const clamped = this.model.clampAngles({ ...this.getJointAngles(), ...angles });
+        const tip = this.model.forward(clamped);
+
+        this.ikSolver.lastAngles = clamped;
+        this.state.target.set(tip.x, tip.y, tip.z);
+        this.state.smoothTarget.set(tip.x, tip.y, tip.z);
+    }
+
+    /**
+     * Stop the solver where the arm is now
+     * @returns {Object} The held joint angles
+     */
+    holdPose() {
+        const angles = this.getJointAngles();
+        this.ikSolver.lastAngles = angles;
+        this.ikSolver.resetMotion(angles);
+        return angles;
+    }
+
+    /**
+     * Hand control back to the live solver from wherever a program or playback left the arm
+     */
+    resumeFromPose() {
+        const angles = this.getJointAngles();
+        const tip = this.model.forward(angles);
+
+        this.ikSolver.lastAngles = angles;
+        this.ikSolver.resetMotion(angles);
+        this.state.target.set(tip.x, tip.y, tip.z);
+        this.state.smoothTarget.set(tip.x, tip.y, tip.z);
+    }
+
+    /**
+     * Record a pose the arm has been put in and refresh the capsules the other arms check
+     */
+    setPose(angles) {
+        this.state.jointAngles = angles;
+        this.bodies = this.collisionChecker.computeBodies(angles);
+    }
+}
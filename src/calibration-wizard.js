@@ -0,0 +1,97 @@
+/**
+ * Calibration Wizard
+ * Prompts the user through the calibration poses and collects a steady hand sample for each
+ */
+
+import { CalibrationSession } from './hand-calibration.js';
+
+export class CalibrationWizard {
+    /**
+     * @param {Object} actions - App callbacks: onPose(pose) when a new pose is prompted,
+     *                           onComplete(samples), onCancel()
+     */
+    constructor(actions) {
+        this.actions = actions;
+        this.source = null;
+        this.session = null;
+
+        this.ui = {
+            overlay: document.getElementById('calibration-overlay'),
+            step: document.getElementById('calibration-step'),
+            prompt: document.getElementById('calibration-prompt'),
+            progress: document.getElementById('calibration-progress-bar'),
+            cancel: document.getElementById('calibration-cancel')
+        };
+
+        this.handleHand = this.handleHand.bind(this);
+        this.ui.cancel.addEventListener('click', () => this.cancel());
+    }
+
+    get isActive() {
+        return this.session !== null;
+    }
+
+    /**
+     * @param {HandInputSource} source - Active hand source to sample
+     */
+    start(source) {
+        this.source = source;
+        this.session = new CalibrationSession();
+
+        source.calibrating = true;
+        source.on('hand', this.handleHand);
+
+        this.ui.overlay.classList.remove('hidden');
+        this.showPose();
+    }
+
+    cancel() {
+        if (!this.isActive) return;
+        this.close();
+        this.actions.onCancel();
+    }
+
+    handleHand({ normalized }) {
+        if (!normalized) {
+            this.session.interrupt();
+            this.ui.prompt.textContent = 'Show your hand to the camera';
+            this.setProgress(0);
+            return;
+        }
+
+        const { progress, captured } = this.session.addSample(normalized, performance.now() / 1000);
+        this.setProgress(progress);
+        if (!captured) {
+            this.ui.prompt.textContent = this.session.pose.prompt;
+            return;
+        }
+
+        if (this.session.done) {
+            const samples = this.session.samples;
+            this.close();
+            this.actions.onComplete(samples);
+        } else {
+            this.showPose();
+        }
+    }
+
+    showPose() {
+        const { index, poses, pose } = this.session;
+        this.ui.step.textContent = `Pose ${index + 1} / ${poses.length}`;
+        this.ui.prompt.textContent = pose.prompt;
+        this.setProgress(0);
+        this.actions.onPose(pose);
+    }
+
+    setProgress(progress) {
+        this.ui.progress.style.width = `${Math.round(progress * 100)}%`;
+    }
+
+    close() {
+        this.source.off('hand', this.handleHand);
+        this.source.calibrating = false;
+        this.source = null;
+        this.session = null;
+        this.ui.overlay.classList.add('hidden');
+    }
+}
@@ -0,0 +1,374 @@
+/**
+ * Collision Checker
+ * Approximates every link with capsules and tests poses against the floor,
+ * the arm itself, static obstacles and other arms in the cell
+ */
+
+import * as THREE from 'three';
+
+const EPSILON = 1e-9;
+
+// Change in summed contact clearance small enough to count as no change
+const CONTACT_TOLERANCE = 1e-6;
+
+export const CollisionTypes = {
+    FLOOR: 'floor',
+    SELF: 'self',
+    OBSTACLE: 'obstacle',
+    ARM: 'arm'
+};
+
+export class CollisionChecker {
+    /**
+     * @param {RobotModel} model - Robot whose links are checked
+     * @param {Object} config - { floorHeight, margin, ignoreNeighbors }, { base } Matrix4
+     *                           placing the arm in the world, { obstacles } list shared
+     *                           with the other arms in the cell
+     */
+    constructor(model, config = {}) {
+        this.model = model;
+        this.setBase(config.base || new THREE.Matrix4());
+
+        this.floorHeight = config.floorHeight ?? 0;
+
+        // Clearance below which two shapes count as touching
+        this.margin = config.margin ?? 0.05;
+
+        // Links this close in the chain share a joint housing; the joint limits between
+        // them keep them apart, so checking them would only report overlapping end caps
+        this.ignoreNeighbors = config.ignoreNeighbors ?? 2;
+
+        this.bodies = this.buildBodies(model);
+        this.pedestal = {
+            link: 'pedestal',
+            chainIndex: -1,
+            radius: model.base.radius,
+            height: model.base.height
+        };
+
+        // Mutated in place, so every checker sharing the list sees the same obstacles
+        this.obstacles = config.obstacles || [];
+    }
+
+    /**
+     * @param {THREE.Matrix4} matrix - Arm base pose in world space
+     */
+    setBase(matrix) {
+        this.base = matrix.clone();
+        this.baseInverse = matrix.clone().invert();
+    }
+
+    /**
+     * Capsules in each joint's pivot frame, sized after the meshes SceneManager builds
+     * @param {RobotModel} model
+     * @returns {Array} [{ link, chainIndex, frameIndex, start, end, radius }]
+     */
+    buildBodies(model) {
+        const bodies = [];
+        const origin = new THREE.Vector3();
+
+        model.joints.forEach((joint, index) => {
+            const { housing, link, width = 1 } = joint.visual;
+
+            if (housing) {
+                bodies.push({
+                    link: joint.name,
+                    chainIndex: index,
+                    frameIndex: index,
+                    start: origin.clone(),
+                    end: origin.clone(),
+                    radius: housing
+                });
+            }
+
+            // Links run to the next joint, which may sit off the joint's +Y
+            if (link && joint.linkEnd.lengthSq() > 0) {
+                bodies.push({
+                    link: joint.name,
+                    chainIndex: index,
+                    frameIndex: index,
+                    start: origin.clone(),
+                    end: joint.linkEnd.clone(),
+                    radius: width / 2
+                });
+            }
+        });
+
+        // Gripper: the flange body plus both jaws at full opening, laid out along the
+        // flange's +Y
+        const last = model.joints.length - 1;
+        const mount = new THREE.Matrix4().compose(model.flangeOffset, model.flangeRotation, new THREE.Vector3(1, 1, 1));
+        const jawLength = Math.max(model.toolDepth - 0.6, 0.8);
+        const tool = { link: 'tool', chainIndex: last + 1, frameIndex: last };
+
+        bodies.push({
+            ...tool,
+            start: new THREE.Vector3(0, 0.6, 0).applyMatrix4(mount),
+            end: new THREE.Vector3(0, 0.6, 0).applyMatrix4(mount),
+            radius: 0.8
+        });
+
+        [1, -1].forEach(side => {
+            const x = side * (model.tool.maxOpening / 2 + 0.1);
+            bodies.push({
+                ...tool,
+                start: new THREE.Vector3(x, 1.3, 0).applyMatrix4(mount),
+                end: new THREE.Vector3(x, 0.7 + jawLength, 0).applyMatrix4(mount),
+                radius: 0.3
+            });
+        });
+
+        return bodies;
+    }
+
+    /**
+     * Add an axis-aligned box obstacle
+     * @param {Object} options - { name, position: {x, y, z} centre, size: {x, y, z} }
+     * @returns {Object} The obstacle { id, name, position, size, min, max }
+     */
+    addObstacle({ name, position, size }) {
+        const id = this.obstacles.reduce((max, obstacle) => Math.max(max, obstacle.id), 0) + 1;
+        const center = new THREE.Vector3(position.x, position.y, position.z);
+        const half = new THREE.Vector3(size.x, size.y, size.z).multiplyScalar(0.5);
+
+        const obstacle = {
+            id,
+            name: name || `Obstacle ${id}`,
+            position: center,
+            size: new THREE.Vector3(size.x, size.y, size.z),
+            min: center.clone().sub(half),
+            max: center.clone().add(half)
+        };
+        this.obstacles.push(obstacle);
+        return obstacle;
+    }
+
+    removeObstacle(id) {
+        const index = this.obstacles.findIndex(obstacle => obstacle.id === id);
+        if (index >= 0) this.obstacles.splice(index, 1);
+    }
+
+    clearObstacles() {
+        this.obstacles.length = 0;
+    }
+
+    /**
+     * Place every capsule in world space for a pose
+     * @param {Object} angles - Joint angles keyed by joint name
+     * @returns {Array} [{ link, chainIndex, start, end, radius }]
+     */
+    computeBodies(angles) {
+        const frames = this.model.computeFrames(angles);
+
+        const matrix = new THREE.Matrix4();
+
+        return this.bodies.map(body => {
+            matrix.multiplyMatrices(this.base, frames.joints[body.frameIndex].matrix);
+            return {
+                link: body.link,
+                chainIndex: body.chainIndex,
+                start: body.start.clone().applyMatrix4(matrix),
+                end: body.end.clone().applyMatrix4(matrix),
+                radius: body.radius
+            };
+        });
+    }
+
+    /**
+     * Test a pose
+     * @param {Object} angles - Joint angles keyed by joint name
+     * @param {Array} others - Other arms as [{ name, bodies }], bodies from their own
+     *                         computeBodies
+     * @returns {Object} { colliding, contacts: [{ type, link, other, gap }], links }
+     *                   where gap is the contact's clearance, negative when the shapes
+     *                   overlap, and links lists every link of this arm involved
+     */
+    check(angles, others = []) {
+        const bodies = this.computeBodies(angles);
+        const contacts = new Map();
+
+        // A link made of several capsules keeps its worst gap per contact
+        const report = (type, link, other, gap) => {
+            if (gap >= this.margin) return;
+            const key = `${link}|${other}`;
+            const contact = contacts.get(key);
+            if (contact) {
+                contact.gap = Math.min(contact.gap, gap);
+            } else {
+                contacts.set(key, { type, link, other, gap });
+            }
+        };
+
+        bodies.forEach((body, i) => {
+            // Floor
+            const lowest = Math.min(body.start.y, body.end.y) - body.radius;
+            report(CollisionTypes.FLOOR, body.link, 'floor', lowest - this.floorHeight);
+
+            // Pedestal
+            if (body.chainIndex - this.pedestal.chainIndex > this.ignoreNeighbors) {
+                report(CollisionTypes.SELF, body.link, this.pedestal.link,
+                    this.capsuleGap(body, point => this.distanceToPedestal(point)));
+            }
+
+            // Other links further along the chain
+            for (let j = i + 1; j < bodies.length; j++) {
+                const other = bodies[j];
+                if (Math.abs(other.chainIndex - body.chainIndex) <= this.ignoreNeighbors) continue;
+
+                const distance = CollisionChecker.segmentDistance(body.start, body.end, other.start, other.end);
+                report(CollisionTypes.SELF, other.link, body.link, distance - body.radius - other.radius);
+            }
+
+            // Obstacles
+            this.obstacles.forEach(obstacle => {
+                report(CollisionTypes.OBSTACLE, body.link, obstacle.name,
+                    this.capsuleGap(body, point => CollisionChecker.distanceToBox(point, obstacle)));
+            });
+
+            // Other arms
+            others.forEach(arm => {
+                arm.bodies.forEach(other => {
+                    const distance = CollisionChecker.segmentDistance(body.start, body.end, other.start, other.end);
+                    report(CollisionTypes.ARM, body.link, `${arm.name} ${other.link}`,
+                        distance - body.radius - other.radius);
+                });
+            });
+        });
+
+        const links = new Set();
+        contacts.forEach(contact => {
+            links.add(contact.link);
+            if (contact.type === CollisionTypes.SELF) links.add(contact.other);
+        });
+
+        return {
+            colliding: contacts.size > 0,
+            contacts: [...contacts.values()],
+            links: [...links]
+        };
+    }
+
+    /**
+     * Whether an arm may move from the pose it holds to a new one. A clear pose is always
+     * allowed and a colliding one is refused, unless the arm is already in contact and
+     * the move backs it out: no new contacts, no less clearance summed over the contacts
+     * it keeps, and either a contact cleared or that clearance grew.
+     * That way an arm an obstacle was dropped on can still be driven free.
+     * @param {Object} held - check result for the pose the arm is in
+     * @param {Object} next - check result for the new pose
+     * @returns {boolean}
+     */
+    static allowsMove(held, next) {
+        if (!next.colliding) return true;
+        if (!held.colliding) return false;
+
+        const key = ({ link, other }) => `${link}|${other}`;
+        const before = new Map(held.contacts.map(contact => [key(contact), contact.gap]));
+
+        let change = 0;
+        for (const contact of next.contacts) {
+            if (!before.has(key(contact))) return false;
+            change += contact.gap - before.get(key(contact));
+        }
+        if (change < -CONTACT_TOLERANCE) return false;
+        return next.contacts.length < held.contacts.length || change > CONTACT_TOLERANCE;
+    }
+
+    /**
+     * Human-readable reason for the first contact in a check result
+     */
+    static describe(result) {
+        if (!result || !result.colliding) return '';
+        const { link, other } = result.contacts[0];
+        const more = result.contacts.length > 1 ? ` (+${result.contacts.length - 1} more)` : '';
+        return `${link} ↔ ${other}${more}`;
+    }
+
+    /**
+     * Sample a capsule's axis against a static shape's distance function
+     * @returns {number} Smallest gap between the capsule surface and the shape
+     */
+    capsuleGap(body, distanceTo) {
+        const length = body.start.distanceTo(body.end);
+        const steps = Math.max(1, Math.ceil(length / Math.max(body.radius / 2, 0.1)));
+        const point = new THREE.Vector3();
+        let smallest = Infinity;
+
+        for (let i = 0; i <= steps; i++) {
+            point.lerpVectors(body.start, body.end, i / steps);
+            smallest = Math.min(smallest, distanceTo(point) - body.radius);
+        }
+        return smallest;
+    }
+
+    /**
+     * Signed distance to the pedestal cylinder: negative inside, by the depth to its
+     * nearest face, so clearance keeps growing while a link backs out
+     */
+    distanceToPedestal(worldPoint) {
+        const point = worldPoint.clone().applyMatrix4(this.baseInverse);
+        const radial = Math.hypot(point.x, point.z) - this.pedestal.radius;
+        const vertical = Math.max(point.y - this.pedestal.height, this.floorHeight - point.y);
+        if (radial < 0 && vertical < 0) return Math.max(radial, vertical);
+        return Math.hypot(Math.max(0, radial), Math.max(0, vertical));
+    }
+
+    /**
+     * Signed distance to an axis-aligned box, negative inside like distanceToPedestal
+     */
+    static distanceToBox(point, box) {
+        const dx = Math.max(box.min.x - point.x, point.x - box.max.x);
+        const dy = Math.max(box.min.y - point.y, point.y - box.max.y);
+        const dz = Math.max(box.min.z - point.z, point.z - box.max.z);
+        if (dx < 0 && dy < 0 && dz < 0) return Math.max(dx, dy, dz);
+        return Math.hypot(Math.max(0, dx), Math.max(0, dy), Math.max(0, dz));
+    }
+
+    /**
+     * Shortest distance between segments p1-q1 and p2-q2
+     */
+    static segmentDistance(p1, q1, p2, q2) {
+        const d1 = new THREE.Vector3().subVectors(q1, p1);
+        const d2 = new THREE.Vector3().subVectors(q2, p2);
+        const r = new THREE.Vector3().subVectors(p1, p2);
+        const a = d1.dot(d1);
+        const e = d2.dot(d2);
+        const f = d2.dot(r);
+
+        let s;
+        let t;
+
+        if (a <= EPSILON && e <= EPSILON) {
+            return p1.distanceTo(p2);
+        }
+
+        if (a <= EPSILON) {
+            s = 0;
+            t = THREE.MathUtils.clamp(f / e, 0, 1);
+        } else {
+            const c = d1.dot(r);
+            if (e <= EPSILON) {
+                t = 0;
+                s = THREE.MathUtils.clamp(-c / a, 0, 1);
+            } else {
+                const b = d1.dot(d2);
+                const denominator = a * e - b * b;
+
+                s = denominator > EPSILON ? THREE.MathUtils.clamp((b * f - c * e) / denominator, 0, 1) : 0;
+                t = (b * s + f) / e;
+
+                if (t < 0) {
+                    t = 0;
+                    s = THREE.MathUtils.clamp(-c / a, 0, 1);
+                } else if (t > 1) {
+                    t = 1;
+                    s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+                }
+            }
+        }
+
+        const closest1 = p1.clone().addScaledVector(d1, s);
+        const closest2 = p2.clone().addScaledVector(d2, t);
+        return closest1.distanceTo(closest2);
+    }
+}
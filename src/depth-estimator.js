@@ -0,0 +1,80 @@
+/**
+ * Depth Estimator
+ * Infers hand-to-camera distance from the apparent size of the palm. MediaPipe's own
+ * landmark z is relative to the wrist, so it hardly changes as the whole hand moves
+ * toward or away from the camera.
+ */
+
+import { HandLandmarks } from './hand-tracker.js';
+
+export const DepthModes = {
+    LANDMARK: 'landmark',
+    HAND_SIZE: 'hand-size'
+};
+
+// Typical palm width (index to pinky knuckle) as a fraction of palm length (wrist to middle knuckle)
+const PALM_WIDTH_RATIO = 0.8;
+
+export class DepthEstimator {
+    /**
+     * @param {Object} config - { referenceSize, gain, smoothing, aspect }
+     */
+    constructor(config = {}) {
+        // Palm length, in image heights, of a hand at the neutral depth
+        this.referenceSize = config.referenceSize || 0.22;
+
+        // Landmark-z units per unit of relative distance; matches the range mapToWorldSpace expects
+        this.gain = config.gain ?? 0.4;
+
+        // Per-frame blend toward the newest size measurement (1 = no smoothing)
+        this.smoothing = config.smoothing ?? 0.3;
+
+        // Camera width / height, to undo per-axis normalization
+        this.aspect = config.aspect || 16 / 9;
+
+        this.size = null;
+    }
+
+    reset() {
+        this.size = null;
+    }
+
+    /**
+     * Apparent hand size from palm length and width. Turning the hand foreshortens one
+     * of them but rarely both, so the larger of the two is used.
+     * @param {Array} landmarks - MediaPipe hand landmarks
+     * @returns {number|null} Palm length in image heights
+     */
+    measure(landmarks) {
+        if (!landmarks || landmarks.length <= HandLandmarks.PINKY_MCP) return null;
+
+        const distance = (from, to) => {
+            const a = landmarks[from];
+            const b = landmarks[to];
+            return Math.hypot((b.x - a.x) * this.aspect, b.y - a.y);
+        };
+
+        const length = distance(HandLandmarks.WRIST, HandLandmarks.MIDDLE_FINGER_MCP);
+        const width = distance(HandLandmarks.INDEX_FINGER_MCP, HandLandmarks.PINKY_MCP) / PALM_WIDTH_RATIO;
+        const size = Math.max(length, width);
+
+        return size > 1e-6 ? size : null;
+    }
+
+    /**
+     * Smoothed depth in landmark-z units (negative = closer to the camera), so it can
+     * replace the landmark's own z in HandTracker.mapToWorldSpace
+     * @param {Array} landmarks - MediaPipe hand landmarks
+     * @returns {number|null}
+     */
+    estimate(landmarks) {
+        const size = this.measure(landmarks);
+        if (size === null) return null;
+
+        this.size = this.size === null ? size : this.size + (size - this.size) * this.smoothing;
+
+        // Apparent size falls off with distance, so distance relative to the reference is its inverse
+        const relativeDistance = this.referenceSize / this.size;
+        return (relativeDistance - 1) * this.gain;
+    }
+}
@@ -0,0 +1,161 @@
+/**
+ * Gesture Recognizer
+ * Classifies static hand poses from the 21 MediaPipe landmarks and fires a gesture once
+ * it has been held long enough
+ */
+
+import { HandLandmarks } from './hand-tracker.js';
+
+export const Gestures = {
+    OPEN_PALM: 'open-palm',
+    FIST: 'fist',
+    POINT: 'point',
+    THUMBS_UP: 'thumbs-up',
+    PINCH: 'pinch'
+};
+
+export const GestureLabels = {
+    [Gestures.OPEN_PALM]: '✋ Open palm',
+    [Gestures.FIST]: '✊ Fist',
+    [Gestures.POINT]: '☝️ Point',
+    [Gestures.THUMBS_UP]: '👍 Thumbs up',
+    [Gestures.PINCH]: '🤏 Pinch'
+};
+
+export const GestureActions = {
+    NONE: 'none',
+    PAUSE: 'pause-tracking',
+    HOME: 'home',
+    RECORD: 'toggle-recording',
+    GRIPPER: 'toggle-gripper'
+};
+
+export const GestureActionLabels = {
+    [GestureActions.NONE]: 'Nothing',
+    [GestureActions.PAUSE]: 'Pause / resume tracking',
+    [GestureActions.HOME]: 'Return home',
+    [GestureActions.RECORD]: 'Toggle recording',
+    [GestureActions.GRIPPER]: 'Toggle gripper'
+};
+
+// Pinch already drives the gripper continuously, so it's unbound by default
+export const DEFAULT_GESTURE_BINDINGS = {
+    [Gestures.OPEN_PALM]: GestureActions.PAUSE,
+    [Gestures.FIST]: GestureActions.NONE,
+    [Gestures.POINT]: GestureActions.NONE,
+    [Gestures.THUMBS_UP]: GestureActions.HOME,
+    [Gestures.PINCH]: GestureActions.NONE
+};
+
+// Finger chains from knuckle to tip
+const FINGERS = {
+    index: [HandLandmarks.INDEX_FINGER_MCP, HandLandmarks.INDEX_FINGER_PIP, HandLandmarks.INDEX_FINGER_TIP],
+    middle: [HandLandmarks.MIDDLE_FINGER_MCP, HandLandmarks.MIDDLE_FINGER_PIP, HandLandmarks.MIDDLE_FINGER_TIP],
+    ring: [HandLandmarks.RING_FINGER_MCP, HandLandmarks.RING_FINGER_PIP, HandLandmarks.RING_FINGER_TIP],
+    pinky: [HandLandmarks.PINKY_MCP, HandLandmarks.PINKY_PIP, HandLandmarks.PINKY_TIP]
+};
+
+export class GestureRecognizer {
+    /**
+     * @param {Object} config - { holdTime (s) default for every gesture, holdTimes: { gesture: s } }
+     */
+    constructor(config = {}) {
+        this.holdTime = config.holdTime ?? 0.8;
+        this.holdTimes = { ...config.holdTimes };
+
+        this.current = null;
+        this.since = 0;
+        this.fired = false;
+    }
+
+    setHoldTime(gesture, seconds) {
+        this.holdTimes[gesture] = seconds;
+    }
+
+    getHoldTime(gesture) {
+        return this.holdTimes[gesture] ?? this.holdTime;
+    }
+
+    reset() {
+        this.current = null;
+        this.fired = false;
+    }
+
+    /**
+     * Track the held gesture. A gesture fires once per hold; it has to change before
+     * it can fire again.
+     * @param {Array|null} landmarks - MediaPipe hand landmarks, null when no hand is seen
+     * @param {number} time - Seconds, monotonic
+     * @returns {Object} { gesture, progress (0-1 of the hold), fired: gesture that fired on this update or null }
+     */
+    update(landmarks, time) {
+        const gesture = landmarks ? GestureRecognizer.classify(landmarks) : null;
+
+        if (gesture !== this.current) {
+            this.current = gesture;
+            this.since = time;
+            this.fired = false;
+        }
+
+        if (!gesture) return { gesture: null, progress: 0, fired: null };
+
+        const hold = this.getHoldTime(gesture);
+        const progress = hold > 0 ? Math.min((time - this.since) / hold, 1) : 1;
+
+        if (progress >= 1 && !this.fired) {
+            this.fired = true;
+            return { gesture, progress, fired: gesture };
+        }
+        return { gesture, progress, fired: null };
+    }
+
+    /**
+     * Classify a single frame. Distances are measured relative to the palm so the result
+     * doesn't depend on how far the hand is from the camera.
+     * @param {Array} landmarks - MediaPipe hand landmarks
+     * @returns {string|null} One of Gestures, or null for anything else
+     */
+    static classify(landmarks) {
+        if (!landmarks || landmarks.length <= HandLandmarks.PINKY_TIP) return null;
+
+        const distance = (a, b) => {
+            const p = landmarks[a];
+            const q = landmarks[b];
+            return Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z);
+        };
+
+        const palm = distance(HandLandmarks.WRIST, HandLandmarks.MIDDLE_FINGER_MCP);
+        if (palm < 1e-6) return null;
+
+        // A straight finger's tip is well beyond its middle joint as seen from the wrist;
+        // a curled one folds back inside it
+        const state = {};
+        Object.entries(FINGERS).forEach(([name, [, pip, tip]]) => {
+            const ratio = distance(HandLandmarks.WRIST, tip) / distance(HandLandmarks.WRIST, pip);
+            state[name] = ratio > 1.2 ? 'extended' : ratio < 1 ? 'curled' : 'bent';
+        });
+
+        const fingers = ['index', 'middle', 'ring', 'pinky'];
+        const all = (value) => fingers.every(name => state[name] === value);
+
+        // Thumb sticks out away from the palm when extended
+        const thumbExtended = distance(HandLandmarks.THUMB_TIP, HandLandmarks.PINKY_MCP) >
+            distance(HandLandmarks.THUMB_IP, HandLandmarks.PINKY_MCP) * 1.1 &&
+            distance(HandLandmarks.THUMB_TIP, HandLandmarks.INDEX_FINGER_MCP) > palm * 0.5;
+
+        // Image y grows downward
+        const thumbUp = landmarks[HandLandmarks.THUMB_MCP].y - landmarks[HandLandmarks.THUMB_TIP].y > palm * 0.5;
+
+        const pinching = distance(HandLandmarks.THUMB_TIP, HandLandmarks.INDEX_FINGER_TIP) < palm * 0.25;
+
+        if (all('curled') && thumbExtended && thumbUp) return Gestures.THUMBS_UP;
+        if (all('curled')) return Gestures.FIST;
+        if (pinching && state.index !== 'curled') return Gestures.PINCH;
+        if (state.index === 'extended' && ['middle', 'ring', 'pinky'].every(name => state[name] === 'curled')) {
+            return Gestures.POINT;
+        }
+        if (all('extended') && thumbExtended) return Gestures.OPEN_PALM;
+
+        return null;
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * Gripper Controller
+ * Turns the thumb-index pinch into an open/close command and animates the jaw opening
+ */
+
+import { HandLandmarks } from './hand-tracker.js';
+
+export class GripperController {
+    constructor(config = {}) {
+        // Pinch ratio = thumb-index tip distance / palm length.
+        // Two thresholds give hysteresis so the state doesn't chatter near the boundary.
+        this.closeThreshold = config.closeThreshold || 0.25;
+        this.openThreshold = config.openThreshold || 0.4;
+
+        // Jaw travel speed in full strokes per second
+        this.speed = config.speed || 2.5;
+
+        this.closed = false;
+        this.opening = 1;
+        this.pinchRatio = null;
+
+        // Proportional opening command (0-1); null follows the open/close state
+        this.aperture = null;
+
+        // Below this aperture the jaws count as closed for grasping
+        this.graspThreshold = config.graspThreshold ?? 0.3;
+    }
+
+    /**
+     * Map a pinch ratio to a proportional jaw opening
+     * @param {number} ratio - From measurePinch
+     * @param {number} closeRatio - Ratio at which the jaws are fully closed
+     * @param {number} openRatio - Ratio at which they are fully open
+     * @returns {number} Opening, 0 (closed) to 1 (fully open)
+     */
+    static apertureFromPinch(ratio, closeRatio = 0.25, openRatio = 0.9) {
+        return Math.max(0, Math.min(1, (ratio - closeRatio) / (openRatio - closeRatio)));
+    }
+
+    /**
+     * Measure how tightly the thumb and index finger are pinched
+     * @param {Array} landmarks - MediaPipe hand landmarks
+     * @param {number} aspect - Camera width / height, to undo per-axis normalization
+     * @returns {number|null} Tip distance relative to palm length
+     */
+    static measurePinch(landmarks, aspect = 16 / 9) {
+        if (!landmarks || landmarks.length <= HandLandmarks.PINKY_TIP) {
+            return null;
+        }
+
+        const distance = (from, to) => {
+            const a = landmarks[from];
+            const b = landmarks[to];
+            const dx = (b.x - a.x) * aspect;
+            const dy = b.y - a.y;
+            const dz = (b.z - a.z) * aspect;
+            return Math.sqrt(dx * dx + dy * dy + dz * dz);
+        };
+
+        const palmLength = distance(HandLandmarks.WRIST, HandLandmarks.MIDDLE_FINGER_MCP);
+        if (palmLength < 1e-6) return null;
+
+        return distance(HandLandmarks.THUMB_TIP, HandLandmarks.INDEX_FINGER_TIP) / palmLength;
+    }
+
+    /**
+     * Update the open/close command from a hand pose
+     * @param {Array} landmarks - MediaPipe hand landmarks
+     * @returns {boolean} Whether the gripper is commanded closed
+     */
+    updateFromLandmarks(landmarks) {
+        const ratio = GripperController.measurePinch(landmarks);
+        if (ratio === null) return this.closed;
+
+        this.pinchRatio = ratio;
+
+        if (!this.closed && ratio < this.closeThreshold) {
+            this.closed = true;
+        } else if (this.closed && ratio > this.openThreshold) {
+            this.closed = false;
+        }
+
+        return this.closed;
+    }
+
+    setClosed(closed) {
+        this.closed = closed;
+        this.aperture = null;
+    }
+
+    toggle() {
+        this.closed = !this.closed;
+        this.aperture = null;
+    }
+
+    /**
+     * Command a proportional opening
+     * @param {number} opening - 0 (closed) to 1 (fully open)
+     */
+    setAperture(opening) {
+        this.aperture = Math.max(0, Math.min(1, opening));
+        this.closed = this.aperture < this.graspThreshold;
+    }
+
+    /**
+     * Animate the jaws toward their commanded opening
+     * @param {number} dt - Frame time in seconds
+     * @returns {number} Current opening, 0 (closed) to 1 (fully open)
+     */
+    update(dt) {
+        const commanded = this.aperture ?? (this.closed ? 0 : 1);
+        const step = this.speed * dt;
+        const remaining = commanded - this.opening;
+
+        this.opening = Math.abs(remaining) <= step
+            ? commanded
+            : this.opening + Math.sign(remaining) * step;
+
+        return this.opening;
+    }
+
+    getState() {
+        return {
+            closed: this.closed,
+            opening: this.opening,
+            pinchRatio: this.pinchRatio
+        };
+    }
+}
@@ -0,0 +1,255 @@
+/**
+ * Hand Calibration
+ * Fits an affine map from normalized hand positions to world space using samples taken
+ * at prompted poses, and stores the result per camera
+ */
+
+import * as THREE from 'three';
+
+const STORAGE_PREFIX = 'robotic-arm.hand-calibration.';
+const FORMAT_VERSION = 1;
+
+/**
+ * Poses the user is asked to hold, with the world point each should map to. Left/right
+ * are the user's own, matching the mirrored camera preview.
+ */
+export const CALIBRATION_POSES = [
+    { name: 'center', prompt: 'Hold your hand in the middle of your comfortable reach', target: { x: 0, y: 12, z: 9 } },
+    { name: 'left', prompt: 'Move your hand as far LEFT as is comfortable', target: { x: -12, y: 12, z: 9 } },
+    { name: 'right', prompt: 'Move your hand as far RIGHT as is comfortable', target: { x: 12, y: 12, z: 9 } },
+    { name: 'up', prompt: 'Raise your hand as HIGH as is comfortable', target: { x: 0, y: 22, z: 9 } },
+    { name: 'down', prompt: 'Lower your hand as LOW as is comfortable', target: { x: 0, y: 3, z: 9 } },
+    { name: 'near', prompt: 'Push your hand TOWARD the camera', target: { x: 0, y: 12, z: 18 } },
+    { name: 'far', prompt: 'Pull your hand BACK, away from the camera', target: { x: 0, y: 12, z: 0 } }
+];
+
+/**
+ * Affine map world = A · normalized + b, clamped to a box around the calibrated poses
+ */
+export class HandMapping {
+    /**
+     * @param {Object} options - { matrix: 12 numbers (rows of [A | b]), min, max, error }
+     */
+    constructor({ matrix, min, max, error = 0 }) {
+        this.matrix = matrix;
+        this.min = min;
+        this.max = max;
+
+        // RMS distance between the fitted and the requested points, in world units
+        this.error = error;
+    }
+
+    /**
+     * @param {Object} normalized - Normalized position {x, y, z}
+     * @returns {Object} World position {x, y, z}
+     */
+    apply(normalized) {
+        const m = this.matrix;
+        const { x, y, z } = normalized;
+        const clamp = (value, axis) => Math.max(this.min[axis], Math.min(this.max[axis], value));
+
+        return {
+            x: clamp(m[0] * x + m[1] * y + m[2] * z + m[3], 'x'),
+            y: clamp(m[4] * x + m[5] * y + m[6] * z + m[7], 'y'),
+            z: clamp(m[8] * x + m[9] * y + m[10] * z + m[11], 'z')
+        };
+    }
+
+    /**
+     * Least-squares affine fit
+     * @param {Array} samples - [{ normalized: {x, y, z}, target: {x, y, z} }], at least 4
+     * @param {Object} options - { margin } world units the clamp box extends past the targets,
+     *                           { floor } lowest allowed world y
+     * @returns {HandMapping}
+     */
+    static fit(samples, options = {}) {
+        const margin = options.margin ?? 3;
+        const floor = options.floor ?? 2;
+
+        if (samples.length < 4) {
+            throw new Error('At least 4 calibration poses are needed');
+        }
+
+        // Normal equations: (XᵀX) p = Xᵀy for each output axis, with X rows [x, y, z, 1]
+        const xtx = new Array(16).fill(0);
+        const xty = { x: [0, 0, 0, 0], y: [0, 0, 0, 0], z: [0, 0, 0, 0] };
+
+        samples.forEach(({ normalized, target }) => {
+            const row = [normalized.x, normalized.y, normalized.z, 1];
+            for (let i = 0; i < 4; i++) {
+                for (let j = 0; j < 4; j++) xtx[i * 4 + j] += row[i] * row[j];
+                xty.x[i] += row[i] * target.x;
+                xty.y[i] += row[i] * target.y;
+                xty.z[i] += row[i] * target.z;
+            }
+        });
+
+        const normal = new THREE.Matrix4().fromArray(xtx);
+        if (Math.abs(normal.determinant()) < 1e-12) {
+            throw new Error('The poses were too close together; move further between prompts');
+        }
+        const inverse = normal.invert();
+
+        const solve = (rhs) => new THREE.Vector4(...rhs).applyMatrix4(inverse).toArray();
+        const matrix = [...solve(xty.x), ...solve(xty.y), ...solve(xty.z)];
+
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+        samples.forEach(({ target }) => {
+            ['x', 'y', 'z'].forEach(axis => {
+                min[axis] = Math.min(min[axis], target[axis] - margin);
+                max[axis] = Math.max(max[axis], target[axis] + margin);
+            });
+        });
+        min.y = Math.max(min.y, floor);
+
+        const mapping = new HandMapping({ matrix, min, max });
+
+        const squared = samples.reduce((sum, { normalized, target }) => {
+            const mapped = mapping.apply(normalized);
+            return sum + (mapped.x - target.x) ** 2 + (mapped.y - target.y) ** 2 + (mapped.z - target.z) ** 2;
+        }, 0);
+        mapping.error = Math.sqrt(squared / samples.length);
+
+        return mapping;
+    }
+
+    toJSON() {
+        return {
+            version: FORMAT_VERSION,
+            matrix: this.matrix,
+            min: this.min,
+            max: this.max,
+            error: this.error
+        };
+    }
+
+    static fromJSON(data) {
+        if (!data || data.version !== FORMAT_VERSION) {
+            throw new Error('Unsupported calibration format');
+        }
+        if (!Array.isArray(data.matrix) || data.matrix.length !== 12 || !data.matrix.every(Number.isFinite)) {
+            throw new Error('Calibration matrix is malformed');
+        }
+        return new HandMapping(data);
+    }
+}
+
+/**
+ * Calibrations in localStorage, keyed by camera
+ */
+export class CalibrationStore {
+    static key(cameraId) {
+        return `${STORAGE_PREFIX}${cameraId || 'default'}`;
+    }
+
+    /**
+     * @param {string} cameraId - Camera device id or label
+     * @returns {HandMapping|null} The saved mapping, or null if there is none
+     */
+    static load(cameraId) {
+        try {
+            const json = localStorage.getItem(CalibrationStore.key(cameraId));
+            return json ? HandMapping.fromJSON(JSON.parse(json)) : null;
+        } catch (error) {
+            console.warn('Ignoring saved hand calibration:', error);
+            return null;
+        }
+    }
+
+    static save(cameraId, mapping) {
+        try {
+            localStorage.setItem(CalibrationStore.key(cameraId), JSON.stringify(mapping.toJSON()));
+        } catch (error) {
+            // Still usable for this session
+            console.warn('Could not save hand calibration:', error);
+        }
+    }
+
+    static clear(cameraId) {
+        try {
+            localStorage.removeItem(CalibrationStore.key(cameraId));
+        } catch (error) {
+            console.warn('Could not clear hand calibration:', error);
+        }
+    }
+}
+
+/**
+ * Steps through the calibration poses, capturing each once the hand has been held
+ * still long enough
+ */
+export class CalibrationSession {
+    /**
+     * @param {Object} config - { poses, holdTime (s), settleTime (s), tolerance (normalized units) }
+     */
+    constructor(config = {}) {
+        this.poses = config.poses || CALIBRATION_POSES;
+        this.holdTime = config.holdTime || 1.5;
+
+        // Time to move on after a capture, so the previous pose isn't captured twice
+        this.settleTime = config.settleTime ?? 1;
+        this.tolerance = config.tolerance || 0.03;
+
+        this.index = 0;
+        this.samples = [];
+        this.window = [];
+        this.readyAt = -Infinity;
+    }
+
+    get pose() {
+        return this.poses[this.index] || null;
+    }
+
+    get done() {
+        return this.index >= this.poses.length;
+    }
+
+    /**
+     * Feed one hand position
+     * @param {Object} normalized - Normalized position {x, y, z}
+     * @param {number} time - Seconds, monotonic
+     * @returns {Object} { progress (0-1 of the hold), captured } where captured is true
+     *                   when this sample completed the current pose
+     */
+    addSample(normalized, time) {
+        if (this.done) return { progress: 1, captured: false };
+        if (time < this.readyAt) return { progress: 0, captured: false };
+
+        this.window.push({ x: normalized.x, y: normalized.y, z: normalized.z, time });
+
+        // Restart the hold whenever the hand strays from where it has been resting
+        const mean = this.mean();
+        const steady = this.window.every(sample =>
+            Math.abs(sample.x - mean.x) < this.tolerance &&
+            Math.abs(sample.y - mean.y) < this.tolerance &&
+            Math.abs(sample.z - mean.z) < this.tolerance * 2
+        );
+        if (!steady) this.window = [this.window[this.window.length - 1]];
+
+        const held = time - this.window[0].time;
+        if (held < this.holdTime) {
+            return { progress: held / this.holdTime, captured: false };
+        }
+
+        this.samples.push({ name: this.pose.name, normalized: this.mean(), target: this.pose.target });
+        this.index++;
+        this.window = [];
+        this.readyAt = time + this.settleTime;
+        return { progress: 1, captured: true };
+    }
+
+    /**
+     * Drop the hold in progress, e.g. when the hand leaves the frame
+     */
+    interrupt() {
+        this.window = [];
+    }
+
+    mean() {
+        const sum = this.window.reduce((acc, s) => ({ x: acc.x + s.x, y: acc.y + s.y, z: acc.z + s.z }),
+            { x: 0, y: 0, z: 0 });
+        const count = this.window.length || 1;
+        return { x: sum.x / count, y: sum.y / count, z: sum.z / count };
+    }
+}
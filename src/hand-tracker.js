@@ -6,23 +6,42 @@
 import { Camera } from '@mediapipe/camera_utils';
 import { Hands } from '@mediapipe/hands';
 
+// Copied into the build output by the mediapipe-assets plugin in vite.config.js
+const LOCAL_ASSET_PATH = import.meta.env.VITE_MEDIAPIPE_PATH ||
+    `${import.meta.env.BASE_URL}mediapipe/hands/`;
+
+// Same version as the bundled package, so the wasm matches the JS that drives it
+const CDN_ASSET_PATH = import.meta.env.VITE_MEDIAPIPE_CDN_FALLBACK === 'false'
+    ? null
+    : `https://cdn.jsdelivr.net/npm/@mediapipe/hands@${__MEDIAPIPE_HANDS_VERSION__}/`;
+
 export class HandTracker {
-    constructor(videoElement, onResults) {
+    /**
+     * @param {HTMLVideoElement} videoElement - Webcam preview element
+     * @param {Function} onResults - Receives MediaPipe Hands results
+     * @param {Object} config - { assetPath, fallbackPath (null disables the CDN), loadTimeout (ms) }
+     */
+    constructor(videoElement, onResults, config = {}) {
         this.videoElement = videoElement;
         this.onResultsCallback = onResults;
         this.camera = null;
         this.hands = null;
         this.isActive = false;
 
+        this.assetPath = config.assetPath || LOCAL_ASSET_PATH;
+        this.fallbackPath = config.fallbackPath !== undefined ? config.fallbackPath : CDN_ASSET_PATH;
+        this.loadTimeout = config.loadTimeout || 30000;
+        this.resolvedPath = this.assetPath;
+        this.modelLoading = null;
+        this.modelReady = false;
+
         this.initMediaPipe();
     }
 
     initMediaPipe() {
-        // Initialize MediaPipe Hands
+        // Initialize MediaPipe Hands; files are located when the model loads
         this.hands = new Hands({
-            locateFile: (file) => {
-                return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
-            }
+            locateFile: (file) => `${this.resolvedPath}${file}`
         });
 
         this.hands.setOptions({
@@ -39,9 +58,67 @@ export class HandTracker {
         });
     }
 
+    /**
+     * Load the wasm runtime and model once, from the local assets or the CDN fallback
+     * @throws {Error} When neither location provides a working model
+     */
+    loadModel() {
+        if (!this.modelLoading) {
+            this.modelLoading = this.initializeModel().catch(error => {
+                // A failed load leaves the solution unusable; start over on the next attempt
+                this.modelLoading = null;
+                this.hands.close();
+                this.initMediaPipe();
+                throw error;
+            });
+        }
+        return this.modelLoading;
+    }
+
+    async initializeModel() {
+        this.resolvedPath = await this.resolveAssetPath();
+
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('timed out')), this.loadTimeout);
+        });
+
+        try {
+            await Promise.race([this.hands.initialize(), timeout]);
+            this.modelReady = true;
+        } catch (error) {
+            console.error(`Failed to load hand tracking model from ${this.resolvedPath}:`, error);
+            throw new Error(`Hand tracking model failed to load from ${this.resolvedPath}`);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Use the local assets when they're reachable, otherwise the fallback if there is one
+     * @returns {Promise<string>} Base path for locateFile
+     */
+    async resolveAssetPath() {
+        try {
+            const response = await fetch(`${this.assetPath}hands.binarypb`, { method: 'HEAD' });
+            if (response.ok) return this.assetPath;
+        } catch (error) {
+            // Unreachable; try the fallback below
+        }
+
+        if (this.fallbackPath) {
+            console.warn(`MediaPipe assets not found at ${this.assetPath}, using ${this.fallbackPath}`);
+            return this.fallbackPath;
+        }
+        throw new Error(`Hand tracking model not found at ${this.assetPath}`);
+    }
+
     async start() {
         if (this.isActive) return;
 
+        // Model errors are reported separately from camera errors
+        await this.loadModel();
+
         try {
             // Initialize camera
             this.camera = new Camera(this.videoElement, {
@@ -82,6 +159,24 @@ export class HandTracker {
         }
     }
 
+    /**
+     * Track one or two hands
+     * @param {number} count - 1 or 2
+     */
+    setMaxHands(count) {
+        this.hands.setOptions({ maxNumHands: count });
+    }
+
+    /**
+     * Identify the camera in use, so per-camera settings can be stored
+     * @returns {string} Device id, or the track label, or 'default'
+     */
+    getCameraId() {
+        const track = this.videoElement?.srcObject?.getVideoTracks?.()[0];
+        if (!track) return 'default';
+        return track.getSettings?.().deviceId || track.label || 'default';
+    }
+
     /**
      * Extract 3D position from hand landmarks
      * @param {Array} landmarks - MediaPipe hand landmarks
@@ -130,8 +225,117 @@ export class HandTracker {
         };
     }
 
+    /**
+     * Which physical hand a result belongs to. MediaPipe labels handedness as if the
+     * image were mirrored, and the camera frames sent to it aren't, so the label is swapped.
+     * @param {Object} results - MediaPipe Hands results
+     * @param {number} index - Hand index in multiHandLandmarks
+     * @returns {string|null} 'Left' or 'Right'
+     */
+    static getHandedness(results, index = 0) {
+        const label = results.multiHandedness?.[index]?.label;
+        if (!label) return null;
+        return label === 'Left' ? 'Right' : 'Left';
+    }
+
+    /**
+     * Split results by physical hand
+     * @param {Object} results - MediaPipe Hands results
+     * @returns {Object} { Left, Right } landmarks, null for a hand that isn't seen
+     */
+    static findHands(results) {
+        const hands = { Left: null, Right: null };
+        (results.multiHandLandmarks || []).forEach((landmarks, index) => {
+            const handedness = HandTracker.getHandedness(results, index);
+            if (handedness && !hands[handedness]) hands[handedness] = landmarks;
+        });
+        return hands;
+    }
+
+    /**
+     * Roll of the hand about the camera axis from the knuckle line
+     * (index MCP to pinky MCP)
+     * @param {Array} landmarks - MediaPipe hand landmarks
+     * @param {string} handedness - 'Right' or 'Left' (the physical hand)
+     * @param {number} aspect - Camera width / height, to undo per-axis normalization
+     * @returns {number|null} Radians, 0 with the knuckles level and the palm toward the
+     *                        camera, positive when the hand turns counter-clockwise as
+     *                        seen in the mirrored preview
+     */
+    static getHandRoll(landmarks, handedness = 'Right', aspect = 16 / 9) {
+        if (!landmarks || landmarks.length <= HandLandmarks.PINKY_MCP) {
+            return null;
+        }
+
+        const index = landmarks[HandLandmarks.INDEX_FINGER_MCP];
+        const pinky = landmarks[HandLandmarks.PINKY_MCP];
+
+        // Mirrored X and upward Y, as in the preview
+        let x = -(index.x - pinky.x) * aspect;
+        let y = -(index.y - pinky.y);
+
+        // A right palm shows its index knuckle on the left, a left palm on the right
+        if (handedness === 'Right') {
+            x = -x;
+            y = -y;
+        }
+
+        return Math.atan2(y, x);
+    }
+
+    /**
+     * Estimate tool orientation from the palm plane
+     * (wrist, index MCP and pinky MCP landmarks)
+     * @param {Array} landmarks - MediaPipe hand landmarks
+     * @param {string} handedness - 'Right' or 'Left' (the physical hand)
+     * @param {number} aspect - Camera width / height, to undo per-axis normalization
+     * @returns {Object} World-space unit vectors { approach, side }: approach points out
+     *                   of the palm, side runs across the knuckles from pinky to index
+     */
+    static getPalmOrientation(landmarks, handedness = 'Right', aspect = 16 / 9) {
+        if (!landmarks || landmarks.length <= HandLandmarks.PINKY_MCP) {
+            return null;
+        }
+
+        // Same axis conventions as mapToWorldSpace: mirrored X, inverted Y and Z
+        const toWorld = (from, to) => {
+            const a = landmarks[from];
+            const b = landmarks[to];
+            return {
+                x: -(b.x - a.x) * aspect,
+                y: -(b.y - a.y),
+                z: -(b.z - a.z) * aspect
+            };
+        };
+
+        const toIndex = toWorld(HandLandmarks.WRIST, HandLandmarks.INDEX_FINGER_MCP);
+        const toPinky = toWorld(HandLandmarks.WRIST, HandLandmarks.PINKY_MCP);
+        const across = toWorld(HandLandmarks.PINKY_MCP, HandLandmarks.INDEX_FINGER_MCP);
+
+        // Palm normal; the winding flips between left and right hands
+        const sign = handedness === 'Left' ? -1 : 1;
+        const normal = {
+            x: sign * (toIndex.y * toPinky.z - toIndex.z * toPinky.y),
+            y: sign * (toIndex.z * toPinky.x - toIndex.x * toPinky.z),
+            z: sign * (toIndex.x * toPinky.y - toIndex.y * toPinky.x)
+        };
+
+        const normalize = (v) => {
+            const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+            return length > 1e-9 ? { x: v.x / length, y: v.y / length, z: v.z / length } : null;
+        };
+
+        const approach = normalize(normal);
+        const side = normalize(across);
+        if (!approach || !side) return null;
+
+        return { approach, side };
+    }
+
     dispose() {
         this.stop();
+        this.modelLoading = null;
+        this.modelReady = false;
         if (this.hands) {
             this.hands.close();
         }
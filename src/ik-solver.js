@@ -1,119 +1,401 @@
 /**
- * Inverse Kinematics Solver for 3-DOF Robotic Arm
- * Solves arm position using analytical IK for a 2-link planar arm with base rotation
+ * Inverse Kinematics Solver for N-joint Robotic Arms
+ * Solves the kinematic chain described by a RobotModel using damped least squares
  */
 
+import * as THREE from 'three';
+import { RobotModel, JointTypes } from './robot-model.js';
+
+// Tip speed towards the goal (units per radian, or per unit for prismatic joints) a
+// pinned joint must offer before its limit is blamed for a miss
+const LIMIT_GAIN = 1e-3;
+
 export class IKSolver {
-    constructor(config = {}) {
-        this.baseHeight = config.baseHeight || 4;
-        this.lowerArmLength = config.lowerArmLength || 12;
-        this.upperArmLength = config.upperArmLength || 10;
-        this.maxReach = this.lowerArmLength + this.upperArmLength;
-        this.minReach = Math.abs(this.lowerArmLength - this.upperArmLength);
+    constructor(model = new RobotModel(), config = {}) {
+        this.model = model instanceof RobotModel ? model : new RobotModel(model);
+
+        this.maxIterations = config.maxIterations || 40;
+        this.tolerance = config.tolerance || 0.01;
+        this.damping = config.damping || 0.8;
+        this.orientationDamping = config.orientationDamping || 0.2;
+        this.angularTolerance = config.angularTolerance || 0.005;
+        this.maxStep = config.maxStep || 0.35;
+
+        this.maxReach = this.model.maxReach;
+        this.minReach = this.model.minReach;
+
+        // Warm start: each solve begins from the previous solution
+        this.lastAngles = this.model.homeAngles();
+
+        // Commanded pose and joint velocities for rate limiting
+        this.resetMotion();
     }
 
     /**
      * Solve inverse kinematics for target position
-     * @param {Object} target - Target position {x, y, z}
-     * @returns {Object} Joint angles {base, shoulder, elbow}
+     * @param {Object} target - Target position {x, y, z}, optionally with an
+     *                          orientation { approach, side } for the tool
+     * @param {Object} options - { seed } joint angles to start from; when given,
+     *                           the solver's own warm start is left untouched.
+     *                           { dt } frame time in seconds; when given, the result is
+     *                           limited by each joint's max velocity and acceleration.
+     *                           { jointTargets } angles for joints driven directly rather
+     *                           than solved, e.g. a wrist roll set by another input
+     * @returns {Object} Joint angles keyed by joint name, plus reachDistance, isAtLimit,
+     *                   outOfReach (the target lies outside the workspace), orientationError
+     *                   (radians), clamped (joints whose position limit keeps the tool off
+     *                   a target inside the workspace) and rateLimited joint names
      */
-    solve(target) {
-        // Step 1: Calculate base rotation (yaw) - rotation around Y axis
-        const baseAngle = Math.atan2(target.x, target.z);
+    solve(target, options = {}) {
+        const goal = new THREE.Vector3(target.x, target.y, target.z);
+        const fixed = options.jointTargets ? this.model.clampAngles(options.jointTargets) : null;
+        const seed = { ...(options.seed || this.lastAngles), ...fixed };
+
+        const orientation = target.orientation || null;
+
+        let result = this.solveChain(goal, orientation, seed);
+
+        // A joint pinned at its limit can trap the solver on the wrong side of
+        // its range; retry from the home pose and keep the better answer
+        if (result.error > this.tolerance && result.pinned.length > 0) {
+            const retry = this.solveChain(goal, orientation, this.model.homeAngles());
+            if (retry.error < result.error) result = retry;
+        }
+
+        if (fixed) Object.assign(result.angles, fixed);
+
+        if (!options.seed) {
+            this.lastAngles = { ...result.angles };
+        }
+
+        // A miss is blamed on joint limits only when the target is inside the workspace
+        // and a pinned joint would close the gap by moving past its limit
+        const isAtLimit = result.error > this.tolerance * 10;
+        const outOfReach = !this.isReachable(goal);
+        const clamped = isAtLimit && !outOfReach ? result.limiting : [];
 
-        // Step 2: Project to 2D plane for planar IK
-        // Distance from base center on X-Z plane
-        const horizontalDistance = Math.sqrt(target.x * target.x + target.z * target.z);
+        let angles = result.angles;
+        let rateLimited = [];
+        if (options.dt) {
+            ({ angles, rateLimited } = this.limitMotion(result.angles, options.dt));
+        }
+
+        const reachDistance = goal.distanceTo(this.model.reachOrigin);
 
-        // Height relative to shoulder pivot (base top)
-        const verticalDistance = target.y - this.baseHeight;
+        return {
+            ...angles,
+            reachDistance: Math.min(reachDistance, this.maxReach),
+            isAtLimit,
+            outOfReach,
+            orientationError: result.orientationError,
+            clamped,
+            rateLimited
+        };
+    }
 
-        // Total planar distance to target
-        const planarDistance = Math.sqrt(
-            horizontalDistance * horizontalDistance +
-            verticalDistance * verticalDistance
+    /**
+     * Iterate damped least squares towards a goal, keeping joints inside their limits.
+     * Position is the primary task; an orientation goal is solved in its null space
+     * so arms without enough wrist joints still reach the point.
+     * @param {THREE.Vector3} goal - Target position
+     * @param {Object|null} orientation - { approach, side } unit vectors or null
+     * @param {Object} seed - Starting joint angles
+     * @returns {Object} { angles, error, orientationError, pinned, limiting } where pinned
+     *                   lists joints resting on a limit and limiting those of them that
+     *                   would move the tip towards the goal by going past it
+     */
+    solveChain(goal, orientation, seed) {
+        const joints = this.model.joints;
+        const angles = this.model.clampAngles(
+            Object.fromEntries(joints.map(joint => [joint.name, seed[joint.name] ?? joint.home]))
         );
 
-        // Clamp to reachable workspace
-        let reachDistance = planarDistance;
-        if (reachDistance > this.maxReach * 0.999) {
-            reachDistance = this.maxReach * 0.999;
+        const error = new THREE.Vector3();
+        const lever = new THREE.Vector3();
+        const column = new THREE.Vector3();
+
+        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+            const frames = this.model.computeFrames(angles);
+            error.subVectors(goal, frames.tip);
+            const rotationError = orientation
+                ? IKSolver.orientationError(frames.tipMatrix, orientation)
+                : null;
+
+            if (error.length() < this.tolerance &&
+                (!rotationError || rotationError.length() < this.angularTolerance)) break;
+
+            // Positional Jacobian: each revolute joint moves the tip along axis × lever,
+            // each prismatic joint along its axis
+            const jacobian = frames.joints.map(frame => {
+                if (frame.type === JointTypes.PRISMATIC) return [frame.axis.x, frame.axis.y, frame.axis.z];
+                lever.subVectors(frames.tip, frame.position);
+                column.crossVectors(frame.axis, lever);
+                return [column.x, column.y, column.z];
+            });
+
+            const delta = IKSolver.dampedLeastSquares(
+                jacobian,
+                [error.x, error.y, error.z],
+                this.damping
+            );
+
+            if (rotationError) {
+                // Rotational Jacobian columns are the revolute joint axes; project them into
+                // the null space of the position task: Δθ += (Jo P)⁺ (eo − Jo Δθ)
+                const pseudoInverse = IKSolver.dampedPseudoInverse(jacobian, 0.05);
+                const projector = joints.map((_, i) => joints.map((__, j) => {
+                    let value = i === j ? 1 : 0;
+                    for (let r = 0; r < 3; r++) value -= pseudoInverse[i][r] * jacobian[j][r];
+                    return value;
+                }));
+
+                const axes = frames.joints.map(frame => frame.type === JointTypes.PRISMATIC
+                    ? [0, 0, 0]
+                    : [frame.axis.x, frame.axis.y, frame.axis.z]);
+                const projected = joints.map((_, j) => [0, 1, 2].map(r =>
+                    axes.reduce((sum, axis, i) => sum + axis[r] * projector[i][j], 0)
+                ));
+                const residual = [rotationError.x, rotationError.y, rotationError.z].map((value, r) =>
+                    value - axes.reduce((sum, axis, i) => sum + axis[r] * delta[i], 0)
+                );
+
+                IKSolver.dampedLeastSquares(projected, residual, this.orientationDamping)
+                    .forEach((value, i) => { delta[i] += value; });
+            }
+
+            // Limit the step so a far target doesn't make the chain whip around
+            const stepSize = Math.sqrt(delta.reduce((sum, d) => sum + d * d, 0));
+            const stepScale = stepSize > this.maxStep ? this.maxStep / stepSize : 1;
+
+            joints.forEach((joint, i) => {
+                const { min, max } = joint.limits;
+                angles[joint.name] = Math.max(min, Math.min(max, angles[joint.name] + delta[i] * stepScale));
+            });
         }
-        if (reachDistance < this.minReach + 0.01) {
-            reachDistance = this.minReach + 0.01;
+
+        const frames = this.model.computeFrames(angles);
+        error.subVectors(goal, frames.tip);
+
+        const pinned = [];
+        const limiting = [];
+        joints.forEach((joint, i) => {
+            const value = angles[joint.name];
+            const atMin = value <= joint.limits.min + 1e-6;
+            const atMax = value >= joint.limits.max - 1e-6;
+            if (!atMin && !atMax) return;
+            pinned.push(joint.name);
+
+            // Rate at which this joint moves the tip towards the goal
+            const frame = frames.joints[i];
+            if (frame.type === JointTypes.PRISMATIC) {
+                column.copy(frame.axis);
+            } else {
+                column.crossVectors(frame.axis, lever.subVectors(frames.tip, frame.position));
+            }
+            const towards = column.dot(error) / Math.max(error.length(), 1e-9);
+            if ((atMax && towards > LIMIT_GAIN) || (atMin && towards < -LIMIT_GAIN)) {
+                limiting.push(joint.name);
+            }
+        });
+
+        const approach = new THREE.Vector3().setFromMatrixColumn(frames.tipMatrix, 1);
+        const orientationError = orientation
+            ? approach.angleTo(IKSolver.toVector3(orientation.approach))
+            : 0;
+
+        return { angles, error: frames.tip.distanceTo(goal), orientationError, pinned, limiting };
+    }
+
+    /**
+     * Rotation that would align the tool frame with an orientation goal. The tool's
+     * +Y axis is the approach direction and its +X axis is the jaw (side) direction.
+     * @param {THREE.Matrix4} toolMatrix - Tool frame in world space
+     * @param {Object} orientation - { approach, side } unit vectors, side optional
+     * @returns {THREE.Vector3} Rotation vector (axis × angle, small-angle approximation)
+     */
+    static orientationError(toolMatrix, orientation) {
+        const toolY = new THREE.Vector3().setFromMatrixColumn(toolMatrix, 1).normalize();
+        const toolX = new THREE.Vector3().setFromMatrixColumn(toolMatrix, 0).normalize();
+
+        const alignError = (current, desired, fallbackAxis) => {
+            const axis = new THREE.Vector3().crossVectors(current, desired);
+            // Pointing the opposite way: the cross product vanishes, so turn hard
+            // about any perpendicular axis instead of stalling
+            if (current.dot(desired) < 0) {
+                if (axis.lengthSq() < 1e-8) axis.copy(fallbackAxis);
+                axis.normalize();
+            }
+            return axis;
+        };
+
+        const rotation = alignError(toolY, IKSolver.toVector3(orientation.approach).normalize(), toolX);
+        if (orientation.side) {
+            const side = IKSolver.toVector3(orientation.side);
+            // Only the component of the side vector across the approach axis is reachable by roll
+            const approach = IKSolver.toVector3(orientation.approach).normalize();
+            side.addScaledVector(approach, -side.dot(approach));
+            if (side.lengthSq() > 1e-8) {
+                rotation.add(alignError(toolX, side.normalize(), toolY));
+            }
         }
+        return rotation;
+    }
 
-        // Step 3: Solve 2-link planar arm using law of cosines
+    static toVector3(vector) {
+        return new THREE.Vector3(vector.x, vector.y, vector.z);
+    }
 
-        // Elbow angle calculation
-        // Using law of cosines: c² = a² + b² - 2ab·cos(C)
-        const cosElbowAngle = (
-            reachDistance * reachDistance -
-            this.lowerArmLength * this.lowerArmLength -
-            this.upperArmLength * this.upperArmLength
-        ) / (-2 * this.lowerArmLength * this.upperArmLength);
+    /**
+     * Move from the previously commanded pose towards the IK solution without
+     * exceeding joint velocity and acceleration limits
+     * @param {Object} desired - IK joint angles
+     * @param {number} dt - Frame time in seconds
+     * @returns {Object} { angles, rateLimited }
+     */
+    limitMotion(desired, dt) {
+        const angles = {};
+        const rateLimited = [];
 
-        // Clamp cosine value to valid range
-        const clampedCosElbow = Math.max(-1, Math.min(1, cosElbowAngle));
+        this.model.joints.forEach(joint => {
+            const { maxVelocity, maxAcceleration } = joint.limits;
+            const previous = this.motion.angles[joint.name];
+            const previousVelocity = this.motion.velocities[joint.name];
+            const remaining = desired[joint.name] - previous;
 
-        // Internal angle at elbow joint
-        const elbowAngleInternal = Math.acos(clampedCosElbow);
+            let velocity = remaining / dt;
 
-        // Joint angle (deviation from straight)
-        const elbowAngle = Math.PI - elbowAngleInternal;
+            // Brake early enough to stop at the target without overshooting
+            const stoppingVelocity = Math.sqrt(2 * maxAcceleration * Math.abs(remaining));
+            const speedLimit = Math.min(maxVelocity, stoppingVelocity);
 
-        // Shoulder angle calculation
-        // Angle of line from shoulder to target
-        const targetAngle = Math.atan2(verticalDistance, horizontalDistance);
+            let limited = false;
+            if (Math.abs(velocity) > speedLimit) {
+                velocity = Math.sign(velocity) * speedLimit;
+                limited = true;
+            }
 
-        // Triangle offset angle using law of cosines
-        const cosShoulderOffset = (
-            this.lowerArmLength * this.lowerArmLength +
-            reachDistance * reachDistance -
-            this.upperArmLength * this.upperArmLength
-        ) / (2 * this.lowerArmLength * reachDistance);
+            const maxChange = maxAcceleration * dt;
+            if (Math.abs(velocity - previousVelocity) > maxChange) {
+                velocity = previousVelocity + Math.sign(velocity - previousVelocity) * maxChange;
+                limited = true;
+            }
 
-        const shoulderOffset = Math.acos(Math.max(-1, Math.min(1, cosShoulderOffset)));
+            // Never step past the target in a single frame
+            let next = previous + velocity * dt;
+            if (Math.sign(desired[joint.name] - next) !== Math.sign(remaining)) {
+                next = desired[joint.name];
+                velocity = remaining / dt;
+            }
 
-        // Final shoulder angle (measured from vertical up)
-        const shoulderAngle = (Math.PI / 2) - (targetAngle + shoulderOffset);
+            angles[joint.name] = Math.max(joint.limits.min, Math.min(joint.limits.max, next));
+            this.motion.velocities[joint.name] = velocity;
+            if (limited) rateLimited.push(joint.name);
+        });
 
-        return {
-            base: baseAngle,
-            shoulder: shoulderAngle,
-            elbow: elbowAngle,
-            reachDistance,
-            isAtLimit: planarDistance > this.maxReach * 0.999
+        this.motion.angles = { ...angles };
+        return { angles, rateLimited };
+    }
+
+    /**
+     * Reset the rate limiter to a known pose at rest, e.g. after a jump driven from outside the solver
+     * @param {Object} angles - Joint angles keyed by joint name
+     */
+    resetMotion(angles = this.model.homeAngles()) {
+        this.motion = {
+            angles: { ...angles },
+            velocities: Object.fromEntries(this.model.jointNames.map(name => [name, 0]))
         };
     }
 
     /**
-     * Calculate forward kinematics (joint angles -> end effector position)
-     * @param {Object} angles - Joint angles {base, shoulder, elbow}
-     * @returns {Object} End effector position {x, y, z}
+     * Damped least squares step: Δθ = Jᵀ (J Jᵀ + λ² I)⁻¹ e
+     * @param {Array} jacobian - One column per joint, each an array of task-space rows
+     * @param {Array} error - Task-space error
+     * @param {number} damping - Damping factor λ
+     * @returns {Array} Joint deltas
      */
-    forward(angles) {
-        const { base, shoulder, elbow } = angles;
+    static dampedLeastSquares(jacobian, error, damping) {
+        const rows = error.length;
 
-        // Lower arm endpoint
-        const lowerX = this.lowerArmLength * Math.sin(shoulder);
-        const lowerY = this.lowerArmLength * Math.cos(shoulder);
+        // A = J Jᵀ + λ² I
+        const matrix = [];
+        for (let r = 0; r < rows; r++) {
+            matrix.push([]);
+            for (let c = 0; c < rows; c++) {
+                let sum = r === c ? damping * damping : 0;
+                jacobian.forEach(col => {
+                    sum += col[r] * col[c];
+                });
+                matrix[r].push(sum);
+            }
+        }
 
-        // Upper arm (relative to lower arm)
-        const totalAngle = shoulder + elbow - Math.PI;
-        const upperX = this.upperArmLength * Math.sin(totalAngle);
-        const upperY = this.upperArmLength * Math.cos(totalAngle);
+        const weights = IKSolver.solveLinearSystem(matrix, error.slice());
+        return jacobian.map(col => col.reduce((sum, value, r) => sum + value * weights[r], 0));
+    }
 
-        // End effector in 2D plane
-        const planarX = lowerX + upperX;
-        const planarY = lowerY + upperY + this.baseHeight;
+    /**
+     * Damped pseudo-inverse: Jᵀ (J Jᵀ + λ² I)⁻¹
+     * @param {Array} jacobian - One column per joint, each an array of task-space rows
+     * @param {number} damping - Damping factor λ
+     * @returns {Array} One row per joint, each an array with one entry per task-space row
+     */
+    static dampedPseudoInverse(jacobian, damping) {
+        const rows = jacobian[0].length;
+        const inverseColumns = [];
+        for (let r = 0; r < rows; r++) {
+            const unit = new Array(rows).fill(0);
+            unit[r] = 1;
+            inverseColumns.push(IKSolver.dampedLeastSquares(jacobian, unit, damping));
+        }
+        return jacobian.map((_, j) => inverseColumns.map(col => col[j]));
+    }
+
+    /**
+     * Solve A x = b with Gaussian elimination and partial pivoting
+     * @param {Array} matrix - Square matrix (modified in place)
+     * @param {Array} vector - Right-hand side (modified in place)
+     * @returns {Array} Solution x
+     */
+    static solveLinearSystem(matrix, vector) {
+        const n = vector.length;
 
-        // Rotate around base
-        const x = planarX * Math.sin(base);
-        const z = planarX * Math.cos(base);
-        const y = planarY;
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+            }
+            [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+            [vector[col], vector[pivot]] = [vector[pivot], vector[col]];
 
-        return { x, y, z };
+            const diagonal = matrix[col][col] || 1e-12;
+            for (let row = col + 1; row < n; row++) {
+                const factor = matrix[row][col] / diagonal;
+                for (let k = col; k < n; k++) {
+                    matrix[row][k] -= factor * matrix[col][k];
+                }
+                vector[row] -= factor * vector[col];
+            }
+        }
+
+        const solution = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = vector[row];
+            for (let k = row + 1; k < n; k++) {
+                sum -= matrix[row][k] * solution[k];
+            }
+            solution[row] = sum / (matrix[row][row] || 1e-12);
+        }
+        return solution;
+    }
+
+    /**
+     * Calculate forward kinematics (joint angles -> end effector position)
+     * @param {Object} angles - Joint angles keyed by joint name
+     * @returns {Object} End effector position {x, y, z}
+     */
+    forward(angles) {
+        return this.model.forward(angles);
     }
 
     /**
@@ -122,10 +404,21 @@ export class IKSolver {
      * @returns {boolean}
      */
     isReachable(target) {
-        const horizontal = Math.sqrt(target.x * target.x + target.z * target.z);
-        const vertical = target.y - this.baseHeight;
-        const distance = Math.sqrt(horizontal * horizontal + vertical * vertical);
+        const origin = this.model.reachOrigin;
+        const distance = Math.sqrt(
+            (target.x - origin.x) ** 2 +
+            (target.y - origin.y) ** 2 +
+            (target.z - origin.z) ** 2
+        );
 
         return distance >= this.minReach && distance <= this.maxReach;
     }
 }
+
+/**
+ * Common tool orientation goals
+ */
+export const ToolOrientations = {
+    // Gripper pointing straight down, for top-down grasping
+    TOP_DOWN: { approach: { x: 0, y: -1, z: 0 } }
+};
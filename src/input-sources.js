@@ -0,0 +1,588 @@
+/**
+ * Input Sources
+ * Interchangeable producers of target, joint and gripper commands. The app listens to
+ * whichever source is active; every source shares the same start/stop/status surface.
+ */
+
+import * as THREE from 'three';
+import { HandTracker, HandLandmarks } from './hand-tracker.js';
+import { GripperController } from './gripper-controller.js';
+import { JogModes, JogActions } from './jog-controller.js';
+import { MotionPlayer } from './motion-recorder.js';
+import { LandmarkRecorder, LandmarkPlayer } from './landmark-stream.js';
+import { DepthEstimator, DepthModes } from './depth-estimator.js';
+import { CalibrationStore } from './hand-calibration.js';
+import { GestureRecognizer } from './gesture-recognizer.js';
+import { LandmarkFilter } from './landmark-filter.js';
+
+export const HandModes = {
+    ONE: 'one',
+    TWO_RIGHT: 'two-right',
+    TWO_LEFT: 'two-left'
+};
+
+export const InputStatus = {
+    IDLE: 'idle',
+    STARTING: 'starting',
+    ACTIVE: 'active',
+    SEARCHING: 'searching',
+    ERROR: 'error'
+};
+
+/**
+ * Base class. Sources emit:
+ * - 'target':  { position: {x, y, z}, orientation?, immediate? } where immediate
+ *              asks the app to skip target smoothing
+ * - 'joints':  { angles } explicit joint angles
+ * - 'gripper': { closed }, { toggle: true } or { opening } proportional 0-1
+ * - 'status':  { status, text }
+ * - 'hand':    { normalized } hand position before mapping to world space, or
+ *              { normalized: null } when the hand is lost (hand sources only)
+ * - 'gesture': { gesture, progress, fired } held hand pose (hand sources only)
+ * - 'filter':  { lag } seconds the jitter filter delays the hand by, null until
+ *              measured (hand sources only)
+ * - 'roll':    { angle } wrist roll in radians (two-hand mode)
+ * - 'deadman': { engaged } whether the enabling hand is present (two-hand mode)
+ * - 'frame':   one input sample processed (drives the input rate readout)
+ */
+export class InputSource {
+    constructor(id, label) {
+        this.id = id;
+        this.label = label;
+        this.status = InputStatus.IDLE;
+        this.statusText = 'Idle';
+        this.context = null;
+        this.listeners = {};
+
+        // Explicit user commands (e.g. dragging the target) take over from a running program
+        this.interruptsPrograms = false;
+    }
+
+    on(event, callback) {
+        (this.listeners[event] ||= []).push(callback);
+    }
+
+    off(event, callback) {
+        this.listeners[event] = (this.listeners[event] || []).filter(listener => listener !== callback);
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(listener => listener(payload));
+    }
+
+    setStatus(status, text) {
+        if (this.status === status && this.statusText === text) return;
+        this.status = status;
+        this.statusText = text;
+        this.emit('status', { status, text });
+    }
+
+    /**
+     * Begin producing commands
+     * @param {Object} context - { getTarget(), getJointAngles() } current state of the arm
+     *                           being driven, so the source can continue from where it is,
+     *                           plus that arm's { armId, model, getHomeAngles() }. Targets are
+     *                           in the arm's frame.
+     */
+    async start(context) {
+        this.context = context;
+        this.setStatus(InputStatus.ACTIVE, this.label);
+    }
+
+    async stop() {
+        this.setStatus(InputStatus.IDLE, 'Idle');
+    }
+
+    /**
+     * Called every animation frame while active
+     * @param {number} dt - Frame time in seconds
+     */
+    update(dt) {}
+
+    dispose() {
+        this.stop();
+    }
+}
+
+/**
+ * Webcam hand tracking: index fingertip drives the target, the palm the tool
+ * orientation and the thumb-index pinch the gripper. In two-hand mode the other hand
+ * sets the wrist roll and the jaw opening, and has to stay in view for the arm to move.
+ */
+export class HandInputSource extends InputSource {
+    /**
+     * @param {HTMLVideoElement} videoElement - Webcam preview element
+     * @param {Object} config - { getScale() } current motion scale,
+     *                          { getDepthMode() } one of DepthModes,
+     *                          { getHandMode() } one of HandModes,
+     *                          { createTracker(onResults) } replaces the webcam tracker
+     */
+    constructor(videoElement, config = {}) {
+        super('hand', 'Hand tracking');
+        this.getScale = config.getScale || (() => 1.5);
+        this.getDepthMode = config.getDepthMode || (() => DepthModes.LANDMARK);
+        this.getHandMode = config.getHandMode || (() => HandModes.ONE);
+        this.maxHands = 1;
+        this.deadman = false;
+        this.depthEstimator = new DepthEstimator();
+
+        // Jitter filtering between the landmark and the target; the app tunes it
+        this.filter = new LandmarkFilter();
+
+        // Only the open/close hysteresis is used; the app animates the real jaws
+        this.pinch = new GripperController();
+
+        // Raw results are captured here so a recording replays through onResults unchanged
+        this.landmarkRecorder = new LandmarkRecorder();
+
+        // Calibrated image-to-world mapping for the current camera; null uses mapToWorldSpace
+        this.mapping = null;
+
+        // While calibrating only 'hand' events are sent, so the prompts can drive the arm
+        this.calibrating = false;
+
+        // Paused tracking still reports gestures, so a gesture can resume it
+        this.gestures = new GestureRecognizer();
+        this.paused = false;
+
+        const onResults = (results) => this.onResults(results);
+        this.tracker = config.createTracker
+            ? config.createTracker(onResults)
+            : new HandTracker(videoElement, onResults);
+    }
+
+    async start(context) {
+        this.context = context;
+        this.setStatus(InputStatus.STARTING, 'Starting camera...');
+
+        try {
+            await this.tracker.start();
+        } catch (error) {
+            this.setStatus(
+                InputStatus.ERROR,
+                this.tracker.modelReady ? 'Camera unavailable' : 'Hand model failed to load'
+            );
+            throw error;
+        }
+        this.loadCalibration();
+        this.setStatus(InputStatus.SEARCHING, 'Searching...');
+    }
+
+    cameraId() {
+        return this.tracker.getCameraId();
+    }
+
+    loadCalibration() {
+        this.mapping = CalibrationStore.load(this.cameraId());
+    }
+
+    /**
+     * Use and save a calibrated mapping for the current camera, or go back to the default
+     * @param {HandMapping|null} mapping
+     */
+    setCalibration(mapping) {
+        this.mapping = mapping;
+        if (mapping) {
+            CalibrationStore.save(this.cameraId(), mapping);
+        } else {
+            CalibrationStore.clear(this.cameraId());
+        }
+    }
+
+    async stop() {
+        await this.tracker.stop();
+        this.gestures.reset();
+        this.filter.reset();
+        this.paused = false;
+        this.deadman = false;
+        this.setStatus(InputStatus.IDLE, 'Idle');
+    }
+
+    /**
+     * Whether results from the tracker should be acted on. Late webcam frames after a
+     * stop are dropped.
+     */
+    acceptsResults() {
+        return this.tracker.isActive;
+    }
+
+    /**
+     * @param {Object} results - MediaPipe Hands results; { time } in seconds, when set,
+     *                           replaces the wall clock for filtering and gesture timing
+     */
+    onResults(results) {
+        if (!this.acceptsResults()) return;
+        this.landmarkRecorder.capture(results);
+        this.emit('frame');
+
+        const mode = this.getHandMode();
+        const twoHanded = mode !== HandModes.ONE;
+        if (this.maxHands !== (twoHanded ? 2 : 1)) {
+            this.maxHands = twoHanded ? 2 : 1;
+            if (this.tracker.setMaxHands) this.tracker.setMaxHands(this.maxHands);
+        }
+
+        // The positioning hand; in one-hand mode whichever hand is seen
+        let landmarks = results.multiHandLandmarks?.[0];
+        let handedness = HandTracker.getHandedness(results, 0) || 'Right';
+        let other = null;
+        if (twoHanded) {
+            const hands = HandTracker.findHands(results);
+            handedness = mode === HandModes.TWO_LEFT ? 'Left' : 'Right';
+            landmarks = hands[handedness];
+            other = hands[handedness === 'Left' ? 'Right' : 'Left'];
+        }
+
+        const now = results.time ?? performance.now() / 1000;
+        this.emit('gesture', this.gestures.update(landmarks || null, now));
+
+        if (!landmarks) {
+            // Don't smooth the next hand's size or position from a stale one
+            this.depthEstimator.reset();
+            this.filter.reset();
+            this.emit('hand', { normalized: null });
+            this.setStatus(InputStatus.SEARCHING, 'Searching...');
+            return;
+        }
+
+        const raw = HandTracker.getLandmarkPosition(landmarks, HandLandmarks.INDEX_FINGER_TIP);
+        if (!raw) return;
+
+        if (this.getDepthMode() === DepthModes.HAND_SIZE) {
+            const depth = this.depthEstimator.estimate(landmarks);
+            if (depth !== null) raw.z = depth;
+        }
+
+        const normalized = this.filter.filter(raw, now);
+        this.emit('filter', { lag: this.filter.lag });
+
+        this.emit('hand', { normalized });
+        if (this.calibrating) {
+            this.setStatus(InputStatus.ACTIVE, 'Calibrating');
+            return;
+        }
+        if (this.paused) {
+            this.setStatus(InputStatus.SEARCHING, 'Tracking paused');
+            return;
+        }
+
+        if (twoHanded && !this.updateSecondHand(other, handedness === 'Left' ? 'Right' : 'Left')) {
+            return;
+        }
+
+        this.emit('target', {
+            position: this.mapping
+                ? this.mapping.apply(normalized)
+                : HandTracker.mapToWorldSpace(normalized, this.getScale()),
+            orientation: HandTracker.getPalmOrientation(landmarks, handedness)
+        });
+
+        if (twoHanded) {
+            this.setStatus(InputStatus.ACTIVE, 'Tracking both hands');
+            return;
+        }
+
+        // Only report crossings, so the manual gripper toggle isn't overridden every frame
+        const wasClosed = this.pinch.closed;
+        if (this.pinch.updateFromLandmarks(landmarks) !== wasClosed) {
+            this.emit('gripper', { closed: this.pinch.closed });
+        }
+
+        this.setStatus(InputStatus.ACTIVE, 'Tracking Hand');
+    }
+
+    /**
+     * Read the secondary hand: it acts as the deadman, and its roll and pinch drive
+     * the wrist and the jaws
+     * @param {Array|null} landmarks - Secondary hand landmarks, null when out of view
+     * @param {string} handedness - 'Left' or 'Right'
+     * @returns {boolean} Whether the arm may move
+     */
+    updateSecondHand(landmarks, handedness) {
+        const engaged = Boolean(landmarks);
+        if (engaged !== this.deadman) {
+            this.deadman = engaged;
+            this.emit('deadman', { engaged });
+        }
+
+        if (!engaged) {
+            this.setStatus(InputStatus.SEARCHING, `Deadman released · show your ${handedness.toLowerCase()} hand`);
+            return false;
+        }
+
+        const roll = HandTracker.getHandRoll(landmarks, handedness);
+        if (roll !== null) this.emit('roll', { angle: roll });
+
+        const ratio = GripperController.measurePinch(landmarks);
+        if (ratio !== null) this.emit('gripper', { opening: GripperController.apertureFromPinch(ratio) });
+
+        return true;
+    }
+
+    dispose() {
+        this.tracker.dispose();
+    }
+}
+
+/**
+ * Hand tracking fed from a recorded landmark stream instead of the webcam
+ */
+export class LandmarkReplayInputSource extends HandInputSource {
+    /**
+     * @param {Object} config - Same as HandInputSource, without createTracker
+     */
+    constructor(config = {}) {
+        super(null, {
+            ...config,
+            createTracker: (onResults) => new LandmarkPlayer(onResults, { loop: true })
+        });
+        this.id = 'landmark-replay';
+        this.label = 'Landmark replay';
+    }
+
+    load(stream) {
+        this.tracker.load(stream);
+    }
+
+    setSpeed(speed) {
+        this.tracker.setSpeed(speed);
+    }
+
+    /**
+     * Frames only arrive when the player is running or a script steps it, so all are
+     * used; stepping works without starting the timed playback
+     */
+    acceptsResults() {
+        return true;
+    }
+
+    async start(context) {
+        this.context = context;
+
+        try {
+            await this.tracker.start();
+        } catch (error) {
+            this.setStatus(InputStatus.ERROR, 'No landmark stream loaded');
+            throw new Error('Load a landmark (.ndjson) file before replaying it.');
+        }
+        this.loadCalibration();
+        this.setStatus(InputStatus.SEARCHING, 'Searching...');
+    }
+}
+
+/**
+ * Mouse: drag the target gizmo or click the ground/objects to place the target
+ */
+export class MouseInputSource extends InputSource {
+    /**
+     * @param {SceneManager} sceneManager - Owns the gizmo and the viewport
+     * @param {Object} config - { getPickables() } meshes a click may land on
+     */
+    constructor(sceneManager, config = {}) {
+        super('mouse', 'Mouse');
+        this.sceneManager = sceneManager;
+        this.getPickables = config.getPickables || (() => []);
+        this.interruptsPrograms = true;
+        this.ready = false;
+    }
+
+    async start(context) {
+        this.context = context;
+
+        if (!this.ready) {
+            this.sceneManager.setupTargetInteraction({
+                getPickables: this.getPickables,
+                onMove: (position, { dragging }) => {
+                    this.emit('frame');
+                    this.emit('target', { position, immediate: dragging });
+                }
+            });
+            this.ready = true;
+        }
+
+        this.sceneManager.setTargetInteractionEnabled(true, context.armId);
+        this.setStatus(InputStatus.ACTIVE, 'Drag or click to move');
+    }
+
+    async stop() {
+        if (this.ready) this.sceneManager.setTargetInteractionEnabled(false);
+        this.setStatus(InputStatus.IDLE, 'Idle');
+    }
+}
+
+/**
+ * Keyboard and gamepad jogging through a JogController
+ */
+export class JogInputSource extends InputSource {
+    /**
+     * @param {JogController} jog - Reads keys and gamepads
+     */
+    constructor(jog) {
+        super('jog', 'Keyboard / gamepad');
+        this.jog = jog;
+    }
+
+    /**
+     * Robot being jogged; its reach sphere bounds Cartesian jogging
+     */
+    get model() {
+        return this.context.model;
+    }
+
+    async start(context) {
+        this.context = context;
+        this.jog.setModel(context.model);
+        this.jog.attach(window);
+        this.jog.update();
+        this.setStatus(InputStatus.ACTIVE, this.describe());
+    }
+
+    async stop() {
+        this.jog.detach();
+        this.setStatus(InputStatus.IDLE, 'Idle');
+    }
+
+    describe() {
+        return this.jog.gamepadName ? 'Gamepad jog' : 'Keyboard jog';
+    }
+
+    update(dt) {
+        const jog = this.jog.update();
+        this.emit('frame');
+        this.setStatus(InputStatus.ACTIVE, this.describe());
+
+        jog.actions.forEach(action => {
+            if (action === JogActions.GRIPPER) this.emit('gripper', { toggle: true });
+            if (action === JogActions.HOME) this.emit('joints', { angles: this.context.getHomeAngles() });
+            if (action === JogActions.MODE) this.jog.toggleMode();
+        });
+
+        if (!jog.active) return;
+
+        if (jog.mode === JogModes.JOINT) {
+            const angles = this.context.getJointAngles();
+            Object.entries(jog.joints).forEach(([name, velocity]) => {
+                angles[name] += velocity * dt;
+            });
+            this.emit('joints', { angles });
+            return;
+        }
+
+        const target = new THREE.Vector3().copy(this.context.getTarget());
+        target.x += jog.linear.x * dt;
+        target.y += jog.linear.y * dt;
+        target.z += jog.linear.z * dt;
+
+        // Keep the target inside the reach sphere and above the floor
+        const origin = this.model.reachOrigin;
+        const offset = target.clone().sub(origin);
+        if (offset.length() > this.model.maxReach) {
+            target.copy(origin).add(offset.setLength(this.model.maxReach));
+        }
+        target.y = Math.max(target.y, 0);
+
+        // Jogging is already rate-limited by the solver; skip the hand smoothing
+        this.emit('target', { position: target, immediate: true });
+    }
+}
+
+/**
+ * Built-in parametric paths for ScriptedInputSource; each maps a phase (0-1) to a point
+ */
+export const ScriptedPaths = {
+    circle: ({ center = { x: 0, y: 8, z: 12 }, radius = 5 } = {}) => (phase) => ({
+        x: center.x + radius * Math.cos(phase * 2 * Math.PI),
+        y: center.y,
+        z: center.z + radius * Math.sin(phase * 2 * Math.PI)
+    }),
+
+    figureEight: ({ center = { x: 0, y: 10, z: 12 }, size = 5 } = {}) => (phase) => ({
+        x: center.x + size * Math.sin(phase * 2 * Math.PI),
+        y: center.y + (size / 2) * Math.sin(phase * 4 * Math.PI),
+        z: center.z
+    })
+};
+
+/**
+ * Scripted motion along a repeating path
+ */
+export class ScriptedInputSource extends InputSource {
+    /**
+     * @param {string} id - Source id
+     * @param {string} label - Selector label
+     * @param {Object} config - { path(phase) → {x, y, z}, period (s) }
+     */
+    constructor(id, label, config = {}) {
+        super(id, label);
+        this.path = config.path || ScriptedPaths.circle();
+        this.period = config.period || 8;
+        this.time = 0;
+    }
+
+    async start(context) {
+        this.context = context;
+        this.time = 0;
+        this.setStatus(InputStatus.ACTIVE, this.label);
+    }
+
+    update(dt) {
+        this.time += dt;
+        this.emit('frame');
+        this.emit('target', { position: this.path((this.time / this.period) % 1) });
+    }
+}
+
+/**
+ * Replays the targets and gripper state of a recording through the live solver,
+ * looping until stopped
+ */
+export class ReplayInputSource extends InputSource {
+    /**
+     * @param {Function} getRecording - Returns the recording to replay (MotionRecorder format)
+     */
+    constructor(getRecording) {
+        super('replay', 'File replay');
+        this.getRecording = getRecording;
+        this.player = new MotionPlayer();
+        this.player.loop = true;
+        this.closed = null;
+    }
+
+    async start(context) {
+        this.context = context;
+
+        const recording = this.getRecording();
+        if (!recording) {
+            this.setStatus(InputStatus.ERROR, 'No recording loaded');
+            throw new Error('Record or load a motion before replaying it as input.');
+        }
+
+        this.player.load(recording);
+        this.player.play();
+        this.closed = null;
+        this.setStatus(InputStatus.ACTIVE, 'Replaying');
+    }
+
+    async stop() {
+        this.player.pause();
+        this.setStatus(InputStatus.IDLE, 'Idle');
+    }
+
+    update(dt) {
+        const frame = this.player.update(dt);
+        if (!frame) return;
+
+        this.emit('frame');
+        this.emit('target', { position: frame.target });
+
+        if (frame.gripper.closed !== this.closed) {
+            this.closed = frame.gripper.closed;
+            this.emit('gripper', { closed: this.closed });
+        }
+
+        this.setStatus(
+            InputStatus.ACTIVE,
+            `Replaying ${this.player.currentTime.toFixed(1)}s / ${this.player.duration.toFixed(1)}s`
+        );
+    }
+}
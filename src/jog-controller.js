@@ -0,0 +1,252 @@
+/**
+ * Jog Controller
+ * Keyboard and gamepad jogging of individual joints or of the tool in X/Y/Z
+ */
+
+const DEG = Math.PI / 180;
+
+export const JogModes = {
+    JOINT: 'joint',
+    CARTESIAN: 'cartesian'
+};
+
+export const JogActions = {
+    GRIPPER: 'gripper',
+    HOME: 'home',
+    MODE: 'mode'
+};
+
+// Key pairs (+, -) for each joint in chain order
+const JOINT_KEYS = [
+    ['KeyQ', 'KeyA'],
+    ['KeyW', 'KeyS'],
+    ['KeyE', 'KeyD'],
+    ['KeyR', 'KeyF'],
+    ['KeyT', 'KeyG'],
+    ['KeyY', 'KeyH']
+];
+
+// Key pairs (+, -) for each Cartesian axis
+const CARTESIAN_KEYS = {
+    x: ['KeyD', 'KeyA'],
+    y: ['KeyR', 'KeyF'],
+    z: ['KeyS', 'KeyW']
+};
+
+const ACTION_KEYS = {
+    Space: JogActions.GRIPPER,
+    Home: JogActions.HOME,
+    Digit0: JogActions.HOME,
+    KeyM: JogActions.MODE
+};
+
+// Standard gamepad mapping
+const GAMEPAD_BUTTONS = {
+    A: 0,
+    B: 1,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    LT: 6,
+    RT: 7
+};
+
+const GAMEPAD_ACTIONS = {
+    [GAMEPAD_BUTTONS.A]: JogActions.GRIPPER,
+    [GAMEPAD_BUTTONS.B]: JogActions.HOME,
+    [GAMEPAD_BUTTONS.Y]: JogActions.MODE
+};
+
+export class JogController {
+    /**
+     * @param {RobotModel} model - Robot whose joints are jogged
+     * @param {Object} config - { mode, speed (0-1), maxLinearSpeed, defaultJointSpeed, deadzone }
+     */
+    constructor(model, config = {}) {
+        this.model = model;
+        this.mode = config.mode || JogModes.CARTESIAN;
+        this.speed = config.speed ?? 0.5;
+
+        // Full-deflection speeds before the jog speed scale is applied
+        this.maxLinearSpeed = config.maxLinearSpeed || 12;
+        this.defaultJointSpeed = config.defaultJointSpeed || 90 * DEG;
+
+        this.deadzone = config.deadzone ?? 0.15;
+
+        this.pressedKeys = new Set();
+        this.pendingActions = [];
+        this.gamepadButtons = [];
+        this.gamepadName = null;
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.handleBlur = this.handleBlur.bind(this);
+        this.handleGamepadConnected = this.handleGamepadConnected.bind(this);
+        this.handleGamepadDisconnected = this.handleGamepadDisconnected.bind(this);
+    }
+
+    attach(target = window) {
+        this.target = target;
+        target.addEventListener('keydown', this.handleKeyDown);
+        target.addEventListener('keyup', this.handleKeyUp);
+        target.addEventListener('blur', this.handleBlur);
+        target.addEventListener('gamepadconnected', this.handleGamepadConnected);
+        target.addEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+    }
+
+    detach() {
+        if (!this.target) return;
+
+        this.target.removeEventListener('keydown', this.handleKeyDown);
+        this.target.removeEventListener('keyup', this.handleKeyUp);
+        this.target.removeEventListener('blur', this.handleBlur);
+        this.target.removeEventListener('gamepadconnected', this.handleGamepadConnected);
+        this.target.removeEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+        this.target = null;
+        this.pressedKeys.clear();
+    }
+
+    /**
+     * @param {RobotModel} model - Robot whose joints are jogged from now on
+     */
+    setModel(model) {
+        this.model = model;
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+    }
+
+    toggleMode() {
+        this.mode = this.mode === JogModes.JOINT ? JogModes.CARTESIAN : JogModes.JOINT;
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.round(Math.max(0.05, Math.min(1, speed)) * 100) / 100;
+    }
+
+    handleKeyDown(event) {
+        // Leave typing in the panels alone
+        const tag = event.target?.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+        if (event.code === 'Equal' || event.code === 'NumpadAdd') {
+            this.setSpeed(this.speed + 0.1);
+            return;
+        }
+        if (event.code === 'Minus' || event.code === 'NumpadSubtract') {
+            this.setSpeed(this.speed - 0.1);
+            return;
+        }
+
+        const action = ACTION_KEYS[event.code];
+        if (action) {
+            event.preventDefault();
+            if (!event.repeat) this.pendingActions.push(action);
+            return;
+        }
+
+        if (this.isJogKey(event.code)) {
+            event.preventDefault();
+            this.pressedKeys.add(event.code);
+        }
+    }
+
+    handleKeyUp(event) {
+        this.pressedKeys.delete(event.code);
+    }
+
+    handleBlur() {
+        this.pressedKeys.clear();
+    }
+
+    handleGamepadConnected(event) {
+        this.gamepadName = event.gamepad.id;
+    }
+
+    handleGamepadDisconnected() {
+        this.gamepadName = null;
+        this.gamepadButtons = [];
+    }
+
+    isJogKey(code) {
+        return JOINT_KEYS.some(pair => pair.includes(code)) ||
+            Object.values(CARTESIAN_KEYS).some(pair => pair.includes(code));
+    }
+
+    /**
+     * Read the keyboard and gamepad
+     * @returns {Object} { mode, active, joints: { name: rad/s }, linear: { x, y, z } units/s,
+     *                   actions: ['gripper' | 'home' | 'mode'] pressed since the last update }
+     */
+    update() {
+        const axes = this.readGamepad();
+        const key = (plus, minus) =>
+            (this.pressedKeys.has(plus) ? 1 : 0) - (this.pressedKeys.has(minus) ? 1 : 0);
+
+        const joints = {};
+        const linear = { x: 0, y: 0, z: 0 };
+
+        if (this.mode === JogModes.JOINT) {
+            this.model.joints.forEach((joint, index) => {
+                const keys = JOINT_KEYS[index];
+                const input = Math.max(-1, Math.min(1, (keys ? key(...keys) : 0) + (axes.joints[index] || 0)));
+                const limit = Number.isFinite(joint.limits.maxVelocity)
+                    ? joint.limits.maxVelocity
+                    : this.defaultJointSpeed;
+                joints[joint.name] = input * limit * this.speed;
+            });
+        } else {
+            Object.entries(CARTESIAN_KEYS).forEach(([axis, keys]) => {
+                const input = Math.max(-1, Math.min(1, key(...keys) + axes.linear[axis]));
+                linear[axis] = input * this.maxLinearSpeed * this.speed;
+            });
+        }
+
+        const active = Object.values(joints).some(value => value !== 0) ||
+            Object.values(linear).some(value => value !== 0);
+
+        const actions = this.pendingActions;
+        this.pendingActions = [];
+
+        return { mode: this.mode, active, joints, linear, actions };
+    }
+
+    /**
+     * Poll the first connected gamepad, queueing button presses as actions
+     * @returns {Object} { joints: [deflection per joint], linear: { x, y, z } }
+     */
+    readGamepad() {
+        const idle = { joints: [], linear: { x: 0, y: 0, z: 0 } };
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return idle;
+
+        const gamepad = [...navigator.getGamepads()].find(pad => pad && pad.connected);
+        if (!gamepad) return idle;
+        this.gamepadName = gamepad.id;
+
+        // Edge-triggered buttons
+        const pressed = gamepad.buttons.map(button => button.pressed);
+        pressed.forEach((isPressed, index) => {
+            if (!isPressed || this.gamepadButtons[index]) return;
+
+            if (GAMEPAD_ACTIONS[index]) this.pendingActions.push(GAMEPAD_ACTIONS[index]);
+            if (index === GAMEPAD_BUTTONS.LB) this.setSpeed(this.speed - 0.1);
+            if (index === GAMEPAD_BUTTONS.RB) this.setSpeed(this.speed + 0.1);
+        });
+        this.gamepadButtons = pressed;
+
+        const axis = (index) => {
+            const value = gamepad.axes[index] || 0;
+            if (Math.abs(value) < this.deadzone) return 0;
+            return Math.sign(value) * (Math.abs(value) - this.deadzone) / (1 - this.deadzone);
+        };
+        const triggers = (gamepad.buttons[GAMEPAD_BUTTONS.RT]?.value || 0) -
+            (gamepad.buttons[GAMEPAD_BUTTONS.LT]?.value || 0);
+
+        // Stick up reads negative, so up is flipped to mean "more"
+        return {
+            joints: [axis(0), -axis(1), -axis(3), axis(2), triggers],
+            linear: { x: axis(0), y: -axis(3), z: axis(1) }
+        };
+    }
+}
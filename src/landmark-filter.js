@@ -0,0 +1,247 @@
+/**
+ * Landmark Filter
+ * Removes landmark jitter from the tracked hand position before it becomes the arm's
+ * target, with a One Euro or a constant-velocity Kalman filter, and measures the lag
+ * the filtering adds
+ */
+
+export const FilterTypes = {
+    NONE: 'none',
+    ONE_EURO: 'one-euro',
+    KALMAN: 'kalman'
+};
+
+export const DEFAULT_FILTER_SETTINGS = {
+    type: FilterTypes.ONE_EURO,
+
+    // Cutoffs in Hz; beta in Hz per normalized unit/s of hand speed
+    oneEuro: { minCutoff: 1, beta: 6, derivativeCutoff: 1 },
+
+    // Spectral density of the hand's random acceleration (normalized units²/s³), and the
+    // landmark jitter as a standard deviation in normalized units
+    kalman: { processNoise: 0.05, measurementNoise: 0.005 }
+};
+
+const AXES = ['x', 'y', 'z'];
+
+/**
+ * Exponential smoothing factor for a first-order low-pass at a cutoff
+ */
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+/**
+ * One Euro filter (Casiez et al. 2012): a low-pass whose cutoff rises with speed, so a
+ * still hand is smoothed hard and a moving one is followed closely. Speed is taken
+ * over all three axes together so they are smoothed alike.
+ */
+export class OneEuroFilter {
+    /**
+     * @param {Object} config - { minCutoff, beta, derivativeCutoff }
+     */
+    constructor(config = {}) {
+        this.configure({ ...DEFAULT_FILTER_SETTINGS.oneEuro, ...config });
+        this.reset();
+    }
+
+    configure({ minCutoff, beta, derivativeCutoff }) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.derivativeCutoff = derivativeCutoff;
+    }
+
+    reset() {
+        this.value = null;
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.time = null;
+    }
+
+    /**
+     * @param {Object} position - Raw position {x, y, z}
+     * @param {number} time - Seconds, monotonic
+     * @returns {Object} Filtered position
+     */
+    filter(position, time) {
+        if (this.value === null) {
+            this.value = { ...position };
+            this.time = time;
+            return { ...this.value };
+        }
+
+        const dt = time - this.time;
+        if (dt <= 0) return { ...this.value };
+        this.time = time;
+
+        const derivativeAlpha = smoothingFactor(this.derivativeCutoff, dt);
+        AXES.forEach(axis => {
+            const rate = (position[axis] - this.value[axis]) / dt;
+            this.velocity[axis] += derivativeAlpha * (rate - this.velocity[axis]);
+        });
+
+        const speed = Math.hypot(this.velocity.x, this.velocity.y, this.velocity.z);
+        const alpha = smoothingFactor(this.minCutoff + this.beta * speed, dt);
+        AXES.forEach(axis => {
+            this.value[axis] += alpha * (position[axis] - this.value[axis]);
+        });
+
+        return { ...this.value };
+    }
+}
+
+/**
+ * Kalman filter with a constant-velocity model per axis, driven by white-noise
+ * acceleration. Tracks steady motion without the lag of a plain low-pass.
+ */
+export class KalmanFilter {
+    /**
+     * @param {Object} config - { processNoise, measurementNoise }
+     */
+    constructor(config = {}) {
+        this.configure({ ...DEFAULT_FILTER_SETTINGS.kalman, ...config });
+        this.reset();
+    }
+
+    configure({ processNoise, measurementNoise }) {
+        this.processNoise = processNoise;
+        this.measurementNoise = measurementNoise;
+    }
+
+    reset() {
+        // Per axis: position p, velocity v and covariance [[pp, pv], [pv, vv]]
+        this.axes = null;
+        this.time = null;
+    }
+
+    /**
+     * @param {Object} position - Raw position {x, y, z}
+     * @param {number} time - Seconds, monotonic
+     * @returns {Object} Filtered position
+     */
+    filter(position, time) {
+        const r = this.measurementNoise ** 2;
+
+        if (this.axes === null) {
+            this.axes = {};
+            AXES.forEach(axis => {
+                // Start certain of nothing but the first measurement
+                this.axes[axis] = { p: position[axis], v: 0, pp: r, pv: 0, vv: 1 };
+            });
+            this.time = time;
+            return this.estimate();
+        }
+
+        const dt = time - this.time;
+        if (dt <= 0) return this.estimate();
+        this.time = time;
+
+        const q = this.processNoise;
+        AXES.forEach(axis => {
+            const s = this.axes[axis];
+
+            // Predict
+            s.p += s.v * dt;
+            const pp = s.pp + dt * (2 * s.pv + dt * s.vv) + q * dt ** 3 / 3;
+            const pv = s.pv + dt * s.vv + q * dt ** 2 / 2;
+            const vv = s.vv + q * dt;
+
+            // Update with the measured position
+            const innovation = position[axis] - s.p;
+            const variance = pp + r;
+            const kp = pp / variance;
+            const kv = pv / variance;
+
+            s.p += kp * innovation;
+            s.v += kv * innovation;
+            s.pp = (1 - kp) * pp;
+            s.pv = (1 - kp) * pv;
+            s.vv = vv - kv * pv;
+        });
+
+        return this.estimate();
+    }
+
+    estimate() {
+        return { x: this.axes.x.p, y: this.axes.y.p, z: this.axes.z.p };
+    }
+}
+
+/**
+ * The selected filter plus a running estimate of the delay it adds
+ */
+export class LandmarkFilter {
+    /**
+     * @param {Object} settings - Same shape as DEFAULT_FILTER_SETTINGS
+     */
+    constructor(settings = DEFAULT_FILTER_SETTINGS) {
+        this.filters = {
+            [FilterTypes.ONE_EURO]: new OneEuroFilter(),
+            [FilterTypes.KALMAN]: new KalmanFilter()
+        };
+        this.configure(settings);
+        this.reset();
+    }
+
+    /**
+     * Switch filter or retune it. Changing the type restarts from the next sample.
+     * @param {Object} settings - { type, oneEuro, kalman }
+     */
+    configure(settings) {
+        if (settings.type !== this.type) {
+            this.type = settings.type;
+            this.reset();
+        }
+        this.filters[FilterTypes.ONE_EURO].configure({ ...DEFAULT_FILTER_SETTINGS.oneEuro, ...settings.oneEuro });
+        this.filters[FilterTypes.KALMAN].configure({ ...DEFAULT_FILTER_SETTINGS.kalman, ...settings.kalman });
+    }
+
+    reset() {
+        Object.values(this.filters).forEach(filter => filter.reset());
+        this.raw = null;
+        this.rawVelocity = { x: 0, y: 0, z: 0 };
+        this.time = null;
+
+        // Seconds, null until the hand has moved enough to measure it
+        this.lag = null;
+    }
+
+    /**
+     * @param {Object} position - Raw position {x, y, z}
+     * @param {number} time - Seconds, monotonic
+     * @returns {Object} Filtered position
+     */
+    filter(position, time) {
+        const filter = this.filters[this.type];
+        const filtered = filter ? filter.filter(position, time) : { ...position };
+        this.measureLag(position, filtered, time);
+        return filtered;
+    }
+
+    /**
+     * How far behind the raw signal the output runs: the filtered point's offset along
+     * the direction of motion divided by the speed. Only measured while the hand moves,
+     * since a still hand has no lag to speak of.
+     */
+    measureLag(raw, filtered, time) {
+        if (this.raw !== null && time > this.time) {
+            const dt = time - this.time;
+            const alpha = smoothingFactor(5, dt);
+            AXES.forEach(axis => {
+                const rate = (raw[axis] - this.raw[axis]) / dt;
+                this.rawVelocity[axis] += alpha * (rate - this.rawVelocity[axis]);
+            });
+
+            const v = this.rawVelocity;
+            const speedSquared = v.x ** 2 + v.y ** 2 + v.z ** 2;
+            if (speedSquared > 0.3 ** 2) {
+                const behind = AXES.reduce((sum, axis) => sum + (raw[axis] - filtered[axis]) * v[axis], 0);
+                const lag = Math.max(0, Math.min(0.5, behind / speedSquared));
+                this.lag = this.lag === null ? lag : this.lag + (lag - this.lag) * 0.1;
+            }
+        }
+
+        this.raw = { ...raw };
+        this.time = time;
+    }
+}
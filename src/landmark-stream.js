@@ -0,0 +1,262 @@
+/**
+ * Landmark Streams
+ * Records raw MediaPipe Hands results to NDJSON and feeds them back through the same
+ * onResults callback, so tracking runs can be reproduced without a camera
+ */
+
+const FORMAT = 'hand-landmarks';
+const FORMAT_VERSION = 1;
+
+// Shortest gap between loops, one camera frame, so a stream whose frames share a
+// timestamp still loops at a frame rate instead of spinning
+const MIN_LOOP_GAP = 1 / 30;
+
+export class LandmarkRecorder {
+    constructor() {
+        this.frames = [];
+        this.isRecording = false;
+        this.startTime = 0;
+    }
+
+    /**
+     * @param {string} cameraId - Camera the landmarks come from, kept so replays can
+     *                            use that camera's calibration
+     */
+    start(cameraId = 'default') {
+        this.frames = [];
+        this.startTime = 0;
+        this.cameraId = cameraId;
+        this.isRecording = true;
+    }
+
+    /**
+     * @returns {string} The recording as NDJSON
+     */
+    stop() {
+        this.isRecording = false;
+        return this.toNDJSON();
+    }
+
+    /**
+     * Store one MediaPipe Hands result. Timestamps start at the first captured frame.
+     * @param {Object} results - { multiHandLandmarks, multiHandedness, multiHandWorldLandmarks },
+     *                           plus { time } in seconds when replayed from a stream
+     */
+    capture(results) {
+        if (!this.isRecording) return;
+
+        const now = results.time !== undefined ? results.time * 1000 : performance.now();
+        if (this.frames.length === 0) this.startTime = now;
+
+        // The camera image isn't serializable and nothing downstream reads it
+        this.frames.push({
+            t: (now - this.startTime) / 1000,
+            multiHandLandmarks: results.multiHandLandmarks || [],
+            multiHandedness: results.multiHandedness || [],
+            multiHandWorldLandmarks: results.multiHandWorldLandmarks || []
+        });
+    }
+
+    /**
+     * One header line followed by one line per frame
+     */
+    toNDJSON() {
+        const header = {
+            format: FORMAT,
+            version: FORMAT_VERSION,
+            recordedAt: new Date().toISOString(),
+            camera: this.cameraId,
+            frames: this.frames.length
+        };
+        return [header, ...this.frames].map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+
+    /**
+     * Parse and validate an NDJSON landmark stream
+     * @param {string} text - File contents
+     * @returns {Object} { header, frames }
+     */
+    static parse(text) {
+        const lines = text.split('\n').filter(line => line.trim() !== '');
+        if (lines.length === 0) {
+            throw new Error('Landmark stream is empty');
+        }
+
+        const entries = lines.map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Line ${index + 1} is not valid JSON`);
+            }
+        });
+
+        const [header, ...frames] = entries;
+        if (header.format !== FORMAT || header.version !== FORMAT_VERSION) {
+            throw new Error('Unsupported landmark stream format');
+        }
+        if (frames.length === 0) {
+            throw new Error('Landmark stream contains no frames');
+        }
+
+        frames.forEach((frame, index) => {
+            if (typeof frame.t !== 'number' || !Array.isArray(frame.multiHandLandmarks)) {
+                throw new Error(`Frame on line ${index + 2} is malformed`);
+            }
+            if (index > 0 && frame.t < frames[index - 1].t) {
+                throw new Error(`Frame on line ${index + 2} goes back in time`);
+            }
+        });
+
+        return { header, frames };
+    }
+}
+
+/**
+ * Plays a landmark stream into an onResults callback at its recorded timing. Has the
+ * same start/stop/isActive surface as HandTracker so it can stand in for one.
+ *
+ * Results carry the frame's stream time as { time } in seconds, so filters and gesture
+ * timers downstream run on recorded time rather than the wall clock.
+ */
+export class LandmarkPlayer {
+    /**
+     * @param {Function} onResults - Receives MediaPipe-shaped results
+     * @param {Object} config - { speed, loop }
+     */
+    constructor(onResults, config = {}) {
+        this.onResultsCallback = onResults;
+        this.stream = null;
+        this.speed = config.speed || 1;
+        this.loop = config.loop ?? false;
+        this.isActive = false;
+        this.onEnd = null;
+
+        this.index = 0;
+        this.startTime = 0;
+        this.timer = null;
+
+        // Added to frame times on each loop, so time keeps running forwards
+        this.timeOffset = 0;
+    }
+
+    get duration() {
+        if (!this.stream) return 0;
+        const frames = this.stream.frames;
+        return frames[frames.length - 1].t;
+    }
+
+    /**
+     * Camera the stream was recorded with
+     */
+    getCameraId() {
+        return this.stream?.header.camera || 'default';
+    }
+
+    /**
+     * Time of the last frame delivered, in stream seconds
+     */
+    get currentTime() {
+        if (!this.stream || this.index === 0) return 0;
+        return this.stream.frames[this.index - 1].t;
+    }
+
+    /**
+     * @param {Object} stream - Parsed stream from LandmarkRecorder.parse
+     */
+    load(stream) {
+        this.stop();
+        this.stream = stream;
+        this.index = 0;
+        this.timeOffset = 0;
+    }
+
+    async start() {
+        if (this.isActive) return;
+        if (!this.stream) {
+            throw new Error('No landmark stream loaded');
+        }
+
+        this.index = 0;
+        this.timeOffset = 0;
+        this.startTime = performance.now();
+        this.isActive = true;
+        this.schedule();
+    }
+
+    async stop() {
+        this.isActive = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Change speed mid-run without skipping or repeating frames
+     */
+    setSpeed(speed) {
+        if (this.isActive) {
+            this.startTime = performance.now() - (this.currentTime * 1000) / speed;
+        }
+        this.speed = speed;
+    }
+
+    schedule() {
+        if (!this.isActive) return;
+
+        const frame = this.stream.frames[this.index];
+        const due = this.startTime + (frame.t * 1000) / this.speed;
+
+        this.timer = setTimeout(() => {
+            if (!this.isActive) return;
+
+            this.step();
+
+            if (this.index >= this.stream.frames.length) {
+                if (!this.loop) {
+                    this.isActive = false;
+                    if (this.onEnd) this.onEnd();
+                    return;
+                }
+                this.index = 0;
+                this.timeOffset += this.loopLength();
+                this.startTime = performance.now() + ((this.loopLength() - this.duration) * 1000) / this.speed;
+            }
+            this.schedule();
+        }, Math.max(0, due - performance.now()));
+    }
+
+    /**
+     * Stream time from one loop's start to the next: its duration plus one average
+     * frame interval, so the first frame doesn't land on the last
+     */
+    loopLength() {
+        const frames = this.stream.frames;
+        const interval = frames.length > 1 ? this.duration / (frames.length - 1) : 0;
+        return this.duration + Math.max(interval, MIN_LOOP_GAP);
+    }
+
+    /**
+     * Deliver the next frame immediately, ignoring timing. Lets scripts run a
+     * stream through the pipeline deterministically: the results carry the frame's
+     * recorded time, whether or not the player is running.
+     * @returns {boolean} False once the stream is exhausted
+     */
+    step() {
+        if (!this.stream || this.index >= this.stream.frames.length) return false;
+
+        const frame = this.stream.frames[this.index++];
+        if (this.onResultsCallback) {
+            this.onResultsCallback({
+                image: null,
+                time: this.timeOffset + frame.t,
+                multiHandLandmarks: frame.multiHandLandmarks,
+                multiHandedness: frame.multiHandedness || [],
+                multiHandWorldLandmarks: frame.multiHandWorldLandmarks || []
+            });
+        }
+        return true;
+    }
+
+    dispose() {
+        this.stop();
+    }
+}
@@ -6,16 +6,72 @@
 import './style.css';
 import * as THREE from 'three';
 import { SceneManager } from './scene-manager.js';
-import { IKSolver } from './ik-solver.js';
-import { HandTracker, HandLandmarks } from './hand-tracker.js';
+import { ToolOrientations } from './ik-solver.js';
+import { ArmInstance } from './arm-instance.js';
+import { DEFAULT_ROBOT } from './robot-model.js';
+import { UrdfLoader } from './urdf-loader.js';
+import { ObjectManager } from './object-manager.js';
+import { MotionRecorder, MotionPlayer } from './motion-recorder.js';
+import { LandmarkRecorder } from './landmark-stream.js';
+import { HandMapping } from './hand-calibration.js';
+import { CalibrationWizard } from './calibration-wizard.js';
+import {
+  GestureActions,
+  GestureActionLabels,
+  GestureLabels,
+  DEFAULT_GESTURE_BINDINGS
+} from './gesture-recognizer.js';
+import { FilterTypes, DEFAULT_FILTER_SETTINGS } from './landmark-filter.js';
+import {
+  TrackingLossPolicies,
+  TrackingLossLabels,
+  DEFAULT_TRACKING_LOSS,
+  REACQUIRE_TIME,
+  TrackingLossMonitor
+} from './tracking-loss.js';
+import {
+  ServoProtocolLabels,
+  SerialServoOutput,
+  MockSerialPort,
+  ServoConfigStore
+} from './servo-output.js';
+import { RosBridgeClient, BridgeStatus, RemoteHold } from './ros-bridge.js';
+import { TeachPendant, ProgramRunner } from './teach-pendant.js';
+import { PendantPanel } from './pendant-panel.js';
+import { CollisionChecker } from './collision-checker.js';
+import { JogController } from './jog-controller.js';
+import {
+  InputStatus,
+  HandModes,
+  HandInputSource,
+  LandmarkReplayInputSource,
+  MouseInputSource,
+  JogInputSource,
+  ScriptedInputSource,
+  ScriptedPaths,
+  ReplayInputSource
+} from './input-sources.js';
+
+// Input source selector value for an arm that just holds its pose
+const NO_INPUT = 'none';
+
+const DEG = Math.PI / 180;
 
 class RoboticArmApp {
   constructor() {
-    // State
+    // App-wide settings; per-arm motion state lives on each ArmInstance
     this.state = {
-      target: new THREE.Vector3(10, 10, 0),
-      smoothTarget: new THREE.Vector3(10, 10, 0),
-      isTracking: false,
+      orientationMode: 'free',
+      depthMode: 'landmark',
+      handMode: HandModes.ONE,
+      isPlayingBack: false,
+      gestureBindings: { ...DEFAULT_GESTURE_BINDINGS },
+      filter: {
+        type: DEFAULT_FILTER_SETTINGS.type,
+        oneEuro: { ...DEFAULT_FILTER_SETTINGS.oneEuro },
+        kalman: { ...DEFAULT_FILTER_SETTINGS.kalman }
+      },
+      trackingLoss: { ...DEFAULT_TRACKING_LOSS },
       smoothing: 0.1,
       scale: 1.5,
       speed: 0.8
@@ -28,11 +84,34 @@ class RoboticArmApp {
       fps: 0
     };
 
+    // Arms in the cell; this.arm is the one the panel controls
+    this.arms = [];
+    this.arm = null;
+    this.nextArmNumber = 1;
+
+    // Obstacles are shared by every arm's collision checker
+    this.obstacles = [];
+
+    // Arms a program, the playback and the recorder are working with
+    this.programArm = null;
+    this.playbackArm = null;
+    this.recordingArm = null;
+
     // Initialize components
     this.initUI();
     this.initScene();
-    this.initIK();
-    this.initHandTracking();
+    this.initObjects();
+    this.initArms();
+    this.initRecording();
+    this.initPendant();
+    this.initJog();
+    this.initInputSources();
+    this.initCalibration();
+    this.initGestures();
+    this.initFilter();
+    this.initTrackingLoss();
+    this.initServoOutput();
+    this.initBridge();
     this.startAnimationLoop();
 
     // Hide loading screen
@@ -42,10 +121,22 @@ class RoboticArmApp {
   initUI() {
     // Get UI elements
     this.ui = {
-      cameraToggle: document.getElementById('camera-toggle'),
+      armSelect: document.getElementById('arm-select'),
+      armX: document.getElementById('arm-x'),
+      armZ: document.getElementById('arm-z'),
+      armRotation: document.getElementById('arm-rotation'),
+      armAdd: document.getElementById('arm-add'),
+      armRemove: document.getElementById('arm-remove'),
+      robotLoad: document.getElementById('robot-load'),
+      robotReset: document.getElementById('robot-reset'),
+      robotFile: document.getElementById('robot-file'),
+      robotStatus: document.getElementById('robot-status'),
+      inputSource: document.getElementById('input-source'),
       statusDot: document.getElementById('status-dot'),
       statusText: document.getElementById('status-text'),
       fpsCounter: document.getElementById('fps-counter'),
+      limitWarning: document.getElementById('limit-warning'),
+      collisionWarning: document.getElementById('collision-warning'),
 
       smoothingSlider: document.getElementById('smoothing-slider'),
       smoothingValue: document.getElementById('smoothing-value'),
@@ -56,9 +147,78 @@ class RoboticArmApp {
       speedSlider: document.getElementById('speed-slider'),
       speedValue: document.getElementById('speed-value'),
 
+      orientationSelect: document.getElementById('orientation-select'),
+      depthSelect: document.getElementById('depth-select'),
+      handMode: document.getElementById('hand-mode'),
+      calibrateStart: document.getElementById('calibrate-start'),
+      calibrateReset: document.getElementById('calibrate-reset'),
+      calibrationStatus: document.getElementById('calibration-status'),
+      gestureStatus: document.getElementById('gesture-status'),
+      gestureBindings: document.getElementById('gesture-bindings'),
+      filterType: document.getElementById('filter-type'),
+      filterOneEuro: document.getElementById('filter-one-euro'),
+      filterKalman: document.getElementById('filter-kalman'),
+      filterLag: document.getElementById('filter-lag'),
+      lossPolicy: document.getElementById('loss-policy'),
+      lossTimeout: document.getElementById('loss-timeout'),
+      lossTimeoutValue: document.getElementById('loss-timeout-value'),
+      lossStatus: document.getElementById('loss-status'),
+      homeSet: document.getElementById('home-set'),
+      homeReset: document.getElementById('home-reset'),
+      servoProtocol: document.getElementById('servo-protocol'),
+      servoBaud: document.getElementById('servo-baud'),
+      servoRate: document.getElementById('servo-rate'),
+      servoRateValue: document.getElementById('servo-rate-value'),
+      servoJoints: document.getElementById('servo-joints'),
+      servoConnect: document.getElementById('servo-connect'),
+      servoMock: document.getElementById('servo-mock'),
+      servoDisconnect: document.getElementById('servo-disconnect'),
+      servoStatus: document.getElementById('servo-status'),
+      servoLog: document.getElementById('servo-log'),
+      bridgeUrl: document.getElementById('bridge-url'),
+      bridgeConnect: document.getElementById('bridge-connect'),
+      bridgeDisconnect: document.getElementById('bridge-disconnect'),
+      bridgeStatus: document.getElementById('bridge-status'),
+      workspaceToggle: document.getElementById('workspace-toggle'),
+
       posX: document.getElementById('pos-x'),
       posY: document.getElementById('pos-y'),
-      posZ: document.getElementById('pos-z')
+      posZ: document.getElementById('pos-z'),
+
+      gripperToggle: document.getElementById('gripper-toggle'),
+      gripperState: document.getElementById('gripper-state'),
+
+      spawnButtons: document.querySelectorAll('[data-spawn]'),
+      clearObjects: document.getElementById('clear-objects'),
+
+      obstacleX: document.getElementById('obstacle-x'),
+      obstacleZ: document.getElementById('obstacle-z'),
+      obstacleSize: document.getElementById('obstacle-size'),
+      obstacleHeight: document.getElementById('obstacle-height'),
+      obstacleAdd: document.getElementById('obstacle-add'),
+      obstacleClear: document.getElementById('obstacle-clear'),
+
+      jogMode: document.getElementById('jog-mode'),
+      jogSpeed: document.getElementById('jog-speed'),
+      jogSpeedValue: document.getElementById('jog-speed-value'),
+      jogStatus: document.getElementById('jog-status'),
+      homeButton: document.getElementById('home-button'),
+
+      recordToggle: document.getElementById('record-toggle'),
+      recordingSave: document.getElementById('recording-save'),
+      recordingLoad: document.getElementById('recording-load'),
+      recordingFile: document.getElementById('recording-file'),
+      playbackToggle: document.getElementById('playback-toggle'),
+      playbackStop: document.getElementById('playback-stop'),
+      playbackSpeed: document.getElementById('playback-speed'),
+      playbackSpeedValue: document.getElementById('playback-speed-value'),
+      landmarkRecord: document.getElementById('landmark-record'),
+      landmarkLoad: document.getElementById('landmark-load'),
+      landmarkFile: document.getElementById('landmark-file'),
+      landmarkSpeed: document.getElementById('landmark-speed'),
+      landmarkSpeedValue: document.getElementById('landmark-speed-value'),
+      playbackScrub: document.getElementById('playback-scrub'),
+      playbackTime: document.getElementById('playback-time')
     };
 
     // Setup event listeners
@@ -66,9 +226,37 @@ class RoboticArmApp {
   }
 
   setupEventListeners() {
-    // Camera toggle
-    this.ui.cameraToggle.addEventListener('click', () => {
-      this.toggleCamera();
+    // Arms in the cell
+    this.ui.armSelect.addEventListener('change', (e) => {
+      this.selectArm(e.target.value);
+    });
+
+    this.ui.armAdd.addEventListener('click', () => {
+      this.addArm();
+    });
+
+    this.ui.armRemove.addEventListener('click', () => {
+      this.removeArm(this.arm);
+    });
+
+    // Robot of the active arm, built in or imported from URDF
+    this.ui.robotLoad.addEventListener('click', () => {
+      this.ui.robotFile.click();
+    });
+
+    this.ui.robotFile.addEventListener('change', (e) => {
+      const files = [...e.target.files];
+      if (files.length > 0) this.loadRobot(files);
+      e.target.value = '';
+    });
+
+    this.ui.robotReset.addEventListener('click', () => {
+      this.replaceArm(this.arm, DEFAULT_ROBOT);
+    });
+
+    // Input source selector, bound to the active arm
+    this.ui.inputSource.addEventListener('change', (e) => {
+      this.setInputSource(this.arm, e.target.value);
     });
 
     // Smoothing slider
@@ -88,6 +276,142 @@ class RoboticArmApp {
       this.state.speed = parseFloat(e.target.value);
       this.ui.speedValue.textContent = this.state.speed.toFixed(2);
     });
+
+    // Manual gripper toggle
+    this.ui.gripperToggle.addEventListener('click', () => {
+      this.arm.gripper.toggle();
+    });
+
+    // Graspable objects
+    this.ui.spawnButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        this.objectManager.spawn(button.dataset.spawn);
+      });
+    });
+
+    this.ui.clearObjects.addEventListener('click', () => {
+      this.objectManager.clear();
+    });
+
+    // Static obstacles
+    this.ui.obstacleAdd.addEventListener('click', () => {
+      this.addObstacle();
+    });
+
+    this.ui.obstacleClear.addEventListener('click', () => {
+      this.arm.collisionChecker.clearObstacles();
+      this.sceneManager.clearObstacles();
+    });
+
+    // Keyboard / gamepad jogging
+    this.ui.jogMode.addEventListener('change', (e) => {
+      this.jog.setMode(e.target.value);
+    });
+
+    this.ui.jogSpeed.addEventListener('input', (e) => {
+      this.jog.setSpeed(parseFloat(e.target.value));
+    });
+
+    this.ui.homeButton.addEventListener('click', () => {
+      this.goHome();
+    });
+
+    // Recording and playback
+    this.ui.recordToggle.addEventListener('click', () => {
+      this.toggleRecording();
+    });
+
+    this.ui.recordingSave.addEventListener('click', () => {
+      this.saveRecording();
+    });
+
+    this.ui.recordingLoad.addEventListener('click', () => {
+      this.ui.recordingFile.click();
+    });
+
+    this.ui.recordingFile.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.loadRecording(file);
+      e.target.value = '';
+    });
+
+    this.ui.playbackToggle.addEventListener('click', () => {
+      this.togglePlayback();
+    });
+
+    this.ui.playbackStop.addEventListener('click', () => {
+      this.stopPlayback();
+    });
+
+    this.ui.playbackSpeed.addEventListener('input', (e) => {
+      const speed = parseFloat(e.target.value);
+      this.player.setSpeed(speed);
+      this.ui.playbackSpeedValue.textContent = `${speed.toFixed(2)}x`;
+    });
+
+    // Raw landmark streams
+    this.ui.landmarkRecord.addEventListener('click', () => {
+      this.toggleLandmarkRecording();
+    });
+
+    this.ui.landmarkLoad.addEventListener('click', () => {
+      this.ui.landmarkFile.click();
+    });
+
+    this.ui.landmarkFile.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.loadLandmarks(file);
+      e.target.value = '';
+    });
+
+    this.ui.landmarkSpeed.addEventListener('input', (e) => {
+      const speed = parseFloat(e.target.value);
+      this.landmarkSource.setSpeed(speed);
+      this.ui.landmarkSpeedValue.textContent = `${speed.toFixed(2)}x`;
+    });
+
+    this.ui.playbackScrub.addEventListener('input', (e) => {
+      if (!this.player.recording) return;
+
+      // Scrubbing enters playback paused at the chosen time
+      this.stopProgram();
+      if (!this.startPlayback()) return;
+      this.player.pause();
+      this.player.seek((parseFloat(e.target.value) / 1000) * this.player.duration);
+      this.updatePlaybackUI();
+    });
+
+    // Tool orientation mode
+    this.ui.orientationSelect.addEventListener('change', (e) => {
+      this.state.orientationMode = e.target.value;
+    });
+
+    // Hand depth estimation
+    this.ui.depthSelect.addEventListener('change', (e) => {
+      this.state.depthMode = e.target.value;
+    });
+
+    // One- or two-hand control
+    this.ui.handMode.addEventListener('change', (e) => {
+      this.state.handMode = e.target.value;
+      this.arms.forEach(arm => { arm.state.rollTarget = null; });
+    });
+
+    // Hand-to-workspace calibration
+    this.ui.calibrateStart.addEventListener('click', () => {
+      this.startCalibration();
+    });
+
+    this.ui.calibrateReset.addEventListener('click', () => {
+      this.resetCalibration();
+    });
+
+    // Reachable workspace shell
+    this.ui.workspaceToggle.addEventListener('click', () => {
+      const visible = !this.ui.workspaceToggle.classList.contains('active');
+      this.sceneManager.setWorkspaceVisible(visible);
+      this.ui.workspaceToggle.classList.toggle('active', visible);
+    });
   }
 
   initScene() {
@@ -95,83 +419,1023 @@ class RoboticArmApp {
     this.sceneManager = new SceneManager(container);
   }
 
-  initIK() {
-    this.ikSolver = new IKSolver({
-      baseHeight: 4,
-      lowerArmLength: 12,
-      upperArmLength: 10
+  initObjects() {
+    this.objectManager = new ObjectManager(this.sceneManager.scene);
+  }
+
+  initArms() {
+    this.selectArm(this.createArm({ position: { x: 0, z: 0 }, rotation: 0 }).id);
+  }
+
+  /**
+   * Add an arm to the cell
+   * @param {Object} options - { position: {x, z}, rotation (radians), definition }
+   * @returns {ArmInstance|null} The arm, or null if its base would overlap another
+   */
+  createArm({ position, rotation, definition }) {
+    const number = this.nextArmNumber;
+    const arm = new ArmInstance({
+      id: `arm-${number}`,
+      name: `Arm ${number}`,
+      definition,
+      position,
+      rotation,
+      obstacles: this.obstacles
+    });
+
+    const clash = this.arms.find(other => arm.overlaps(other));
+    if (clash) {
+      alert(`${arm.name} would stand on ${clash.name}'s base; place it further away.`);
+      return null;
+    }
+
+    this.nextArmNumber++;
+    this.arms.push(arm);
+    this.sceneManager.addArm(arm.id, arm.model, { position: arm.position, rotation: arm.rotation });
+    this.renderArmList();
+    return arm;
+  }
+
+  addArm() {
+    const x = parseFloat(this.ui.armX.value);
+    const z = parseFloat(this.ui.armZ.value);
+    const degrees = parseFloat(this.ui.armRotation.value);
+
+    if ([x, z, degrees].some(Number.isNaN)) {
+      alert('Enter a numeric base position and rotation for the arm.');
+      return;
+    }
+
+    const arm = this.createArm({ position: { x, z }, rotation: degrees * DEG });
+    if (arm) this.selectArm(arm.id);
+  }
+
+  async removeArm(arm) {
+    if (this.arms.length === 1) {
+      alert('The cell needs at least one arm.');
+      return;
+    }
+
+    if (arm === this.programArm) this.stopProgram();
+    if (arm === this.playbackArm) this.stopPlayback();
+    if (arm === this.recordingArm && this.recorder.isRecording) this.toggleRecording();
+    if (arm === this.servoArm) await this.disconnectServoOutput();
+    await this.setInputSource(arm, NO_INPUT);
+
+    this.objectManager.release(arm.id);
+    this.sceneManager.removeArm(arm.id);
+    this.arms = this.arms.filter(other => other !== arm);
+    this.renderArmList();
+
+    if (arm === this.arm) this.selectArm(this.arms[0].id);
+  }
+
+  /**
+   * Import a robot from URDF for the active arm
+   * @param {Array} files - The .urdf file plus the meshes it references
+   */
+  async loadRobot(files) {
+    let result;
+    try {
+      result = await UrdfLoader.load(files);
+    } catch (error) {
+      console.error('Failed to load URDF:', error);
+      alert(`Failed to load URDF: ${error.message}`);
+      return;
+    }
+
+    const arm = await this.replaceArm(this.arm, result.definition);
+    if (!arm) return;
+
+    if (result.warnings.length > 0) {
+      console.warn(`URDF "${result.definition.name}":`, result.warnings);
+      alert(`Loaded "${result.definition.name}" with warnings:\n${result.warnings.join('\n')}`);
+    }
+  }
+
+  /**
+   * Rebuild an arm around another robot, keeping its place in the cell and its input.
+   * Programs, playback and recording on it stop, and servo output disconnects since
+   * the joints it was calibrated for are gone.
+   * @param {ArmInstance} arm
+   * @param {Object} definition - Robot definition, e.g. from UrdfLoader
+   * @returns {Promise<ArmInstance|null>} The new arm, or null if its base would overlap another
+   */
+  async replaceArm(arm, definition) {
+    const replacement = new ArmInstance({
+      id: arm.id,
+      name: arm.name,
+      definition,
+      position: arm.position,
+      rotation: arm.rotation,
+      obstacles: this.obstacles
+    });
+
+    const clash = this.arms.find(other => other !== arm && replacement.overlaps(other));
+    if (clash) {
+      alert(`${definition.name || 'The robot'} would stand on ${clash.name}'s base; move the arm first.`);
+      return null;
+    }
+
+    if (arm === this.programArm) this.stopProgram();
+    if (arm === this.playbackArm) this.stopPlayback();
+    if (arm === this.recordingArm && this.recorder.isRecording) this.toggleRecording();
+    if (arm === this.servoArm) await this.disconnectServoOutput();
+
+    const sourceId = arm.source ? arm.source.id : NO_INPUT;
+    await this.setInputSource(arm, NO_INPUT);
+
+    this.objectManager.release(arm.id);
+    this.sceneManager.removeArm(arm.id);
+    this.arms[this.arms.indexOf(arm)] = replacement;
+    this.sceneManager.addArm(replacement.id, replacement.model, {
+      position: replacement.position,
+      rotation: replacement.rotation
     });
+    this.renderArmList();
+
+    if (arm === this.arm) this.selectArm(replacement.id);
+    await this.setInputSource(replacement, sourceId);
+    return replacement;
   }
 
-  initHandTracking() {
-    const videoElement = document.getElementById('webcam');
+  /**
+   * Point the panel at another arm: its input source, joints, status and program
+   */
+  selectArm(id) {
+    const arm = this.arms.find(other => other.id === id);
+    if (!arm) return;
+
+    this.arm = arm;
+    this.ui.armSelect.value = arm.id;
+
+    // The panel is built after the first arm exists
+    if (!this.pendantPanel) return;
+
+    this.ui.robotStatus.textContent = arm.model.name;
+    this.pendantPanel.setModel(arm.model);
+    this.pendantPanel.updateJointSliders(arm.getJointAngles());
+    this.ui.inputSource.value = arm.source ? arm.source.id : NO_INPUT;
+    this.updateInputStatus(arm.source
+      ? { status: arm.source.status, text: arm.source.statusText }
+      : { status: InputStatus.IDLE, text: 'No input · holding pose' });
+    this.updateTrackingLossStatus(arm);
+    this.updateCalibrationUI();
+  }
 
-    this.handTracker = new HandTracker(videoElement, (results) => {
-      this.onHandResults(results);
+  renderArmList() {
+    this.ui.armSelect.innerHTML = '';
+    this.arms.forEach(arm => {
+      const option = document.createElement('option');
+      option.value = arm.id;
+      option.textContent = `${arm.name} · (${arm.position.x}, ${arm.position.z}) ${Math.round(arm.rotation / DEG)}°`;
+      this.ui.armSelect.appendChild(option);
     });
+    if (this.arm) this.ui.armSelect.value = this.arm.id;
+  }
+
+  /**
+   * Link capsules of every arm but one, for its collision check
+   */
+  otherArmBodies(arm) {
+    return this.arms
+      .filter(other => other !== arm && other.bodies)
+      .map(other => ({ name: other.name, bodies: other.bodies }));
+  }
+
+  initRecording() {
+    this.recorder = new MotionRecorder();
+    this.player = new MotionPlayer();
   }
 
-  async toggleCamera() {
-    if (!this.state.isTracking) {
-      // Start tracking
-      try {
-        await this.handTracker.start();
-        this.state.isTracking = true;
+  initPendant() {
+    // Waypoints and programs are in arm coordinates, so they run on whichever arm is active
+    this.pendant = new TeachPendant();
+    this.programRunner = new ProgramRunner(this.pendant, this.arm.planner);
 
-        this.ui.cameraToggle.textContent = '⏹️ Stop Camera';
-        this.ui.cameraToggle.classList.add('active');
-        this.ui.statusText.textContent = 'Camera Active';
-        this.ui.statusDot.classList.add('active');
-      } catch (error) {
-        console.error('Camera error:', error);
-        alert('Failed to start camera. Please ensure camera permissions are granted.');
+    this.pendantPanel = new PendantPanel(this.pendant, this.arm.model, {
+      getPose: () => ({
+        target: this.arm.model.forward(this.arm.getJointAngles()),
+        angles: this.arm.getJointAngles(),
+        gripper: this.arm.state.gripper
+      }),
+      moveTo: (target) => {
+        this.arm.state.target.set(target.x, target.y, target.z);
+      },
+      setJointAngles: (angles) => {
+        this.arm.setJointAngles(angles);
+      },
+      run: (loop) => {
+        this.runProgram(loop);
+      },
+      stop: () => {
+        this.stopProgram();
+      },
+      setProfile: (profile) => {
+        this.programRunner.profile = profile;
+      },
+      onError: (message) => {
+        alert(message);
       }
+    });
+
+    this.programRunner.onStepChange = (index, trajectory) => {
+      this.pendantPanel.setActiveStep(index, trajectory);
+    };
+    this.programRunner.onFinish = () => {
+      this.finishProgram();
+    };
+    this.programRunner.onError = (message) => {
+      this.finishProgram();
+      alert(message);
+    };
+  }
+
+  initJog() {
+    this.jog = new JogController(this.arm.model, {
+      mode: this.ui.jogMode.value,
+      speed: parseFloat(this.ui.jogSpeed.value)
+    });
+  }
+
+  initInputSources() {
+    const handConfig = {
+      getScale: () => this.state.scale,
+      getDepthMode: () => this.state.depthMode,
+      getHandMode: () => this.state.handMode
+    };
+    this.handSource = new HandInputSource(document.getElementById('webcam'), handConfig);
+    this.landmarkSource = new LandmarkReplayInputSource(handConfig);
+
+    this.inputSources = [
+      new MouseInputSource(this.sceneManager, {
+        getPickables: () => this.objectManager.objects.map(object => object.mesh)
+      }),
+      this.handSource,
+      new JogInputSource(this.jog),
+      new ScriptedInputSource('scripted-circle', 'Scripted circle', {
+        path: ScriptedPaths.circle(),
+        period: 8
+      }),
+      new ScriptedInputSource('scripted-eight', 'Scripted figure-8', {
+        path: ScriptedPaths.figureEight(),
+        period: 10
+      }),
+      new ReplayInputSource(() => this.player.recording),
+      this.landmarkSource
+    ];
+
+    this.ui.inputSource.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = NO_INPUT;
+    none.textContent = 'None (hold pose)';
+    this.ui.inputSource.appendChild(none);
+
+    this.inputSources.forEach(source => {
+      const option = document.createElement('option');
+      option.value = source.id;
+      option.textContent = source.label;
+      this.ui.inputSource.appendChild(option);
+
+      // A source only drives the arm it is bound to
+      const whenBound = (handler) => (event) => {
+        const arm = this.armFor(source);
+        if (arm) handler(arm, event);
+      };
+
+      // The panel shows the active arm's source only
+      const whenShown = (handler) => whenBound((arm, event) => {
+        if (arm === this.arm) handler(event);
+      });
+
+      source.on('target', whenBound((arm, event) => this.onInputTarget(arm, source, event)));
+      source.on('joints', whenBound((arm, event) => this.onInputJoints(arm, source, event)));
+      source.on('gripper', whenBound((arm, event) => this.onInputGripper(arm, event)));
+      source.on('status', whenShown(event => this.updateInputStatus(event)));
+      source.on('frame', whenShown(() => this.updateFPS()));
+      source.on('filter', whenShown(event => this.updateFilterLag(event)));
+      source.on('hand', whenBound((arm, event) => this.onInputHand(arm, source, event)));
+      source.on('gesture', whenBound((arm, event) => this.onInputGesture(arm, source, event)));
+      source.on('roll', whenBound((arm, event) => this.onInputRoll(arm, source, event)));
+      source.on('deadman', whenBound((arm, event) => this.onInputDeadman(arm, event)));
+    });
+
+    this.setInputSource(this.arm, this.inputSources[0].id);
+  }
+
+  /**
+   * Arm an input source is bound to
+   * @returns {ArmInstance|null}
+   */
+  armFor(source) {
+    return this.arms.find(arm => arm.source === source) || null;
+  }
+
+  /**
+   * Bind an arm to another input source. A source drives one arm at a time, so it is
+   * taken from any arm that had it. The target then blends from where it was to the
+   * new source's stream, so the arm doesn't jump.
+   * @param {ArmInstance} arm - Arm to bind
+   * @param {string} id - Input source id, or NO_INPUT to hold the pose
+   */
+  async setInputSource(arm, id) {
+    const next = this.inputSources.find(source => source.id === id) || null;
+
+    // Picking a source is the user taking the arm back from remote control
+    this.remoteHold?.release(arm);
+    if (next === arm.source) return;
+
+    if (this.calibrationWizard?.isActive) this.calibrationWizard.cancel();
+
+    const owner = next ? this.armFor(next) : null;
+    if (owner) {
+      owner.source = null;
+      await next.stop();
+    }
+
+    const previous = arm.source;
+    arm.source = null;
+    if (previous) await previous.stop();
+
+    arm.state.palmOrientation = null;
+    arm.state.rollTarget = null;
+    arm.trackingLoss.reset();
+    arm.state.inputBlend = {
+      from: arm.state.target.clone(),
+      elapsed: 0,
+      duration: 0.8
+    };
+
+    const shown = arm === this.arm;
+    if (shown) {
+      this.ui.inputSource.value = next ? next.id : NO_INPUT;
+      this.ui.gestureStatus.textContent = 'Gesture: —';
+    }
+
+    if (!next) {
+      if (shown) this.updateInputStatus({ status: InputStatus.IDLE, text: 'No input · holding pose' });
+      if (shown) this.updateTrackingLossStatus(arm);
+      this.updateCalibrationUI();
+      return;
+    }
+
+    arm.source = next;
+    if (shown) this.updateInputStatus({ status: InputStatus.STARTING, text: 'Starting...' });
+
+    try {
+      await next.start(arm.context);
+      if (arm === this.arm) this.updateInputStatus({ status: next.status, text: next.statusText });
+    } catch (error) {
+      console.error(`Failed to start ${next.label}:`, error);
+      arm.source = null;
+      if (arm === this.arm) this.updateInputStatus({ status: InputStatus.ERROR, text: next.statusText });
+      alert(`${next.label}: ${error.message}`);
+    }
+    if (arm === this.arm) this.updateTrackingLossStatus(arm);
+    this.updateCalibrationUI();
+  }
+
+  /**
+   * Apply a target from an arm's source
+   * @param {ArmInstance} arm - Arm the source drives
+   * @param {InputSource} source - Source that produced it
+   * @param {Object} event - { position, orientation?, immediate? } in the arm's frame
+   */
+  onInputTarget(arm, source, event) {
+    if (!this.acceptInput(arm, source)) return;
+
+    const { state } = arm;
+    const position = new THREE.Vector3(event.position.x, event.position.y, event.position.z);
+
+    // Ease from the pre-switch target into the new stream
+    const blend = state.inputBlend;
+    if (blend && !event.immediate) {
+      const t = Math.min(blend.elapsed / blend.duration, 1);
+      const eased = t * t * (3 - 2 * t);
+      position.lerpVectors(blend.from, position, eased);
+    }
+
+    state.target.copy(position);
+    if (event.immediate) state.smoothTarget.copy(position);
+
+    if (event.orientation !== undefined) {
+      state.palmOrientation = event.orientation;
+    }
+  }
+
+  onInputJoints(arm, source, event) {
+    if (!this.acceptInput(arm, source)) return;
+    arm.setJointAngles(event.angles);
+  }
+
+  onInputGripper(arm, event) {
+    // A running program owns its arm's gripper
+    if (this.programRunner.isRunning && arm === this.programArm) return;
+
+    if (event.toggle) {
+      arm.gripper.toggle();
+    } else if (event.opening !== undefined) {
+      arm.gripper.setAperture(event.opening);
     } else {
-      // Stop tracking
-      await this.handTracker.stop();
-      this.state.isTracking = false;
+      arm.gripper.setClosed(event.closed);
+    }
+  }
 
-      this.ui.cameraToggle.textContent = '🎥 Start Camera Tracking';
-      this.ui.cameraToggle.classList.remove('active');
-      this.ui.statusText.textContent = 'System Idle';
-      this.ui.statusDot.classList.remove('active');
+  onInputRoll(arm, source, { angle }) {
+    if (!arm.rollJoint || !this.acceptInput(arm, source)) return;
+    arm.state.rollTarget = angle;
+  }
+
+  /**
+   * Time hand dropouts and, once the loss policy has taken over, ease back onto the
+   * hand when it returns instead of snapping to it
+   */
+  onInputHand(arm, source, { normalized }) {
+    // The wizard drives the arm while calibrating and handles a missing hand itself
+    if (source.calibrating) {
+      arm.trackingLoss.reset();
+      return;
+    }
+
+    const loss = arm.trackingLoss;
+    if (!normalized) {
+      if (!loss.isLost) {
+        loss.handLost();
+        if (arm === this.arm) this.updateTrackingLossStatus(arm);
+      }
+      return;
+    }
+
+    if (!loss.isLost) return;
+    if (loss.handFound()) {
+      arm.state.inputBlend = {
+        from: arm.state.target.clone(),
+        elapsed: 0,
+        duration: REACQUIRE_TIME
+      };
     }
+    if (arm === this.arm) this.updateTrackingLossStatus(arm);
   }
 
-  onHandResults(results) {
-    // Update FPS
-    this.updateFPS();
+  /**
+   * Losing the enabling hand stops the arm where it is rather than letting it finish
+   * its way to the last target
+   */
+  onInputDeadman(arm, { engaged }) {
+    if (!engaged) arm.state.target.copy(arm.state.smoothTarget);
+  }
 
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-      const landmarks = results.multiHandLandmarks[0];
+  /**
+   * Programs, playback and remote commands own the arm they run on; only sources that
+   * represent an explicit user command take it back
+   */
+  acceptInput(arm, source) {
+    if (!this.remoteHold.accepts(arm, source)) return false;
 
-      // Get index finger tip position
-      const normalized = HandTracker.getLandmarkPosition(
-        landmarks,
-        HandLandmarks.INDEX_FINGER_TIP
-      );
+    const programOwns = this.programRunner.isRunning && arm === this.programArm;
+    const playbackOwns = this.state.isPlayingBack && arm === this.playbackArm;
+    if (!programOwns && !playbackOwns) return true;
+    if (!source.interruptsPrograms) return false;
+
+    this.stopProgram();
+    this.stopPlayback();
+    return true;
+  }
+
+  initCalibration() {
+    this.calibrationWizard = new CalibrationWizard({
+      // Show each prompted pose with the arm the hand drives
+      onPose: (pose) => {
+        const arm = this.armFor(this.calibrationWizard.source);
+        if (!arm) return;
+        arm.state.palmOrientation = null;
+        arm.state.target.set(pose.target.x, pose.target.y, pose.target.z);
+      },
+      onComplete: (samples) => {
+        this.finishCalibration(samples);
+      },
+      onCancel: () => {
+        this.updateCalibrationUI();
+      }
+    });
+  }
+
+  /**
+   * The active arm's source, if it tracks a hand and can therefore be calibrated
+   */
+  getHandSource() {
+    return this.arm.source instanceof HandInputSource ? this.arm.source : null;
+  }
+
+  startCalibration() {
+    const source = this.getHandSource();
+    if (!source) {
+      alert('Switch the input source to "Hand tracking" to calibrate.');
+      return;
+    }
+    if (this.calibrationWizard.isActive) return;
+
+    this.stopProgram();
+    this.stopPlayback();
+    this.calibrationSource = source;
+    this.calibrationWizard.start(source);
+    this.ui.calibrationStatus.textContent = 'Calibrating...';
+  }
+
+  finishCalibration(samples) {
+    const source = this.calibrationSource;
+    if (!source) return;
+
+    try {
+      source.setCalibration(HandMapping.fit(samples));
+    } catch (error) {
+      console.error('Calibration failed:', error);
+      alert(`Calibration failed: ${error.message}`);
+    }
+    this.updateCalibrationUI();
+  }
+
+  resetCalibration() {
+    const source = this.getHandSource();
+    if (!source) {
+      alert('Switch the input source to "Hand tracking" to reset its camera\'s mapping.');
+      return;
+    }
+
+    this.calibrationWizard.cancel();
+    source.setCalibration(null);
+    this.updateCalibrationUI();
+  }
+
+  updateCalibrationUI() {
+    const mapping = this.getHandSource()?.mapping;
+
+    // A calibrated mapping already fits the user's reach, so Motion Scale no longer applies
+    this.ui.scaleSlider.disabled = Boolean(mapping);
+    this.ui.calibrationStatus.textContent = mapping
+      ? `Calibrated for this camera · fit error ${mapping.error.toFixed(1)}`
+      : 'Default mapping';
+  }
+
+  initGestures() {
+    const list = this.ui.gestureBindings;
+    list.innerHTML = '';
+
+    Object.entries(GestureLabels).forEach(([gesture, label]) => {
+      const row = document.createElement('div');
+      row.className = 'list-row';
+
+      const name = document.createElement('span');
+      name.className = 'list-name';
+      name.textContent = label;
+
+      const action = document.createElement('select');
+      Object.entries(GestureActionLabels).forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        action.appendChild(option);
+      });
+      action.value = this.state.gestureBindings[gesture];
+      action.addEventListener('change', (e) => {
+        this.state.gestureBindings[gesture] = e.target.value;
+      });
+
+      // Hold times live on each hand source's recognizer
+      const hold = document.createElement('input');
+      hold.type = 'number';
+      hold.min = 0.2;
+      hold.max = 5;
+      hold.step = 0.1;
+      hold.title = 'Hold time (s)';
+      hold.value = this.handSource.gestures.getHoldTime(gesture);
+      hold.addEventListener('change', (e) => {
+        const seconds = Math.max(0.2, Math.min(5, parseFloat(e.target.value) || 0.8));
+        e.target.value = seconds;
+        this.handSource.gestures.setHoldTime(gesture, seconds);
+        this.landmarkSource.gestures.setHoldTime(gesture, seconds);
+      });
+
+      row.append(name, action, hold);
+      list.appendChild(row);
+    });
+  }
+
+  initFilter() {
+    const settings = this.state.filter;
+
+    // Both hand sources filter alike, so a replay shows what the live hand would do
+    const apply = () => {
+      this.ui.filterOneEuro.hidden = settings.type !== FilterTypes.ONE_EURO;
+      this.ui.filterKalman.hidden = settings.type !== FilterTypes.KALMAN;
+      this.handSource.filter.configure(settings);
+      this.landmarkSource.filter.configure(settings);
+      this.updateFilterLag({ lag: null });
+    };
+
+    const slider = (id, group, key, format) => {
+      const input = document.getElementById(id);
+      const value = document.getElementById(`${id}-value`);
+      input.value = settings[group][key];
+      value.textContent = format(settings[group][key]);
+      input.addEventListener('input', (e) => {
+        settings[group][key] = parseFloat(e.target.value);
+        value.textContent = format(settings[group][key]);
+        apply();
+      });
+    };
+
+    slider('filter-min-cutoff', 'oneEuro', 'minCutoff', v => `${v.toFixed(1)} Hz`);
+    slider('filter-beta', 'oneEuro', 'beta', v => v.toFixed(1));
+    slider('filter-process-noise', 'kalman', 'processNoise', v => v.toFixed(2));
+    slider('filter-measurement-noise', 'kalman', 'measurementNoise', v => v.toFixed(3));
+
+    this.ui.filterType.value = settings.type;
+    this.ui.filterType.addEventListener('change', (e) => {
+      settings.type = e.target.value;
+      apply();
+    });
+
+    apply();
+  }
+
+  /**
+   * @param {Object} event - { lag } seconds, null until the hand has moved enough to measure
+   */
+  updateFilterLag({ lag }) {
+    this.ui.filterLag.textContent = lag === null
+      ? 'Filter lag: —'
+      : `Filter lag: ${Math.round(lag * 1000)} ms`;
+  }
+
+  initTrackingLoss() {
+    const settings = this.state.trackingLoss;
+
+    this.ui.lossPolicy.innerHTML = '';
+    Object.entries(TrackingLossLabels).forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      this.ui.lossPolicy.appendChild(option);
+    });
+    this.ui.lossPolicy.value = settings.policy;
+    this.ui.lossPolicy.addEventListener('change', (e) => {
+      settings.policy = e.target.value;
+      this.updateTrackingLossStatus(this.arm);
+    });
 
-      if (normalized) {
-        // Map to world space
-        const worldPos = HandTracker.mapToWorldSpace(normalized, this.state.scale);
+    this.ui.lossTimeout.value = settings.timeout;
+    this.ui.lossTimeoutValue.textContent = `${settings.timeout.toFixed(1)} s`;
+    this.ui.lossTimeout.addEventListener('input', (e) => {
+      settings.timeout = parseFloat(e.target.value);
+      this.ui.lossTimeoutValue.textContent = `${settings.timeout.toFixed(1)} s`;
+    });
+
+    // Home is per arm and in joint space, so it is taught from wherever the arm is
+    this.ui.homeSet.addEventListener('click', () => {
+      this.arm.homeAngles = this.arm.getJointAngles();
+    });
+    this.ui.homeReset.addEventListener('click', () => {
+      this.arm.homeAngles = this.arm.model.homeAngles();
+    });
+  }
 
-        // Update target
-        this.state.target.set(worldPos.x, worldPos.y, worldPos.z);
+  /**
+   * Apply the loss policy once the hand has been gone for the timeout. Slowing down
+   * keeps pulling the target in toward the tool until the two meet.
+   */
+  updateTrackingLoss(arm, dt) {
+    const { policy, timeout } = this.state.trackingLoss;
+    const { state } = arm;
 
-        // Update status
-        if (this.state.isTracking) {
-          this.ui.statusText.textContent = 'Tracking Hand';
-          this.ui.statusDot.classList.add('active');
+    if (arm.trackingLoss.update(dt, timeout)) {
+      switch (policy) {
+        case TrackingLossPolicies.HOLD:
+          state.target.copy(state.smoothTarget);
+          break;
+        case TrackingLossPolicies.HOME:
+          this.goHome(arm);
+          break;
+        case TrackingLossPolicies.RETREAT: {
+          arm.gripper.setClosed(false);
+          const retreat = TrackingLossMonitor.retreatTarget(state.smoothTarget);
+          state.target.set(retreat.x, retreat.y, retreat.z);
+          break;
         }
       }
+      if (arm === this.arm) this.updateTrackingLossStatus(arm);
+    }
+
+    if (arm.trackingLoss.engaged && policy === TrackingLossPolicies.STOP) {
+      state.target.lerp(state.smoothTarget, 1 - Math.exp(-dt / 0.3));
+    }
+  }
+
+  updateTrackingLossStatus(arm) {
+    const loss = arm.trackingLoss;
+    if (!(arm.source instanceof HandInputSource)) {
+      this.ui.lossStatus.textContent = 'No hand source';
+    } else if (loss.engaged) {
+      this.ui.lossStatus.textContent = `Hand lost · ${TrackingLossLabels[this.state.trackingLoss.policy].toLowerCase()}`;
+    } else if (loss.isLost) {
+      this.ui.lossStatus.textContent = 'Hand lost · waiting';
     } else {
-      if (this.state.isTracking) {
-        this.ui.statusText.textContent = 'Searching...';
-        this.ui.statusDot.classList.remove('active');
+      this.ui.lossStatus.textContent = 'Hand tracked';
+    }
+  }
+
+  initServoOutput() {
+    const config = ServoConfigStore.load();
+    this.servoConfig = config;
+    this.servoOutput = new SerialServoOutput(config);
+    this.servoArm = null;
+    this.servoMockPort = null;
+
+    const apply = () => {
+      this.servoOutput.configure(config);
+      ServoConfigStore.save(config);
+    };
+
+    this.ui.servoProtocol.innerHTML = '';
+    Object.entries(ServoProtocolLabels).forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      this.ui.servoProtocol.appendChild(option);
+    });
+    this.ui.servoProtocol.value = config.protocol;
+    this.ui.servoProtocol.addEventListener('change', (e) => {
+      config.protocol = e.target.value;
+      apply();
+    });
+
+    // Takes effect on the next connect
+    this.ui.servoBaud.value = String(config.baudRate);
+    this.ui.servoBaud.addEventListener('change', (e) => {
+      config.baudRate = parseInt(e.target.value, 10);
+      apply();
+    });
+
+    this.ui.servoRate.value = config.rate;
+    this.ui.servoRateValue.textContent = `${config.rate} Hz`;
+    this.ui.servoRate.addEventListener('input', (e) => {
+      config.rate = parseFloat(e.target.value);
+      this.ui.servoRateValue.textContent = `${config.rate} Hz`;
+      apply();
+    });
+
+    this.renderServoJoints(apply);
+
+    this.ui.servoConnect.addEventListener('click', () => {
+      this.connectServoOutput(null);
+    });
+    this.ui.servoMock.addEventListener('click', () => {
+      this.connectServoOutput(new MockSerialPort({ maxFrames: 8 }));
+    });
+    this.ui.servoDisconnect.addEventListener('click', () => {
+      this.disconnectServoOutput();
+    });
+
+    this.servoOutput.onFrame = () => {
+      this.updateServoUI();
+    };
+    this.servoOutput.onError = (error) => {
+      this.servoArm = null;
+      this.updateServoUI();
+      alert(`Servo output stopped: ${error.message}`);
+    };
+
+    this.ui.servoConnect.disabled = !SerialServoOutput.isSupported;
+    this.updateServoUI();
+  }
+
+  /**
+   * One row per calibrated joint: channel, direction, offset, travel and pulse range
+   * @param {Function} apply - Pushes the edited settings to the output and saves them
+   */
+  renderServoJoints(apply) {
+    const list = this.ui.servoJoints;
+    list.innerHTML = '';
+
+    Object.entries(this.servoConfig.joints).forEach(([name, joint]) => {
+      const row = document.createElement('div');
+      row.className = 'step-row';
+
+      const title = document.createElement('span');
+      title.className = 'list-name';
+      title.textContent = name;
+
+      const fields = document.createElement('div');
+      fields.className = 'step-fields';
+
+      const number = (key, label, min, max, step) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.title = label;
+        input.value = joint[key];
+        input.addEventListener('change', (e) => {
+          const value = parseFloat(e.target.value);
+          if (Number.isNaN(value)) {
+            e.target.value = joint[key];
+            return;
+          }
+          joint[key] = Math.max(min, Math.min(max, value));
+          e.target.value = joint[key];
+          apply();
+        });
+        return input;
+      };
+
+      const direction = document.createElement('select');
+      direction.title = 'Direction';
+      [[1, '+ Normal'], [-1, '− Reversed']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        direction.appendChild(option);
+      });
+      direction.value = String(joint.direction);
+      direction.addEventListener('change', (e) => {
+        joint.direction = parseInt(e.target.value, 10);
+        apply();
+      });
+
+      fields.append(
+        number('channel', 'Channel', 0, 31, 1),
+        direction,
+        number('offset', 'Offset (°)', -180, 180, 1),
+        number('travel', 'Travel (°)', 10, 360, 1),
+        number('minPulse', 'Min pulse (µs)', 100, 3000, 10),
+        number('maxPulse', 'Max pulse (µs)', 100, 3000, 10)
+      );
+
+      row.append(title, fields);
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * Start mirroring the active arm to a servo controller
+   * @param {SerialPort|MockSerialPort|null} port - Null to let the user pick a device
+   */
+  async connectServoOutput(port) {
+    try {
+      await this.servoOutput.connect(port);
+    } catch (error) {
+      // Closing the device picker without choosing isn't worth an alert
+      if (error.name !== 'NotFoundError') alert(`Servo output: ${error.message}`);
+      this.updateServoUI();
+      return;
+    }
+
+    this.servoArm = this.arm;
+    this.servoMockPort = port instanceof MockSerialPort ? port : null;
+    if (this.servoMockPort) {
+      this.servoMockPort.onFrame = () => {
+        this.ui.servoLog.textContent = this.servoMockPort.frames.map(frame => frame.text).join('\n');
+      };
+    }
+    this.updateServoUI();
+  }
+
+  async disconnectServoOutput() {
+    this.servoArm = null;
+    this.servoMockPort = null;
+    await this.servoOutput.disconnect();
+    this.updateServoUI();
+  }
+
+  updateServoUI() {
+    const output = this.servoOutput;
+    const connected = output.isConnected;
+
+    this.ui.servoDisconnect.disabled = !connected;
+    this.ui.servoBaud.disabled = connected;
+    this.ui.servoLog.hidden = !this.servoMockPort;
+    if (!this.servoMockPort) this.ui.servoLog.textContent = '';
+
+    if (!connected) {
+      this.ui.servoStatus.textContent = SerialServoOutput.isSupported
+        ? 'Not connected'
+        : 'Not connected · Web Serial unavailable, mock port only';
+      return;
+    }
+
+    const port = this.servoMockPort ? 'Mock port' : 'Serial port';
+    const { sent, dropped } = output.stats;
+    this.ui.servoStatus.textContent =
+      `${port} · ${this.servoArm.name} · ${sent} frames sent${dropped ? `, ${dropped} dropped` : ''}`;
+  }
+
+  initBridge() {
+    this.remoteHold = new RemoteHold();
+    this.bridge = new RosBridgeClient({
+      getArms: () => this.arms.map(arm => {
+        const angles = arm.getJointAngles();
+        const { tip, tipMatrix } = arm.model.computeFrames(angles);
+        return {
+          id: arm.id,
+          name: arm.name,
+          jointNames: arm.model.jointNames,
+          angles,
+          tool: { position: tip, quaternion: new THREE.Quaternion().setFromRotationMatrix(tipMatrix) },
+          gripper: arm.state.gripper
+        };
+      }),
+      setTarget: (id, position) => {
+        const arm = this.arms.find(other => other.id === id);
+        if (!arm || !this.takeRemoteControl(arm)) return;
+        arm.state.target.set(position.x, position.y, position.z);
+      },
+      home: (id) => {
+        const arm = this.arms.find(other => other.id === id);
+        if (!this.takeRemoteControl(arm)) return { success: false, message: 'Arm is calibrating' };
+        this.goHome(arm);
+        return { success: true, message: `${arm.name} homing` };
+      },
+      stop: (id) => {
+        const arm = this.arms.find(other => other.id === id);
+        if (!this.takeRemoteControl(arm)) return { success: false, message: 'Arm is calibrating' };
+        arm.state.target.copy(arm.state.smoothTarget);
+        return { success: true, message: `${arm.name} stopped` };
+      },
+      runProgram: (id, loop) => {
+        const arm = this.arms.find(other => other.id === id);
+        const problem = this.startProgram(arm, loop);
+        return problem
+          ? { success: false, message: problem }
+          : { success: true, message: `Program running on ${arm.name}` };
       }
+    });
+
+    this.bridge.onStatus = ({ status, text }) => {
+      const connected = status === BridgeStatus.CONNECTED;
+      this.ui.bridgeStatus.textContent = text;
+      this.ui.bridgeDisconnect.disabled = status === BridgeStatus.DISCONNECTED || status === BridgeStatus.ERROR;
+      this.ui.bridgeConnect.disabled = connected || status === BridgeStatus.CONNECTING;
+      this.ui.bridgeUrl.disabled = connected;
+    };
+
+    this.ui.bridgeConnect.addEventListener('click', () => {
+      // A failed connection is already reported in the status line
+      this.bridge.connect(this.ui.bridgeUrl.value.trim()).catch(() => {});
+    });
+    this.ui.bridgeDisconnect.addEventListener('click', () => {
+      this.bridge.disconnect();
+    });
+  }
+
+  /**
+   * Remote commands are explicit, so like the mouse they take the arm back from a
+   * program or playback, and hold it against its live input source until the user
+   * drags the target or picks a source. The calibration wizard keeps it.
+   * @returns {boolean} Whether the command may drive the arm
+   */
+  takeRemoteControl(arm) {
+    if (this.calibrationWizard.isActive && this.armFor(this.calibrationWizard.source) === arm) return false;
+    if (arm === this.programArm) this.stopProgram();
+    if (arm === this.playbackArm) this.stopPlayback();
+    this.remoteHold.hold(arm);
+    return true;
+  }
+
+  /**
+   * Show the held gesture and run its bound action once the hold completes
+   * @param {ArmInstance} arm - Arm the source drives
+   * @param {HandInputSource} source - Source that recognized it
+   * @param {Object} event - { gesture, progress, fired }
+   */
+  onInputGesture(arm, source, { gesture, progress, fired }) {
+    this.ui.gestureStatus.textContent = gesture
+      ? `Gesture: ${GestureLabels[gesture]} ${progress < 1 ? `${Math.round(progress * 100)}%` : '✓'}`
+      : 'Gesture: —';
+
+    if (!fired || this.calibrationWizard.isActive) return;
+
+    switch (this.state.gestureBindings[fired]) {
+      case GestureActions.PAUSE:
+        source.paused = !source.paused;
+        break;
+      case GestureActions.HOME:
+        if (this.acceptInput(arm, source)) this.goHome(arm);
+        break;
+      case GestureActions.RECORD:
+        this.toggleRecording();
+        break;
+      case GestureActions.GRIPPER:
+        this.onInputGripper(arm, { toggle: true });
+        break;
     }
   }
 
+  updateInputStatus({ status, text }) {
+    this.ui.statusText.textContent = text;
+    this.ui.statusDot.classList.toggle('active', status === InputStatus.ACTIVE);
+  }
+
   updateFPS() {
     this.stats.frameCount++;
     const now = performance.now();
@@ -185,31 +1449,519 @@ class RoboticArmApp {
     }
   }
 
-  updateSimulation() {
+  updateSimulation(dt) {
+    this.arms.forEach(arm => {
+      if (arm.source) arm.source.update(dt);
+    });
+    this.updateJogUI();
+
+    this.arms.forEach(arm => this.updateArm(arm, dt));
+
+    // The physical arm mirrors whatever pose the simulated one was put in
+    if (this.servoOutput.isConnected) {
+      this.servoOutput.setAngles(this.servoArm.state.jointAngles);
+      this.servoOutput.update(dt);
+    }
+
+    this.bridge.update(dt);
+
+    // Loose objects fall once every gripper has had its turn
+    this.objectManager.update(dt);
+  }
+
+  updateArm(arm, dt) {
+    const { state } = arm;
+    const shown = arm === this.arm;
+
+    const blend = state.inputBlend;
+    if (blend) {
+      blend.elapsed += dt;
+      if (blend.elapsed >= blend.duration) state.inputBlend = null;
+    }
+
+    if (this.state.isPlayingBack && arm === this.playbackArm) {
+      this.updatePlayback(arm, dt);
+      return;
+    }
+
+    if (this.programRunner.isRunning && arm === this.programArm) {
+      this.updateProgram(arm, dt);
+      return;
+    }
+
+    this.updateTrackingLoss(arm, dt);
+
     // Smooth target transition
     const smoothingFactor = this.state.smoothing * this.state.speed;
-    this.state.smoothTarget.lerp(this.state.target, smoothingFactor);
+    state.smoothTarget.lerp(state.target, smoothingFactor);
 
     // Update UI stats
-    this.ui.posX.textContent = this.state.smoothTarget.x.toFixed(1);
-    this.ui.posY.textContent = this.state.smoothTarget.y.toFixed(1);
-    this.ui.posZ.textContent = this.state.smoothTarget.z.toFixed(1);
+    if (shown) this.updatePositionReadout(state.smoothTarget);
+
+    const orientation = this.getToolOrientation(arm, smoothingFactor);
+
+    // Solve IK within joint position, velocity and acceleration limits. In two-hand
+    // mode the second hand's roll overrides whatever the solver picks for the wrist.
+    const jointTargets = state.rollTarget !== null ? { [arm.rollJoint]: state.rollTarget } : undefined;
+    const angles = arm.ikSolver.solve(
+      { x: state.smoothTarget.x, y: state.smoothTarget.y, z: state.smoothTarget.z, orientation },
+      { dt, jointTargets }
+    );
 
-    // Solve IK
-    const angles = this.ikSolver.solve(this.state.smoothTarget);
+    // Refuse poses that would hit something. An arm already in contact may still
+    // move if that backs it out, so it can be driven free of an obstacle placed on it.
+    const others = this.otherArmBodies(arm);
+    const collision = arm.collisionChecker.check(angles, others);
+    const refused = collision.colliding && !CollisionChecker.allowsMove(
+      arm.collisionChecker.check(arm.getJointAngles(), others),
+      collision
+    );
+    const pose = refused ? arm.holdPose() : angles;
+    this.updateCollisionWarning(arm, collision, refused ? 'Motion refused' : 'Collision');
 
     // Update arm
-    this.sceneManager.updateArmAngles(angles);
+    this.sceneManager.updateArmAngles(arm.id, pose);
+    arm.setPose(pose);
+
+    // Animate gripper jaws
+    arm.gripper.update(dt);
+    this.applyGripperState(arm, arm.gripper.getState());
 
     // Update target marker
-    this.sceneManager.updateTargetMarker(this.state.smoothTarget);
+    this.sceneManager.updateTargetMarker(arm.id, state.smoothTarget, orientation);
+
+    const reachable = arm.ikSolver.isReachable(state.smoothTarget) && !angles.isAtLimit;
+    this.updateReachStatus(arm, arm.model.forward(pose), state.smoothTarget, reachable, angles.clamped);
+
+    if (arm === this.recordingArm) {
+      this.recorder.capture({
+        target: state.smoothTarget,
+        angles: pose,
+        gripper: state.gripper
+      });
+    }
+
+    if (shown) this.pendantPanel.updateJointSliders(pose);
+  }
+
+  updateProgram(arm, dt) {
+    const command = this.programRunner.update(dt);
+    if (!command) return;
+
+    // Planned moves are swept for collisions, but obstacles and other arms may have moved since
+    const collision = arm.collisionChecker.check(command.angles, this.otherArmBodies(arm));
+    this.updateCollisionWarning(arm, collision, 'Program halted');
+    if (collision.colliding) {
+      this.stopProgram();
+      alert(`Program halted: ${CollisionChecker.describe(collision)}`);
+      return;
+    }
+
+    this.sceneManager.updateArmAngles(arm.id, command.angles);
+    arm.setPose(command.angles);
+
+    if (command.gripper) {
+      arm.gripper.setClosed(command.gripper === 'close');
+    }
+    arm.gripper.update(dt);
+    this.applyGripperState(arm, arm.gripper.getState());
+
+    const tip = arm.model.forward(command.angles);
+    this.sceneManager.updateTargetMarker(arm.id, tip);
+    this.updateReachStatus(arm, tip, tip, true);
+
+    if (arm === this.recordingArm) {
+      this.recorder.capture({ target: tip, angles: command.angles, gripper: arm.state.gripper });
+    }
+
+    if (arm === this.arm) {
+      this.updatePositionReadout(tip);
+      this.pendantPanel.updateJointSliders(command.angles);
+    }
+  }
+
+  updatePositionReadout(position) {
+    this.ui.posX.textContent = position.x.toFixed(1);
+    this.ui.posY.textContent = position.y.toFixed(1);
+    this.ui.posZ.textContent = position.z.toFixed(1);
+  }
+
+  goHome(arm = this.arm) {
+    arm.setJointAngles(arm.homeAngles);
+  }
+
+  updateJogUI() {
+    // Keys and gamepad bumpers change the speed too
+    if (Math.abs(parseFloat(this.ui.jogSpeed.value) - this.jog.speed) > 1e-6) {
+      this.ui.jogSpeed.value = this.jog.speed;
+    }
+    const speed = `${Math.round(this.jog.speed * 100)}%`;
+    if (this.ui.jogSpeedValue.textContent !== speed) {
+      this.ui.jogSpeedValue.textContent = speed;
+    }
+    if (this.ui.jogMode.value !== this.jog.mode) {
+      this.ui.jogMode.value = this.jog.mode;
+    }
+
+    const status = this.jog.gamepadName ? `🎮 ${this.jog.gamepadName}` : '⌨️ Keyboard';
+    if (this.ui.jogStatus.textContent !== status) {
+      this.ui.jogStatus.textContent = status;
+    }
+  }
+
+  addObstacle() {
+    const x = parseFloat(this.ui.obstacleX.value);
+    const z = parseFloat(this.ui.obstacleZ.value);
+    const size = parseFloat(this.ui.obstacleSize.value);
+    const height = parseFloat(this.ui.obstacleHeight.value);
+
+    if ([x, z, size, height].some(Number.isNaN) || size <= 0 || height <= 0) {
+      alert('Enter a numeric position and a positive size and height for the obstacle.');
+      return;
+    }
+
+    const obstacle = this.arm.collisionChecker.addObstacle({
+      position: { x, y: height / 2, z },
+      size: { x: size, y: height, z: size }
+    });
+    this.sceneManager.addObstacle(obstacle);
+  }
+
+  runProgram(loop) {
+    if (this.pendant.steps.length === 0) {
+      alert('The program has no steps yet.');
+      return;
+    }
+    this.startProgram(this.arm, loop);
+  }
+
+  /**
+   * Run the pendant program on an arm. A first step that can't be planned is also
+   * reported through the runner's onError.
+   * @returns {string|null} Why the program didn't start
+   */
+  startProgram(arm, loop) {
+    this.stopPlayback();
+    this.stopProgram();
+
+    if (this.pendant.steps.length === 0) return 'The program has no steps yet.';
+
+    this.programRunner.setPlanner(arm.planner);
+    if (!this.programRunner.start(arm.getJointAngles(), loop)) {
+      return this.programRunner.lastError || 'The program could not start.';
+    }
+
+    this.programArm = arm;
+    this.pendantPanel.setRunning(true);
+    return null;
+  }
+
+  stopProgram() {
+    if (!this.programRunner.isRunning) return;
+
+    this.programRunner.stop();
+    this.finishProgram();
+  }
+
+  /**
+   * Hand control back to live input from wherever the program left the arm
+   */
+  finishProgram() {
+    if (this.programArm) this.programArm.resumeFromPose();
+    this.programArm = null;
+
+    this.pendantPanel.setRunning(false);
+  }
+
+  updatePlayback(arm, dt) {
+    const frame = this.player.update(dt);
+    if (!frame) return;
+
+    // Pause on contact but still show the pose, so the offending frame can be inspected
+    const collision = arm.collisionChecker.check(frame.angles, this.otherArmBodies(arm));
+    if (collision.colliding && this.player.isPlaying) this.player.pause();
+    this.updateCollisionWarning(arm, collision, 'Playback paused');
+
+    // Recorded angles drive the arm directly, bypassing the solver
+    this.sceneManager.updateArmAngles(arm.id, frame.angles);
+    arm.setPose(frame.angles);
+    this.applyGripperState(arm, frame.gripper);
+    this.sceneManager.updateTargetMarker(arm.id, frame.target);
+    this.updateReachStatus(arm, frame.target, frame.target, true);
+
+    if (arm === this.arm) this.updatePositionReadout(frame.target);
+
+    this.updatePlaybackUI();
+  }
+
+  applyGripperState(arm, gripperState) {
+    arm.state.gripper = { ...gripperState };
+    this.sceneManager.updateGripper(arm.id, gripperState.opening);
+
+    // Pick and place
+    this.objectManager.updateGrasp(arm.id, gripperState, this.sceneManager.getArm(arm.id).toolPoint);
+    const held = this.objectManager.heldBy(arm.id);
+    arm.state.gripper.holding = held ? held.type : null;
+
+    if (arm !== this.arm) return;
+
+    const label = gripperState.closed ? 'CLOSED' : 'OPEN';
+    const holding = held ? ` · ${held.type}` : '';
+    this.ui.gripperState.textContent = `${label} ${Math.round(gripperState.opening * 100)}%${holding}`;
+  }
+
+  toggleRecording() {
+    if (!this.recorder.isRecording) {
+      this.stopPlayback();
+      this.recordingArm = this.arm;
+      this.recorder.start(this.arm.model);
+
+      this.ui.recordToggle.textContent = '⏹️ Stop Recording';
+      this.ui.recordToggle.classList.add('active');
+    } else {
+      const recording = this.recorder.stop();
+      if (recording.frames.length > 0) {
+        this.player.load(recording);
+      }
+
+      this.ui.recordToggle.textContent = '⏺️ Record';
+      this.ui.recordToggle.classList.remove('active');
+      this.updatePlaybackUI();
+    }
+  }
+
+  saveRecording() {
+    if (!this.player.recording) {
+      alert('Nothing to save yet. Record a motion first.');
+      return;
+    }
+
+    const json = JSON.stringify(this.player.recording, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `motion-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+  }
+
+  async loadRecording(file) {
+    try {
+      const recording = MotionRecorder.fromJSON(JSON.parse(await file.text()));
+
+      const mismatch = MotionRecorder.findJointMismatch(recording, this.arm.model.jointNames);
+      if (mismatch) throw new Error(mismatch);
+
+      this.player.load(recording);
+      this.updatePlaybackUI();
+    } catch (error) {
+      console.error('Failed to load recording:', error);
+      alert(`Failed to load recording: ${error.message}`);
+    }
+  }
+
+  toggleLandmarkRecording() {
+    const recorder = this.handSource.landmarkRecorder;
+
+    if (!recorder.isRecording) {
+      if (!this.armFor(this.handSource)) {
+        alert('Switch the input source to "Hand tracking" to record landmarks.');
+        return;
+      }
+      recorder.start(this.handSource.cameraId());
+
+      this.ui.landmarkRecord.textContent = '⏹️ Stop Landmarks';
+      this.ui.landmarkRecord.classList.add('active');
+      return;
+    }
+
+    const frames = recorder.frames.length;
+    const ndjson = recorder.stop();
+    this.ui.landmarkRecord.textContent = '⏺️ Record Landmarks';
+    this.ui.landmarkRecord.classList.remove('active');
+
+    if (frames === 0) {
+      alert('No camera frames were recorded.');
+      return;
+    }
+
+    const blob = new Blob([ndjson], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `landmarks-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Load a landmark stream and switch to replaying it through the hand tracking pipeline
+   * @param {File} file - NDJSON written by toggleLandmarkRecording
+   */
+  async loadLandmarks(file) {
+    try {
+      const stream = LandmarkRecorder.parse(await file.text());
+
+      this.landmarkSource.load(stream);
+
+      // Loading stops the player, so a bound replay restarts on the new stream
+      const arm = this.armFor(this.landmarkSource);
+      if (arm) {
+        await this.landmarkSource.start(arm.context);
+      } else {
+        await this.setInputSource(this.arm, this.landmarkSource.id);
+      }
+    } catch (error) {
+      console.error('Failed to load landmarks:', error);
+      alert(`Failed to load landmarks: ${error.message}`);
+    }
+  }
+
+  togglePlayback() {
+    if (!this.player.recording) return;
+
+    if (this.player.isPlaying) {
+      this.player.pause();
+    } else {
+      if (this.recorder.isRecording) this.toggleRecording();
+      this.stopProgram();
+      if (!this.startPlayback()) return;
+      this.player.play();
+    }
+    this.updatePlaybackUI();
+  }
+
+  /**
+   * Playback takes over the active arm until stopped. The robot may have changed since
+   * the recording was made, so its joints are checked here as well as on load.
+   * @returns {boolean} Whether playback is running
+   */
+  startPlayback() {
+    if (this.state.isPlayingBack) return true;
+
+    const mismatch = MotionRecorder.findJointMismatch(this.player.recording, this.arm.model.jointNames);
+    if (mismatch) {
+      alert(`Cannot play recording: ${mismatch}`);
+      return false;
+    }
+
+    this.state.isPlayingBack = true;
+    this.playbackArm = this.arm;
+    return true;
+  }
+
+  stopPlayback() {
+    if (!this.state.isPlayingBack) return;
+
+    this.player.pause();
+    this.state.isPlayingBack = false;
+
+    // Hand control back to the solver from the pose playback left the arm in
+    const arm = this.playbackArm;
+    arm.ikSolver.resetMotion(arm.state.jointAngles);
+    this.playbackArm = null;
+    this.updatePlaybackUI();
+  }
+
+  updatePlaybackUI() {
+    const duration = this.player.duration;
+    const time = this.player.currentTime;
+
+    this.ui.playbackToggle.textContent = this.player.isPlaying ? '⏸️ Pause' : '▶️ Play';
+    this.ui.playbackToggle.disabled = !this.player.recording;
+    this.ui.playbackScrub.disabled = !this.player.recording;
+    this.ui.playbackScrub.value = duration > 0 ? Math.round((time / duration) * 1000) : 0;
+    this.ui.playbackTime.textContent = `${time.toFixed(1)}s / ${duration.toFixed(1)}s`;
+  }
+
+  getToolOrientation(arm, smoothingFactor) {
+    const { state } = arm;
+
+    switch (this.state.orientationMode) {
+      case 'top-down':
+        return ToolOrientations.TOP_DOWN;
+
+      case 'palm': {
+        const palm = state.palmOrientation;
+        if (!palm) return null;
+
+        // Smooth the palm frame like the target position
+        state.smoothApproach.lerp(palm.approach, smoothingFactor).normalize();
+        state.smoothSide.lerp(palm.side, smoothingFactor).normalize();
+        return { approach: state.smoothApproach, side: state.smoothSide };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Flag a target the arm can't get to on its marker and, for the active arm, the status
+   * dot and the warning line
+   * @param {ArmInstance} arm
+   * @param {Object} tip - Tool position
+   * @param {Object} target - Commanded position
+   * @param {boolean} reachable - Whether the solver got the tool to the target
+   * @param {Array<string>} clampedJoints - Joints whose limit keeps the tool off a target
+   *                                       inside the workspace; none for targets beyond it
+   */
+  updateReachStatus(arm, tip, target, reachable, clampedJoints = []) {
+    const warning = this.ui.limitWarning;
+
+    this.sceneManager.updateReachFeedback(arm.id, tip, target, reachable);
+    if (arm !== this.arm) return;
+
+    this.ui.statusDot.classList.toggle('unreachable', !reachable);
+
+    if (!reachable) {
+      const miss = new THREE.Vector3(target.x, target.y, target.z).distanceTo(tip);
+      warning.textContent = clampedJoints.length > 0
+        ? `⚠️ Held by joint limit: ${clampedJoints.join(', ')} · ${miss.toFixed(1)} short`
+        : `⚠️ Out of reach by ${miss.toFixed(1)}`;
+      warning.classList.add('visible');
+    } else {
+      warning.classList.remove('visible');
+    }
+  }
+
+  /**
+   * Highlight the links involved in a collision and, for the active arm, show the reason
+   * in the status area
+   * @param {ArmInstance} arm
+   * @param {Object} result - CollisionChecker.check() result
+   * @param {string} action - What happened to the motion, e.g. 'Motion refused'
+   */
+  updateCollisionWarning(arm, result, action) {
+    const warning = this.ui.collisionWarning;
+
+    this.sceneManager.highlightCollisions(arm.id, result.links);
+    if (arm !== this.arm) return;
+
+    if (result.colliding) {
+      warning.textContent = `⛔ ${action}: ${CollisionChecker.describe(result)}`;
+      warning.classList.add('visible');
+    } else {
+      warning.classList.remove('visible');
+    }
   }
 
   startAnimationLoop() {
-    const animate = () => {
+    let lastTime = performance.now();
+
+    const animate = (time = performance.now()) => {
       requestAnimationFrame(animate);
 
-      this.updateSimulation();
+      // Cap the step so a backgrounded tab doesn't produce one huge jump
+      const dt = Math.min((time - lastTime) / 1000, 0.1);
+      lastTime = time;
+
+      this.updateSimulation(dt);
       this.sceneManager.render();
     };
 
@@ -229,8 +1981,11 @@ class RoboticArmApp {
   }
 
   dispose() {
-    if (this.handTracker) {
-      this.handTracker.dispose();
+    if (this.bridge) {
+      this.bridge.disconnect();
+    }
+    if (this.inputSources) {
+      this.inputSources.forEach(source => source.dispose());
     }
     if (this.sceneManager) {
       this.sceneManager.dispose();
@@ -0,0 +1,212 @@
+/**
+ * Motion Recorder & Player
+ * Captures timestamped targets, joint angles and gripper state, and plays them back on a timeline
+ */
+
+const FORMAT_VERSION = 1;
+
+export class MotionRecorder {
+    constructor() {
+        this.frames = [];
+        this.isRecording = false;
+        this.startTime = 0;
+        this.robotName = null;
+        this.jointNames = [];
+    }
+
+    /**
+     * Begin a new recording, discarding any previous frames
+     * @param {RobotModel} model - Robot the recording belongs to
+     */
+    start(model) {
+        this.frames = [];
+        this.robotName = model.name;
+        this.jointNames = [...model.jointNames];
+        this.startTime = performance.now();
+        this.isRecording = true;
+    }
+
+    stop() {
+        this.isRecording = false;
+        return this.toJSON();
+    }
+
+    /**
+     * Store one simulation frame
+     * @param {Object} frame - { target, angles, gripper }
+     */
+    capture({ target, angles, gripper }) {
+        if (!this.isRecording) return;
+
+        const jointAngles = {};
+        this.jointNames.forEach(name => {
+            jointAngles[name] = angles[name];
+        });
+
+        this.frames.push({
+            t: (performance.now() - this.startTime) / 1000,
+            target: { x: target.x, y: target.y, z: target.z },
+            angles: jointAngles,
+            gripper: { closed: gripper.closed, opening: gripper.opening }
+        });
+    }
+
+    toJSON() {
+        return {
+            version: FORMAT_VERSION,
+            robot: this.robotName,
+            joints: this.jointNames,
+            recordedAt: new Date().toISOString(),
+            frames: this.frames
+        };
+    }
+
+    /**
+     * Validate a parsed recording file
+     * @param {Object} data - Parsed JSON
+     * @returns {Object} The recording
+     */
+    static fromJSON(data) {
+        if (!data || data.version !== FORMAT_VERSION) {
+            throw new Error('Unsupported recording format');
+        }
+        if (!Array.isArray(data.frames) || data.frames.length === 0) {
+            throw new Error('Recording contains no frames');
+        }
+
+        const valid = data.frames.every(frame =>
+            typeof frame.t === 'number' && frame.angles && frame.target && frame.gripper
+        );
+        if (!valid) {
+            throw new Error('Recording frames are malformed');
+        }
+
+        return data;
+    }
+
+    /**
+     * Explain why a recording can't play on a robot's joints
+     * @param {Object} recording - Validated recording
+     * @param {string[]} jointNames - Joints of the arm it would play on
+     * @returns {string|null} Message, or null if every joint matches
+     */
+    static findJointMismatch(recording, jointNames) {
+        const recorded = recording.joints || Object.keys(recording.frames[0].angles);
+        const missing = jointNames.filter(name => !recorded.includes(name));
+        const unknown = recorded.filter(name => !jointNames.includes(name));
+        if (missing.length === 0 && unknown.length === 0) return null;
+
+        const problems = [];
+        if (missing.length > 0) problems.push(`no angles for ${missing.join(', ')}`);
+        if (unknown.length > 0) problems.push(`angles for unknown joints ${unknown.join(', ')}`);
+        const robot = recording.robot ? ` on "${recording.robot}"` : '';
+        return `Recording has ${problems.join(' and ')}; it was made${robot} with different joints`;
+    }
+}
+
+export class MotionPlayer {
+    constructor() {
+        this.recording = null;
+        this.currentTime = 0;
+        this.speed = 1;
+        this.isPlaying = false;
+        this.loop = false;
+    }
+
+    get duration() {
+        if (!this.recording) return 0;
+        const frames = this.recording.frames;
+        return frames[frames.length - 1].t;
+    }
+
+    load(recording) {
+        this.recording = recording;
+        this.currentTime = 0;
+        this.isPlaying = false;
+    }
+
+    play() {
+        if (!this.recording) return;
+        if (this.currentTime >= this.duration) this.currentTime = 0;
+        this.isPlaying = true;
+    }
+
+    pause() {
+        this.isPlaying = false;
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    seek(time) {
+        this.currentTime = Math.max(0, Math.min(this.duration, time));
+    }
+
+    /**
+     * Advance the timeline and return the frame at the current time
+     * @param {number} dt - Frame time in seconds
+     * @returns {Object|null} Interpolated { t, target, angles, gripper }
+     */
+    update(dt) {
+        if (!this.recording) return null;
+
+        if (this.isPlaying) {
+            this.currentTime += dt * this.speed;
+
+            if (this.currentTime >= this.duration) {
+                if (this.loop) {
+                    this.currentTime %= this.duration || 1;
+                } else {
+                    this.currentTime = this.duration;
+                    this.isPlaying = false;
+                }
+            }
+        }
+
+        return this.sample(this.currentTime);
+    }
+
+    /**
+     * Interpolate the recording at a time
+     * @param {number} time - Seconds from the start of the recording
+     * @returns {Object} { t, target, angles, gripper }
+     */
+    sample(time) {
+        const frames = this.recording.frames;
+
+        // Binary search for the last frame at or before time
+        let low = 0;
+        let high = frames.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (frames[mid].t <= time) low = mid;
+            else high = mid - 1;
+        }
+
+        const a = frames[low];
+        const b = frames[Math.min(low + 1, frames.length - 1)];
+        const span = b.t - a.t;
+        const alpha = span > 0 ? Math.max(0, Math.min(1, (time - a.t) / span)) : 0;
+        const lerp = (from, to) => from + (to - from) * alpha;
+
+        const angles = {};
+        Object.keys(a.angles).forEach(name => {
+            angles[name] = lerp(a.angles[name], b.angles[name]);
+        });
+
+        return {
+            t: time,
+            target: {
+                x: lerp(a.target.x, b.target.x),
+                y: lerp(a.target.y, b.target.y),
+                z: lerp(a.target.z, b.target.z)
+            },
+            angles,
+            gripper: {
+                closed: a.gripper.closed,
+                opening: lerp(a.gripper.opening, b.gripper.opening)
+            }
+        };
+    }
+}
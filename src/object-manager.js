@@ -0,0 +1,241 @@
+/**
+ * Graspable Object Manager
+ * Spawns blocks, cylinders and spheres, attaches them to the grippers and drops them under gravity
+ */
+
+import * as THREE from 'three';
+
+const OBJECT_TYPES = {
+    block: {
+        color: 0xef4444,
+        createGeometry: () => new THREE.BoxGeometry(1.4, 1.4, 1.4),
+        halfHeight: 0.7,
+        radius: 0.7
+    },
+    cylinder: {
+        color: 0x22c55e,
+        createGeometry: () => new THREE.CylinderGeometry(0.6, 0.6, 1.6, 24),
+        halfHeight: 0.8,
+        radius: 0.6
+    },
+    sphere: {
+        color: 0xfbbf24,
+        createGeometry: () => new THREE.SphereGeometry(0.7, 24, 16),
+        halfHeight: 0.7,
+        radius: 0.7
+    }
+};
+
+export class ObjectManager {
+    constructor(scene, config = {}) {
+        this.scene = scene;
+        this.objects = [];
+
+        // Object held by each gripper, keyed by the arm id passed to updateGrasp
+        this.held = new Map();
+
+        this.gravity = config.gravity || 40;
+        this.graspRadius = config.graspRadius || 1.2;
+        this.spawnRadius = config.spawnRadius || { min: 8, max: 16 };
+        this.spawnHeight = config.spawnHeight || 6;
+
+        this.wasClosed = new Map();
+    }
+
+    static get types() {
+        return Object.keys(OBJECT_TYPES);
+    }
+
+    /**
+     * Add an object to the scene; it drops onto the floor or whatever is beneath it
+     * @param {string} type - 'block', 'cylinder' or 'sphere'
+     * @param {Object} position - Optional {x, z} ground position (random in reach otherwise)
+     * @returns {Object} The spawned object record
+     */
+    spawn(type, position = null) {
+        const spec = OBJECT_TYPES[type];
+        if (!spec) {
+            throw new Error(`Unknown object type: ${type}`);
+        }
+
+        const mesh = new THREE.Mesh(
+            spec.createGeometry(),
+            new THREE.MeshStandardMaterial({
+                color: spec.color,
+                roughness: 0.5,
+                metalness: 0.2
+            })
+        );
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.name = `object-${type}`;
+
+        if (!position) {
+            const angle = Math.random() * Math.PI * 2;
+            const distance = this.spawnRadius.min +
+                Math.random() * (this.spawnRadius.max - this.spawnRadius.min);
+            position = { x: Math.sin(angle) * distance, z: Math.cos(angle) * distance };
+        }
+        mesh.position.set(position.x, this.spawnHeight, position.z);
+        this.scene.add(mesh);
+
+        const object = {
+            type,
+            mesh,
+            halfHeight: spec.halfHeight,
+            radius: spec.radius,
+            velocity: 0,
+            resting: false
+        };
+        mesh.userData.graspable = object;
+        this.objects.push(object);
+
+        return object;
+    }
+
+    /**
+     * Grasp or release with one gripper
+     * @param {string} key - Identifies the gripper, e.g. its arm id
+     * @param {Object} gripper - { closed } gripper command
+     * @param {THREE.Object3D} toolPoint - Grasp point on the end effector
+     */
+    updateGrasp(key, gripper, toolPoint) {
+        const wasClosed = this.wasClosed.get(key) || false;
+        if (gripper.closed && !wasClosed) {
+            this.tryGrasp(key, toolPoint);
+        } else if (!gripper.closed && wasClosed) {
+            this.release(key);
+        }
+        this.wasClosed.set(key, gripper.closed);
+    }
+
+    /**
+     * Let loose objects fall
+     * @param {number} dt - Frame time in seconds
+     */
+    update(dt) {
+        this.objects.forEach(object => {
+            if (this.isHeld(object) || object.resting) return;
+            this.applyGravity(object, dt);
+        });
+    }
+
+    /**
+     * @param {string} key - Gripper key
+     * @returns {Object|null} The object that gripper holds
+     */
+    heldBy(key) {
+        return this.held.get(key) || null;
+    }
+
+    isHeld(object) {
+        return [...this.held.values()].includes(object);
+    }
+
+    /**
+     * Take the nearest object within reach of the jaws. An object another gripper
+     * holds can be taken too, which is how arms hand objects over.
+     */
+    tryGrasp(key, toolPoint) {
+        if (this.held.has(key)) return;
+
+        const graspPoint = toolPoint.getWorldPosition(new THREE.Vector3());
+        const position = new THREE.Vector3();
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.objects.forEach(object => {
+            // A held object is parented to its gripper, so compare in world space
+            const distance = object.mesh.getWorldPosition(position).distanceTo(graspPoint);
+            if (distance < this.graspRadius + object.radius && distance < nearestDistance) {
+                nearest = object;
+                nearestDistance = distance;
+            }
+        });
+
+        if (!nearest) return;
+
+        this.held.forEach((object, holder) => {
+            if (object === nearest) this.held.delete(holder);
+        });
+
+        // attach() keeps the world transform, so the object doesn't jump into the jaws
+        toolPoint.attach(nearest.mesh);
+        this.held.set(key, nearest);
+
+        // Anything stacked on the grasped object loses its support
+        this.wakeObjectsAbove(nearest);
+    }
+
+    release(key) {
+        const object = this.held.get(key);
+        if (!object) return;
+
+        this.scene.attach(object.mesh);
+        this.held.delete(key);
+
+        // Settle upright, keeping only the heading, so objects stack cleanly
+        const heading = new THREE.Euler().setFromQuaternion(object.mesh.quaternion, 'YXZ').y;
+        object.mesh.rotation.set(0, heading, 0);
+
+        object.velocity = 0;
+        object.resting = false;
+    }
+
+    applyGravity(object, dt) {
+        const supportHeight = this.getSupportHeight(object);
+
+        object.velocity -= this.gravity * dt;
+        object.mesh.position.y += object.velocity * dt;
+
+        if (object.mesh.position.y - object.halfHeight <= supportHeight) {
+            object.mesh.position.y = supportHeight + object.halfHeight;
+            object.velocity = 0;
+            object.resting = true;
+        }
+    }
+
+    /**
+     * Highest surface below an object: the floor or the top of an overlapping object
+     * @param {Object} object - Object record
+     * @returns {number} Support height
+     */
+    getSupportHeight(object) {
+        const bottom = object.mesh.position.y - object.halfHeight;
+        let support = 0;
+
+        this.objects.forEach(other => {
+            if (other === object || this.isHeld(other)) return;
+
+            const dx = other.mesh.position.x - object.mesh.position.x;
+            const dz = other.mesh.position.z - object.mesh.position.z;
+            const overlap = Math.sqrt(dx * dx + dz * dz) < (other.radius + object.radius) * 0.8;
+            const top = other.mesh.position.y + other.halfHeight;
+
+            if (overlap && top <= bottom + 0.01 && top > support) {
+                support = top;
+            }
+        });
+
+        return support;
+    }
+
+    wakeObjectsAbove(support) {
+        this.objects.forEach(object => {
+            if (object === support || this.isHeld(object)) return;
+            if (object.mesh.position.y > support.mesh.position.y) {
+                object.resting = false;
+            }
+        });
+    }
+
+    clear() {
+        this.objects.forEach(object => {
+            object.mesh.removeFromParent();
+            object.mesh.geometry.dispose();
+            object.mesh.material.dispose();
+        });
+        this.objects = [];
+        this.held.clear();
+    }
+}
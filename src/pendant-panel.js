@@ -0,0 +1,348 @@
+/**
+ * Teach Pendant Panel
+ * Renders waypoints, program steps and joint sliders, and forwards user actions to the app
+ */
+
+import { MoveTypes, GripperActions } from './teach-pendant.js';
+import { JointTypes } from './robot-model.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+export class PendantPanel {
+    /**
+     * @param {TeachPendant} pendant - Waypoint and program store
+     * @param {RobotModel} model - Robot whose joints get sliders
+     * @param {Object} actions - App callbacks: getPose(), moveTo(target), setJointAngles(angles),
+     *                           run(loop), stop(), setProfile(profile), onError(message)
+     */
+    constructor(pendant, model, actions) {
+        this.pendant = pendant;
+        this.model = model;
+        this.actions = actions;
+        this.activeStep = -1;
+        this.draggingSlider = false;
+
+        this.ui = {
+            targetX: document.getElementById('typed-x'),
+            targetY: document.getElementById('typed-y'),
+            targetZ: document.getElementById('typed-z'),
+            moveToTarget: document.getElementById('typed-go'),
+
+            jointSliders: document.getElementById('joint-sliders'),
+
+            waypointName: document.getElementById('waypoint-name'),
+            saveWaypoint: document.getElementById('waypoint-save'),
+            waypointList: document.getElementById('waypoint-list'),
+
+            stepList: document.getElementById('step-list'),
+            profile: document.getElementById('program-profile'),
+            planInfo: document.getElementById('plan-info'),
+            runOnce: document.getElementById('program-run'),
+            runLoop: document.getElementById('program-loop'),
+            stopProgram: document.getElementById('program-stop'),
+            exportProgram: document.getElementById('program-export'),
+            importProgram: document.getElementById('program-import'),
+            programFile: document.getElementById('program-file')
+        };
+
+        this.setupEventListeners();
+        this.renderJointSliders();
+        this.render();
+    }
+
+    setupEventListeners() {
+        this.ui.moveToTarget.addEventListener('click', () => {
+            const target = {
+                x: parseFloat(this.ui.targetX.value),
+                y: parseFloat(this.ui.targetY.value),
+                z: parseFloat(this.ui.targetZ.value)
+            };
+            if ([target.x, target.y, target.z].some(Number.isNaN)) {
+                this.actions.onError('Enter numeric X, Y and Z values');
+                return;
+            }
+            this.actions.moveTo(target);
+        });
+
+        this.ui.saveWaypoint.addEventListener('click', () => {
+            const name = this.ui.waypointName.value.trim() || `P${this.pendant.waypoints.length + 1}`;
+            this.pendant.addWaypoint(name, this.actions.getPose());
+            this.ui.waypointName.value = '';
+            this.render();
+        });
+
+        this.ui.profile.addEventListener('change', (e) => {
+            this.actions.setProfile(e.target.value);
+        });
+
+        this.ui.runOnce.addEventListener('click', () => this.actions.run(false));
+        this.ui.runLoop.addEventListener('click', () => this.actions.run(true));
+        this.ui.stopProgram.addEventListener('click', () => this.actions.stop());
+
+        this.ui.exportProgram.addEventListener('click', () => {
+            this.exportProgram();
+        });
+
+        this.ui.importProgram.addEventListener('click', () => {
+            this.ui.programFile.click();
+        });
+
+        this.ui.programFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                this.pendant.load(JSON.parse(await file.text()), this.model.jointNames);
+                this.render();
+            } catch (error) {
+                console.error('Failed to import program:', error);
+                this.actions.onError(`Failed to import program: ${error.message}`);
+            }
+        });
+    }
+
+    renderJointSliders() {
+        this.ui.jointSliders.innerHTML = '';
+        this.sliders = {};
+
+        this.model.joints.forEach(joint => {
+            // Revolute joints show degrees, prismatic joints scene units
+            const prismatic = joint.type === JointTypes.PRISMATIC;
+            const scale = prismatic ? 1 : RAD_TO_DEG;
+            const unit = prismatic ? '' : '°';
+
+            const group = document.createElement('div');
+            group.className = 'control-group';
+
+            const label = document.createElement('label');
+            const name = document.createElement('span');
+            name.textContent = joint.name;
+            const value = document.createElement('span');
+            value.textContent = `0${unit}`;
+            label.append(name, value);
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = joint.limits.min * scale;
+            slider.max = joint.limits.max * scale;
+            slider.step = prismatic ? 0.1 : 1;
+            slider.value = joint.home * scale;
+
+            slider.addEventListener('pointerdown', () => { this.draggingSlider = true; });
+            slider.addEventListener('pointerup', () => { this.draggingSlider = false; });
+            slider.addEventListener('input', () => {
+                const angles = {};
+                Object.entries(this.sliders).forEach(([jointName, entry]) => {
+                    angles[jointName] = parseFloat(entry.slider.value) / entry.scale;
+                });
+                this.actions.setJointAngles(angles);
+            });
+
+            group.append(label, slider);
+            this.ui.jointSliders.appendChild(group);
+            this.sliders[joint.name] = { slider, value, scale, unit };
+        });
+    }
+
+    /**
+     * Reflect the arm's current pose in the sliders, unless the user is dragging one
+     * @param {Object} angles - Joint angles keyed by joint name
+     */
+    updateJointSliders(angles) {
+        Object.entries(this.sliders).forEach(([name, entry]) => {
+            if (angles[name] === undefined) return;
+            const shown = angles[name] * entry.scale;
+            entry.value.textContent = `${shown.toFixed(entry.unit ? 0 : 1)}${entry.unit}`;
+            if (!this.draggingSlider) entry.slider.value = shown;
+        });
+    }
+
+    /**
+     * Highlight the executing step and show its planned timing
+     * @param {number} index - Step index, -1 when idle
+     * @param {Object|null} trajectory - Planned move for the step
+     */
+    setActiveStep(index, trajectory = null) {
+        this.activeStep = index;
+        this.ui.stepList.querySelectorAll('.step-row').forEach((row, i) => {
+            row.classList.toggle('active', i === index);
+        });
+
+        if (!trajectory) return;
+
+        const peaks = Object.entries(trajectory.peakJointSpeeds)
+            .filter(([, speed]) => speed > 1e-3)
+            .map(([name, speed]) => {
+                const { scale = RAD_TO_DEG, unit = '°' } = this.sliders[name] || {};
+                return `${name} ${(speed * scale).toFixed(unit ? 0 : 1)}${unit}/s`;
+            })
+            .join(', ');
+
+        this.ui.planInfo.textContent =
+            `Step ${index + 1} · ${trajectory.type} · ${trajectory.duration.toFixed(2)} s` +
+            (peaks ? ` · peak ${peaks}` : '');
+    }
+
+    /**
+     * Show another robot's joints, e.g. when a different arm is selected
+     * @param {RobotModel} model
+     */
+    setModel(model) {
+        this.model = model;
+        this.renderJointSliders();
+    }
+
+    setRunning(running) {
+        this.ui.runOnce.disabled = running;
+        this.ui.runLoop.disabled = running;
+        this.ui.stopProgram.disabled = !running;
+    }
+
+    render() {
+        this.renderWaypoints();
+        this.renderSteps();
+    }
+
+    renderWaypoints() {
+        const list = this.ui.waypointList;
+        list.innerHTML = '';
+
+        if (this.pendant.waypoints.length === 0) {
+            list.appendChild(this.createEmptyRow('No waypoints yet'));
+            return;
+        }
+
+        this.pendant.waypoints.forEach(waypoint => {
+            const row = document.createElement('div');
+            row.className = 'list-row';
+
+            const name = document.createElement('span');
+            name.className = 'list-name';
+            const { x, y, z } = waypoint.target;
+            name.textContent = waypoint.name;
+            name.title = `(${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)})`;
+
+            const addStep = this.createButton('＋ Step', () => {
+                this.pendant.addStep(waypoint.name);
+                this.renderSteps();
+            });
+
+            const remove = this.createButton('✕', () => {
+                this.pendant.removeWaypoint(waypoint.name);
+                this.render();
+            });
+
+            row.append(name, addStep, remove);
+            list.appendChild(row);
+        });
+    }
+
+    renderSteps() {
+        const list = this.ui.stepList;
+        list.innerHTML = '';
+
+        if (this.pendant.steps.length === 0) {
+            list.appendChild(this.createEmptyRow('Add waypoints to the program'));
+            return;
+        }
+
+        this.pendant.steps.forEach((step, index) => {
+            const row = document.createElement('div');
+            row.className = 'step-row';
+            row.classList.toggle('active', index === this.activeStep);
+
+            const header = document.createElement('div');
+            header.className = 'list-row';
+
+            const name = document.createElement('span');
+            name.className = 'list-name';
+            name.textContent = `${index + 1}. ${step.waypoint}`;
+
+            header.append(
+                name,
+                this.createButton('▲', () => { this.pendant.moveStep(index, -1); this.renderSteps(); }),
+                this.createButton('▼', () => { this.pendant.moveStep(index, 1); this.renderSteps(); }),
+                this.createButton('✕', () => { this.pendant.removeStep(index); this.renderSteps(); })
+            );
+
+            const fields = document.createElement('div');
+            fields.className = 'step-fields';
+            fields.append(
+                this.createSelect(
+                    [[MoveTypes.JOINT, 'Joint'], [MoveTypes.LINEAR, 'Linear']],
+                    step.moveType,
+                    value => this.pendant.updateStep(index, { moveType: value })
+                ),
+                this.createNumberInput('Speed %', Math.round(step.speed * 100), 1, 100,
+                    value => this.pendant.updateStep(index, { speed: value / 100 })),
+                this.createNumberInput('Dwell s', step.dwell, 0, 60,
+                    value => this.pendant.updateStep(index, { dwell: value })),
+                this.createSelect(
+                    [['', 'No grip'], [GripperActions.OPEN, 'Open'], [GripperActions.CLOSE, 'Close']],
+                    step.gripper || '',
+                    value => this.pendant.updateStep(index, { gripper: value || GripperActions.NONE })
+                )
+            );
+
+            row.append(header, fields);
+            list.appendChild(row);
+        });
+    }
+
+    createEmptyRow(text) {
+        const row = document.createElement('div');
+        row.className = 'list-empty';
+        row.textContent = text;
+        return row;
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'btn-icon';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    createSelect(options, value, onChange) {
+        const select = document.createElement('select');
+        options.forEach(([optionValue, label]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = value;
+        select.addEventListener('change', (e) => onChange(e.target.value));
+        return select;
+    }
+
+    createNumberInput(title, value, min, max, onChange) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = min;
+        input.max = max;
+        input.value = value;
+        input.title = title;
+        input.addEventListener('change', (e) => {
+            const parsed = Math.max(min, Math.min(max, parseFloat(e.target.value) || min));
+            e.target.value = parsed;
+            onChange(parsed);
+        });
+        return input;
+    }
+
+    exportProgram() {
+        const json = JSON.stringify(this.pendant.toJSON(this.model.name), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'program.json';
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,399 @@
+/**
+ * Robot Model Definition
+ * Single description of a serial kinematic chain, shared by the IK solver and the scene builder
+ */
+
+import * as THREE from 'three';
+
+const DEG = Math.PI / 180;
+
+const AXIS_VECTORS = {
+    x: [1, 0, 0],
+    y: [0, 1, 0],
+    z: [0, 0, 1]
+};
+
+export const JointTypes = {
+    REVOLUTE: 'revolute',
+    PRISMATIC: 'prismatic'
+};
+
+// Cap on the tool positions sampled for the reach envelope; long chains sample coarser
+const MAX_ENVELOPE_SAMPLES = 20000;
+
+// Samples across a prismatic joint's travel for the reach envelope
+const PRISMATIC_STEPS = 8;
+
+/**
+ * Default 5-DOF desktop arm: base yaw, a planar shoulder/elbow pair and a
+ * pitch/roll wrist carrying the gripper.
+ *
+ * Each joint is described DH-style relative to the frame of the joint before it:
+ * - type:     'revolute' (default) or 'prismatic', which slides along its axis
+ * - axis:     rotation axis in the joint frame ('x', 'y', 'z' or [x, y, z])
+ * - offset:   joint origin in the parent frame (defaults to the tip of the parent link)
+ * - rotation: fixed orientation of the joint frame in the parent frame, as a
+ *             quaternion [x, y, z, w] (defaults to none)
+ * - length:   link length, measured along the joint's local +Y
+ * - limits:   { min, max } joint range in radians (scene units for prismatic joints),
+ *             { maxVelocity, maxAcceleration } per second and per second²
+ * - home:     rest angle used to seed the solver
+ * - visual:   hints for the scene builder (housing radius, link style and thickness,
+ *             or the meshes of an imported robot)
+ *
+ * The tool is mounted at the tip of the last link unless tool.flange [x, y, z] and
+ * tool.rotation [x, y, z, w] place it elsewhere; its +Y is the approach direction.
+ */
+export const DEFAULT_ROBOT = {
+    name: 'RA-3 Desktop Arm',
+    base: {
+        height: 4,
+        radius: 3.2
+    },
+    joints: [
+        {
+            name: 'base',
+            axis: 'y',
+            length: 0,
+            limits: { min: -180 * DEG, max: 180 * DEG, maxVelocity: 180 * DEG, maxAcceleration: 720 * DEG },
+            home: 0,
+            visual: { housing: 2 }
+        },
+        {
+            name: 'shoulder',
+            axis: 'x',
+            length: 12,
+            limits: { min: -100 * DEG, max: 100 * DEG, maxVelocity: 120 * DEG, maxAcceleration: 480 * DEG },
+            home: 0.3,
+            visual: { link: 'box', width: 1.4 }
+        },
+        {
+            name: 'elbow',
+            axis: 'x',
+            length: 10,
+            limits: { min: 0, max: 160 * DEG, maxVelocity: 150 * DEG, maxAcceleration: 600 * DEG },
+            home: 0.8,
+            visual: { housing: 1.6, link: 'cylinder', width: 1.4 }
+        },
+        {
+            name: 'wristPitch',
+            axis: 'x',
+            length: 1.2,
+            limits: { min: -110 * DEG, max: 110 * DEG, maxVelocity: 240 * DEG, maxAcceleration: 960 * DEG },
+            home: 0.4,
+            visual: { housing: 0.9, link: 'cylinder', width: 1.1 }
+        },
+        {
+            name: 'wristRoll',
+            axis: 'y',
+            length: 0.8,
+            limits: { min: -175 * DEG, max: 175 * DEG, maxVelocity: 300 * DEG, maxAcceleration: 1200 * DEG },
+            home: 0,
+            visual: { link: 'cylinder', width: 1.1 }
+        }
+    ],
+    tool: {
+        // Grasp point between the jaw tips, beyond the wrist flange
+        length: 1.8,
+        maxOpening: 1.6
+    }
+};
+
+export class RobotModel {
+    constructor(definition = DEFAULT_ROBOT) {
+        this.definition = definition;
+        this.name = definition.name || 'Robot';
+        this.base = {
+            height: definition.base?.height ?? 0,
+            radius: definition.base?.radius ?? 1,
+            visuals: definition.base?.visuals || null
+        };
+
+        // Normalize joints: resolve axes and default offsets along the parent link
+        let parentLength = this.base.height;
+        this.joints = definition.joints.map((joint) => {
+            const normalized = {
+                name: joint.name,
+                type: joint.type === JointTypes.PRISMATIC ? JointTypes.PRISMATIC : JointTypes.REVOLUTE,
+                axis: RobotModel.toVector(joint.axis, 'y').normalize(),
+                offset: joint.offset
+                    ? new THREE.Vector3(...joint.offset)
+                    : new THREE.Vector3(0, parentLength, 0),
+                rotation: joint.rotation
+                    ? new THREE.Quaternion(...joint.rotation).normalize()
+                    : new THREE.Quaternion(),
+                length: joint.length || 0,
+                limits: {
+                    min: joint.limits?.min ?? -Math.PI,
+                    max: joint.limits?.max ?? Math.PI,
+                    maxVelocity: joint.limits?.maxVelocity ?? Infinity,
+                    maxAcceleration: joint.limits?.maxAcceleration ?? Infinity
+                },
+                home: joint.home || 0,
+                visual: joint.visual || {}
+            };
+            parentLength = normalized.length;
+            return normalized;
+        });
+
+        this.jointNames = this.joints.map(joint => joint.name);
+
+        // Flange at the tip of the last link; the tool point extends beyond it
+        this.flangeOffset = definition.tool?.flange
+            ? new THREE.Vector3(...definition.tool.flange)
+            : new THREE.Vector3(0, parentLength, 0);
+        this.flangeRotation = definition.tool?.rotation
+            ? new THREE.Quaternion(...definition.tool.rotation).normalize()
+            : new THREE.Quaternion();
+        this.tool = {
+            length: definition.tool?.length ?? 0,
+            maxOpening: definition.tool?.maxOpening ?? 1.6
+        };
+        this.toolOffset = definition.tool?.offset
+            ? new THREE.Vector3(...definition.tool.offset)
+            : new THREE.Vector3(0, this.tool.length, 0).applyQuaternion(this.flangeRotation).add(this.flangeOffset);
+        this.toolDepth = this.toolOffset.distanceTo(this.flangeOffset);
+
+        // Each link runs from its joint to the next joint's origin (the flange for the last)
+        this.joints.forEach((joint, i) => {
+            const next = this.joints[i + 1];
+            joint.linkEnd = next ? next.offset.clone() : this.flangeOffset.clone();
+        });
+
+        this.computeWorkspace();
+    }
+
+    /**
+     * Convert an axis name or array into a vector
+     * @param {string|Array} axis - 'x', 'y', 'z' or [x, y, z]
+     * @param {string} fallback - Axis used when none is given
+     * @returns {THREE.Vector3}
+     */
+    static toVector(axis, fallback) {
+        const components = Array.isArray(axis) ? axis : AXIS_VECTORS[axis || fallback];
+        return new THREE.Vector3(...components);
+    }
+
+    /**
+     * Reach envelope measured from the first joint that is not a vertical yaw,
+     * i.e. the shoulder pivot of a conventional arm
+     */
+    computeWorkspace() {
+        const frames = this.computeFrames(this.homeAngles(true));
+        const up = new THREE.Vector3(0, 1, 0);
+
+        let originIndex = this.joints.findIndex((joint, i) =>
+            i > 0 || joint.type === JointTypes.PRISMATIC || Math.abs(frames.joints[i].axis.dot(up)) < 0.999
+        );
+        if (originIndex < 0) originIndex = 0;
+
+        this.reachOrigin = frames.joints[originIndex].position.clone();
+
+        // Segment lengths from the reach origin to the tool point
+        const points = frames.joints.slice(originIndex + 1).map(frame => frame.position);
+        points.push(frames.tip);
+
+        const segments = [];
+        let previous = this.reachOrigin;
+        points.forEach(point => {
+            const length = point.distanceTo(previous);
+            if (length > 1e-6) segments.push(length);
+            previous = point;
+        });
+
+        // Sliding joints add their travel on top of the links
+        const travel = this.joints.slice(originIndex)
+            .filter(joint => joint.type === JointTypes.PRISMATIC)
+            .reduce((sum, joint) => sum + Math.max(Math.abs(joint.limits.min), Math.abs(joint.limits.max)), 0);
+
+        const total = segments.reduce((sum, length) => sum + length, 0) + travel;
+        const longest = segments.length ? Math.max(...segments) : 0;
+
+        this.maxReach = total;
+        this.minReach = Math.max(0, longest - (total - longest));
+    }
+
+    /**
+     * Sample the tool positions allowed by the joint limits and bin them by direction
+     * from the reach origin. A revolute first joint is swept by rotating the samples of
+     * the rest of the chain about its axis rather than by re-running forward kinematics.
+     * @param {Object} options - { azimuthBins, elevationBins, resolution (radians per sample) }
+     * @returns {Object} { origin, azimuthBins, elevationBins, min, max } where min/max hold the
+     *                   nearest/farthest reach per bin (index = elevation * azimuthBins + azimuth),
+     *                   and max is 0 for directions the tool can't point in
+     */
+    sampleReachEnvelope(options = {}) {
+        const azimuthBins = options.azimuthBins || 48;
+        const elevationBins = options.elevationBins || 24;
+        const resolution = options.resolution || 8 * DEG;
+
+        // A revolute first joint is swept by rotation; a sliding one is sampled like the rest
+        const [first] = this.joints;
+        const rotateFirst = first.type === JointTypes.REVOLUTE;
+        const rest = rotateFirst ? this.joints.slice(1) : this.joints;
+
+        // A last joint turning about an axis through the tool point, like a wrist roll,
+        // doesn't move it
+        const zero = this.computeFrames(this.homeAngles(true));
+        const last = this.joints.length - 1;
+        const rollsInPlace = last > 0 && this.joints[last].type === JointTypes.REVOLUTE &&
+            new THREE.Vector3().subVectors(zero.tip, zero.joints[last].position)
+                .cross(zero.joints[last].axis).lengthSq() < 1e-8;
+        const swept = rollsInPlace ? rest.filter(joint => joint !== this.joints[last]) : rest;
+
+        const steps = swept.map(joint => joint.type === JointTypes.PRISMATIC
+            ? PRISMATIC_STEPS
+            : Math.max(1, Math.ceil((joint.limits.max - joint.limits.min) / resolution)));
+        const total = steps.reduce((product, count) => product * (count + 1), 1);
+        const coarsen = Math.min(1, (MAX_ENVELOPE_SAMPLES / total) ** (1 / Math.max(1, swept.length)));
+
+        const ranges = swept.map((joint, j) => {
+            const span = joint.limits.max - joint.limits.min;
+            const count = Math.max(1, Math.floor((steps[j] + 1) * coarsen) - 1);
+            return Array.from({ length: count + 1 }, (_, i) => joint.limits.min + (span * i) / count);
+        });
+
+        // Tool positions with the first joint at zero
+        const points = [];
+        const angles = this.homeAngles(true);
+        const visit = (depth) => {
+            if (depth === swept.length) {
+                points.push(this.computeFrames(angles).tip);
+                return;
+            }
+            ranges[depth].forEach(value => {
+                angles[swept[depth].name] = value;
+                visit(depth + 1);
+            });
+        };
+        visit(0);
+
+        const min = new Float32Array(azimuthBins * elevationBins).fill(Infinity);
+        const max = new Float32Array(azimuthBins * elevationBins);
+
+        const firstFrame = this.computeFrames(angles).joints[0];
+        const pivot = firstFrame.position;
+        const span = first.limits.max - first.limits.min;
+        // Two sweeps per azimuth bin so rotated samples don't skip bins
+        const firstSteps = rotateFirst ? Math.max(1, Math.ceil(span / (Math.PI / azimuthBins))) : 0;
+        const rotation = new THREE.Matrix4();
+        const offset = new THREE.Vector3();
+
+        for (let i = 0; i <= firstSteps; i++) {
+            rotation.makeRotationAxis(firstFrame.axis, rotateFirst ? first.limits.min + (span * i) / firstSteps : 0);
+
+            points.forEach(point => {
+                offset.copy(point).sub(pivot).applyMatrix4(rotation).add(pivot).sub(this.reachOrigin);
+
+                const distance = offset.length();
+                if (distance < 1e-6) return;
+
+                const azimuth = Math.atan2(offset.z, offset.x);
+                const elevation = Math.asin(THREE.MathUtils.clamp(offset.y / distance, -1, 1));
+                const a = Math.min(azimuthBins - 1, Math.floor(((azimuth + Math.PI) / (2 * Math.PI)) * azimuthBins));
+                const e = Math.min(elevationBins - 1, Math.floor(((elevation + Math.PI / 2) / Math.PI) * elevationBins));
+                const bin = e * azimuthBins + a;
+
+                min[bin] = Math.min(min[bin], distance);
+                max[bin] = Math.max(max[bin], distance);
+            });
+        }
+
+        min.forEach((value, bin) => {
+            if (!Number.isFinite(value)) min[bin] = 0;
+        });
+
+        return {
+            origin: this.reachOrigin.clone(),
+            azimuthBins,
+            elevationBins,
+            min,
+            max
+        };
+    }
+
+    /**
+     * Rest pose for every joint
+     * @param {boolean} zero - Return all-zero angles instead of the configured home
+     * @returns {Object} Joint angles keyed by joint name
+     */
+    homeAngles(zero = false) {
+        const angles = {};
+        this.joints.forEach(joint => {
+            angles[joint.name] = zero ? 0 : joint.home;
+        });
+        return angles;
+    }
+
+    /**
+     * Clamp joint angles into their position limits
+     * @param {Object} angles - Joint angles keyed by joint name
+     * @returns {Object} Clamped copy of the angles
+     */
+    clampAngles(angles) {
+        const clamped = { ...angles };
+        this.joints.forEach(joint => {
+            const value = angles[joint.name];
+            if (value === undefined) return;
+            clamped[joint.name] = Math.max(joint.limits.min, Math.min(joint.limits.max, value));
+        });
+        return clamped;
+    }
+
+    /**
+     * Compute the world frame of every joint for a set of angles
+     * @param {Object} angles - Joint angles keyed by joint name
+     * @returns {Object} { joints: [{ name, type, position, axis, matrix }], tip, tipMatrix }
+     *                   where matrix is the joint's moved (pivot) frame
+     */
+    computeFrames(angles) {
+        const matrix = new THREE.Matrix4();
+        const translation = new THREE.Matrix4();
+        const rotation = new THREE.Matrix4();
+
+        const joints = this.joints.map(joint => {
+            translation.makeTranslation(joint.offset.x, joint.offset.y, joint.offset.z);
+            matrix.multiply(translation);
+            matrix.multiply(rotation.makeRotationFromQuaternion(joint.rotation));
+
+            const frame = {
+                name: joint.name,
+                type: joint.type,
+                position: new THREE.Vector3().setFromMatrixPosition(matrix),
+                axis: joint.axis.clone().transformDirection(matrix)
+            };
+
+            const value = angles[joint.name] || 0;
+            if (joint.type === JointTypes.PRISMATIC) {
+                matrix.multiply(translation.makeTranslation(
+                    joint.axis.x * value, joint.axis.y * value, joint.axis.z * value
+                ));
+            } else {
+                matrix.multiply(rotation.makeRotationAxis(joint.axis, value));
+            }
+            frame.matrix = matrix.clone();
+
+            return frame;
+        });
+
+        translation.makeTranslation(this.toolOffset.x, this.toolOffset.y, this.toolOffset.z);
+        matrix.multiply(translation);
+        matrix.multiply(rotation.makeRotationFromQuaternion(this.flangeRotation));
+
+        return {
+            joints,
+            tip: new THREE.Vector3().setFromMatrixPosition(matrix),
+            tipMatrix: matrix
+        };
+    }
+
+    /**
+     * Forward kinematics (joint angles -> tool position)
+     * @param {Object} angles - Joint angles keyed by joint name
+     * @returns {Object} Tool position {x, y, z}
+     */
+    forward(angles) {
+        const { tip } = this.computeFrames(angles);
+        return { x: tip.x, y: tip.y, z: tip.z };
+    }
+}
@@ -0,0 +1,372 @@
+/**
+ * ROS Bridge
+ * WebSocket client speaking the rosbridge v2 protocol: publishes every arm's joint
+ * states, tool pose and gripper opening, and takes remote targets, program runs,
+ * homing and stops. Each arm gets its own namespace, e.g. /arm_1/joint_states.
+ *
+ * Positions follow ROS conventions (REP 103: x forward, y left, z up) rather than the
+ * scene's y-up axes; lengths stay in scene units and angles in radians.
+ *
+ * Messages use ROS 2 definitions, so header stamps are { sec, nanosec }; a ROS 1
+ * rosbridge expects { secs, nsecs } and will not fill them in.
+ */
+
+import * as THREE from 'three';
+
+export const BridgeStatus = {
+    DISCONNECTED: 'disconnected',
+    CONNECTING: 'connecting',
+    CONNECTED: 'connected',
+    ERROR: 'error'
+};
+
+// Scene frame to ROS frame: a quarter turn about x takes y-up to z-up
+const SCENE_TO_ROS = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2);
+const ROS_TO_SCENE = SCENE_TO_ROS.clone().invert();
+
+// Published per arm, relative to its namespace
+const TOPICS = {
+    jointStates: { name: 'joint_states', type: 'sensor_msgs/JointState' },
+    toolPose: { name: 'tool_pose', type: 'geometry_msgs/PoseStamped' },
+    gripper: { name: 'gripper_state', type: 'std_msgs/Float32' }
+};
+
+// Subscribed per arm
+const COMMAND_TOPICS = {
+    target: { name: 'target', type: 'geometry_msgs/Point' }
+};
+
+// Served per arm; run_program's SetBool data asks for a looping run
+const SERVICES = {
+    home: { name: 'home', type: 'std_srvs/Trigger' },
+    stop: { name: 'stop', type: 'std_srvs/Trigger' },
+    runProgram: { name: 'run_program', type: 'std_srvs/SetBool' }
+};
+
+export class RosBridgeClient {
+    /**
+     * @param {Object} actions - App callbacks:
+     *   getArms() → [{ id, name, jointNames, angles, tool: { position, quaternion }, gripper }]
+     *   with the tool pose in the arm's frame,
+     *   setTarget(armId, position) with position in the arm's frame,
+     *   home(armId), stop(armId), runProgram(armId, loop), each → { success, message }
+     * @param {Object} config - { rate } publish rate in Hz
+     */
+    constructor(actions, config = {}) {
+        this.actions = actions;
+        this.rate = config.rate ?? 20;
+
+        this.socket = null;
+        this.url = null;
+        this.status = BridgeStatus.DISCONNECTED;
+        this.statusText = 'Not connected';
+        this.elapsed = 0;
+
+        // Namespaces whose topics and services are set up on the bridge
+        this.namespaces = new Set();
+
+        // Called with { status, text }
+        this.onStatus = null;
+    }
+
+    get isConnected() {
+        return this.status === BridgeStatus.CONNECTED;
+    }
+
+    /**
+     * @param {string} url - rosbridge server, e.g. ws://localhost:9090
+     * @returns {Promise} Resolves once connected
+     */
+    connect(url) {
+        this.disconnect();
+        this.url = url;
+        this.setStatus(BridgeStatus.CONNECTING, `Connecting to ${url}...`);
+
+        return new Promise((resolve, reject) => {
+            let socket;
+            try {
+                socket = new WebSocket(url);
+            } catch (error) {
+                this.setStatus(BridgeStatus.ERROR, `Invalid bridge URL: ${url}`);
+                reject(error);
+                return;
+            }
+            this.socket = socket;
+
+            socket.addEventListener('open', () => {
+                this.elapsed = 0;
+                this.setStatus(BridgeStatus.CONNECTED, `Connected to ${url}`);
+                this.syncArms();
+                resolve();
+            });
+
+            socket.addEventListener('message', (event) => {
+                this.handleMessage(event.data);
+            });
+
+            socket.addEventListener('close', () => {
+                if (socket !== this.socket) return;
+
+                const wasConnected = this.isConnected;
+                this.socket = null;
+                this.namespaces.clear();
+                if (wasConnected) {
+                    this.setStatus(BridgeStatus.DISCONNECTED, 'Bridge closed the connection');
+                } else {
+                    this.setStatus(BridgeStatus.ERROR, `Could not reach ${url}`);
+                    reject(new Error(`Could not reach ${url}`));
+                }
+            });
+        });
+    }
+
+    disconnect() {
+        const socket = this.socket;
+        if (!socket) return;
+
+        // Take the arms off the bridge so stale topics don't linger for other clients
+        if (this.isConnected) {
+            this.namespaces.forEach(ns => this.teardown(ns));
+        }
+        this.socket = null;
+        this.namespaces.clear();
+        socket.close();
+        this.setStatus(BridgeStatus.DISCONNECTED, 'Not connected');
+    }
+
+    /**
+     * Publish at the configured rate
+     * @param {number} dt - Seconds since the last update
+     */
+    update(dt) {
+        if (!this.isConnected) return;
+
+        this.elapsed += dt;
+        if (this.elapsed < 1 / this.rate) return;
+        this.elapsed %= 1 / this.rate;
+
+        const arms = this.syncArms();
+        const stamp = RosBridgeClient.stamp(Date.now());
+
+        arms.forEach(arm => {
+            const ns = RosBridgeClient.namespace(arm.id);
+            const header = { stamp, frame_id: `${ns.slice(1)}_base` };
+
+            this.publish(ns, TOPICS.jointStates, {
+                header,
+                name: arm.jointNames,
+                position: arm.jointNames.map(name => arm.angles[name] ?? 0),
+                velocity: [],
+                effort: []
+            });
+
+            this.publish(ns, TOPICS.toolPose, {
+                header,
+                pose: {
+                    position: RosBridgeClient.toRosPosition(arm.tool.position),
+                    orientation: RosBridgeClient.toRosOrientation(arm.tool.quaternion)
+                }
+            });
+
+            this.publish(ns, TOPICS.gripper, { data: arm.gripper.opening });
+        });
+    }
+
+    /**
+     * Advertise topics and services for arms that appeared and withdraw those of
+     * arms that were removed
+     * @returns {Array} The app's arms
+     */
+    syncArms() {
+        const arms = this.actions.getArms();
+        const current = new Set(arms.map(arm => RosBridgeClient.namespace(arm.id)));
+
+        this.namespaces.forEach(ns => {
+            if (!current.has(ns)) {
+                this.teardown(ns);
+                this.namespaces.delete(ns);
+            }
+        });
+
+        current.forEach(ns => {
+            if (this.namespaces.has(ns)) return;
+            this.namespaces.add(ns);
+
+            Object.values(TOPICS).forEach(topic => {
+                this.send({ op: 'advertise', topic: `${ns}/${topic.name}`, type: topic.type });
+            });
+            Object.values(COMMAND_TOPICS).forEach(topic => {
+                this.send({ op: 'subscribe', topic: `${ns}/${topic.name}`, type: topic.type });
+            });
+            Object.values(SERVICES).forEach(service => {
+                this.send({ op: 'advertise_service', service: `${ns}/${service.name}`, type: service.type });
+            });
+        });
+
+        return arms;
+    }
+
+    teardown(ns) {
+        Object.values(TOPICS).forEach(topic => {
+            this.send({ op: 'unadvertise', topic: `${ns}/${topic.name}` });
+        });
+        Object.values(COMMAND_TOPICS).forEach(topic => {
+            this.send({ op: 'unsubscribe', topic: `${ns}/${topic.name}` });
+        });
+        Object.values(SERVICES).forEach(service => {
+            this.send({ op: 'unadvertise_service', service: `${ns}/${service.name}` });
+        });
+    }
+
+    publish(ns, topic, msg) {
+        this.send({ op: 'publish', topic: `${ns}/${topic.name}`, msg });
+    }
+
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn('Ignoring malformed bridge message:', error);
+            return;
+        }
+
+        if (message.op === 'publish') {
+            this.handleCommand(message.topic, message.msg);
+        } else if (message.op === 'call_service') {
+            this.handleServiceCall(message);
+        }
+    }
+
+    handleCommand(topic, msg) {
+        const arm = this.findArm(topic);
+        if (!arm || topic !== `${arm.ns}/${COMMAND_TOPICS.target.name}`) return;
+
+        const position = RosBridgeClient.fromRosPosition(msg || {});
+        if (![position.x, position.y, position.z].every(Number.isFinite)) {
+            console.warn(`Ignoring target without x, y and z on ${topic}`);
+            return;
+        }
+        this.actions.setTarget(arm.id, position);
+    }
+
+    handleServiceCall({ id, service, args }) {
+        const respond = (result, values) => {
+            this.send({ op: 'service_response', id, service, result, values });
+        };
+
+        const arm = this.findArm(service);
+        if (!arm) {
+            respond(false, { success: false, message: `Unknown service ${service}` });
+            return;
+        }
+
+        let reply;
+        switch (service.slice(arm.ns.length + 1)) {
+            case SERVICES.home.name:
+                reply = this.actions.home(arm.id);
+                break;
+            case SERVICES.stop.name:
+                reply = this.actions.stop(arm.id);
+                break;
+            case SERVICES.runProgram.name:
+                reply = this.actions.runProgram(arm.id, Boolean(args?.data));
+                break;
+            default:
+                respond(false, { success: false, message: `Unknown service ${service}` });
+                return;
+        }
+        respond(true, { success: reply.success, message: reply.message || '' });
+    }
+
+    /**
+     * Arm a topic or service name belongs to
+     * @returns {Object|null} { id, ns }
+     */
+    findArm(name) {
+        const arm = this.actions.getArms()
+            .find(candidate => name?.startsWith(`${RosBridgeClient.namespace(candidate.id)}/`));
+        return arm ? { id: arm.id, ns: RosBridgeClient.namespace(arm.id) } : null;
+    }
+
+    setStatus(status, text) {
+        this.status = status;
+        this.statusText = text;
+        if (this.onStatus) this.onStatus({ status, text });
+    }
+
+    /**
+     * ROS names allow letters, digits and underscores only
+     */
+    static namespace(armId) {
+        return `/${String(armId).replace(/[^A-Za-z0-9_]/g, '_')}`;
+    }
+
+    /**
+     * ROS 2 time from milliseconds since the epoch
+     */
+    static stamp(ms) {
+        const sec = Math.floor(ms / 1000);
+        return { sec, nanosec: Math.round((ms - sec * 1000) * 1e6) };
+    }
+
+    static toRosPosition({ x, y, z }) {
+        return { x, y: -z, z: y };
+    }
+
+    static fromRosPosition({ x, y, z }) {
+        return { x, y: z, z: -y };
+    }
+
+    /**
+     * @param {THREE.Quaternion} quaternion - Tool orientation in the scene's axes
+     * @returns {Object} { x, y, z, w } in ROS axes
+     */
+    static toRosOrientation(quaternion) {
+        const q = SCENE_TO_ROS.clone().multiply(quaternion).multiply(ROS_TO_SCENE);
+        return { x: q.x, y: q.y, z: q.z, w: q.w };
+    }
+}
+
+/**
+ * Arms a remote client has taken over. A held arm ignores its live input source, so a
+ * remote target or stop isn't overwritten by the next hand or scripted sample. Sources
+ * that stand for an explicit user command (interruptsPrograms) take the arm back.
+ */
+export class RemoteHold {
+    constructor() {
+        this.arms = new WeakSet();
+    }
+
+    hold(arm) {
+        this.arms.add(arm);
+    }
+
+    release(arm) {
+        this.arms.delete(arm);
+    }
+
+    isHeld(arm) {
+        return this.arms.has(arm);
+    }
+
+    /**
+     * Whether a source may drive an arm; an explicit command releases the hold
+     * @param {Object} arm
+     * @param {InputSource} source
+     * @returns {boolean}
+     */
+    accepts(arm, source) {
+        if (!this.arms.has(arm)) return true;
+        if (!source.interruptsPrograms) return false;
+
+        this.arms.delete(arm);
+        return true;
+    }
+}
@@ -5,6 +5,8 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { JointTypes } from './robot-model.js';
 
 export class SceneManager {
     constructor(container) {
@@ -13,13 +15,16 @@ export class SceneManager {
         this.camera = null;
         this.renderer = null;
         this.controls = null;
-        this.robotArm = null;
+
+        // Arm visuals keyed by arm id; each arm's meshes, target marker and workspace
+        // shell live under its base group, in the arm's own frame
+        this.arms = new Map();
+        this.workspaceVisible = false;
 
         this.init();
         this.setupLighting();
         this.setupEnvironment();
-        this.createRobotArm();
-        this.createTargetMarker();
+        this.createObstacleLayer();
     }
 
     init() {
@@ -48,6 +53,7 @@ export class SceneManager {
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.renderer.localClippingEnabled = true;
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
         this.renderer.toneMappingExposure = 1.2;
 
@@ -118,6 +124,7 @@ export class SceneManager {
         plane.rotation.x = -Math.PI / 2;
         plane.receiveShadow = true;
         this.scene.add(plane);
+        this.groundPlane = plane;
 
         // Engineering Grid - Primary (10 unit spacing)
         const gridSize = 100;
@@ -367,13 +374,51 @@ export class SceneManager {
         this.scene.add(particles);
     }
 
-    createRobotArm() {
-        const ARM_CONFIG = {
-            baseHeight: 4,
-            lowerArmLength: 12,
-            upperArmLength: 10
-        };
+    /**
+     * Build an arm and its target marker
+     * @param {string} id - Arm id used by the per-arm methods
+     * @param {RobotModel} model - Joint chain to build
+     * @param {Object} placement - { position: {x, z}, rotation } base placement, rotation
+     *                             in radians about the vertical axis
+     * @returns {Object} The arm's visual record
+     */
+    addArm(id, model, { position = { x: 0, z: 0 }, rotation = 0 } = {}) {
+        const arm = this.createRobotArm(model);
+        arm.base.position.set(position.x, 0, position.z);
+        arm.base.rotation.y = rotation;
+        arm.marker = this.createTargetMarker(arm.base);
+
+        this.arms.set(id, arm);
+        if (this.workspaceVisible) this.setWorkspaceVisible(true);
+        return arm;
+    }
+
+    removeArm(id) {
+        const arm = this.arms.get(id);
+        if (!arm) return;
+
+        if (this.transformControls?.object === arm.marker.group) {
+            this.transformControls.detach();
+        }
+
+        // Materials are per arm, apart from the shared collision highlight
+        const materials = new Set();
+        arm.base.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.userData.baseMaterial) materials.add(object.userData.baseMaterial);
+            else if (object.material && object.material !== this.collisionMaterial) materials.add(object.material);
+        });
+        materials.forEach(material => material.dispose());
+
+        this.scene.remove(arm.base);
+        this.arms.delete(id);
+    }
 
+    getArm(id) {
+        return this.arms.get(id) || null;
+    }
+
+    createRobotArm(model) {
         // Enhanced Materials - Industrial Robotic Look
         const brushedMetalMaterial = new THREE.MeshStandardMaterial({
             color: 0x2a3f5f,
@@ -407,25 +452,108 @@ export class SceneManager {
             opacity: 0.9
         });
 
+        const materials = {
+            brushedMetal: brushedMetalMaterial,
+            darkMetal: darkMetalMaterial,
+            joint: jointMaterial,
+            warningStripe: warningStripeMaterial,
+            led: ledMaterial
+        };
+
         // Robot arm hierarchy
         const baseGroup = new THREE.Group();
         baseGroup.name = 'robotBase';
         this.scene.add(baseGroup);
 
+        this.createRobotPedestal(baseGroup, model.base, materials);
+        if (model.base.visuals) {
+            this.createImportedVisuals(baseGroup, model.base.visuals, materials);
+        }
+
+        // One frame per joint (fixed offset) holding a pivot that rotates about the joint
+        // axis, or slides along it for a prismatic joint
+        const joints = {};
+        const linkMeshes = { pedestal: this.collectMeshes(baseGroup) };
+        let parent = baseGroup;
+
+        model.joints.forEach((joint) => {
+            const frame = new THREE.Group();
+            frame.name = `${joint.name}Frame`;
+            frame.position.copy(joint.offset);
+            frame.quaternion.copy(joint.rotation);
+            parent.add(frame);
+
+            if (joint.visual.housing) {
+                this.createJointHousing(frame, joint, materials);
+            }
+
+            const pivot = new THREE.Group();
+            pivot.name = joint.name;
+            frame.add(pivot);
+
+            if (joint.visual.meshes) {
+                this.createImportedVisuals(pivot, joint.visual.meshes, materials);
+            } else if (joint.visual.link && joint.length > 0) {
+                this.createLinkMesh(pivot, joint, materials);
+            }
+
+            joints[joint.name] = pivot;
+            linkMeshes[joint.name] = [...this.collectMeshes(frame), ...this.collectMeshes(pivot)];
+            parent = pivot;
+        });
+
+        const endEffector = this.createEndEffector(parent, model, materials);
+        linkMeshes.tool = this.collectMeshes(endEffector.group);
+
+        return {
+            model,
+            base: baseGroup,
+            joints,
+            linkMeshes,
+            endEffector: endEffector.group,
+            toolPoint: endEffector.toolPoint,
+            gripper: {
+                jaws: endEffector.jaws,
+                maxOpening: endEffector.maxOpening
+            }
+        };
+    }
+
+    /**
+     * Meshes belonging to a group itself, not to the joint frames nested inside it
+     */
+    collectMeshes(group) {
+        const meshes = [];
+        const visit = (object) => {
+            object.children.forEach(child => {
+                if (child.isGroup) return;
+                if (child.isMesh) meshes.push(child);
+                visit(child);
+            });
+        };
+        visit(group);
+        return meshes;
+    }
+
+    createRobotPedestal(baseGroup, base, materials) {
+        if (base.height <= 0) return;
+
+        const topRadius = base.radius * 0.78;
+
         // Industrial Base Platform with details
         const baseMesh = new THREE.Mesh(
-            new THREE.CylinderGeometry(2.5, 3.2, ARM_CONFIG.baseHeight, 32),
-            brushedMetalMaterial
+            new THREE.CylinderGeometry(topRadius, base.radius, base.height, 32),
+            materials.brushedMetal
         );
-        baseMesh.position.y = ARM_CONFIG.baseHeight / 2;
+        baseMesh.position.y = base.height / 2;
         baseMesh.castShadow = true;
         baseMesh.receiveShadow = true;
         baseGroup.add(baseMesh);
 
         // Base bottom accent
         const baseBottom = new THREE.Mesh(
-            new THREE.CylinderGeometry(3.2, 3.4, 0.4, 32),
-            darkMetalMaterial
+            new THREE.CylinderGeometry(base.radius, base.radius + 0.2, 0.4, 32),
+            materials.darkMetal
         );
         baseBottom.position.y = 0.2;
         baseGroup.add(baseBottom);
@@ -433,184 +561,218 @@ export class SceneManager {
         // Warning stripes on base
         for (let i = 0; i < 8; i++) {
             const stripe = new THREE.Mesh(
-                new THREE.BoxGeometry(0.3, ARM_CONFIG.baseHeight - 0.5, 0.05),
-                warningStripeMaterial
+                new THREE.BoxGeometry(0.3, base.height - 0.5, 0.05),
+                materials.warningStripe
             );
             const angle = (i / 8) * Math.PI * 2;
-            stripe.position.x = Math.cos(angle) * 2.7;
-            stripe.position.z = Math.sin(angle) * 2.7;
-            stripe.position.y = ARM_CONFIG.baseHeight / 2;
+            stripe.position.x = Math.cos(angle) * (topRadius + 0.2);
+            stripe.position.z = Math.sin(angle) * (topRadius + 0.2);
+            stripe.position.y = base.height / 2;
             stripe.rotation.y = -angle;
             baseGroup.add(stripe);
         }
 
         // LED indicator ring
         const ledRing = new THREE.Mesh(
-            new THREE.TorusGeometry(2.9, 0.08, 16, 32),
-            ledMaterial
+            new THREE.TorusGeometry(topRadius + 0.4, 0.08, 16, 32),
+            materials.led
         );
         ledRing.rotation.x = Math.PI / 2;
-        ledRing.position.y = ARM_CONFIG.baseHeight + 0.05;
+        ledRing.position.y = base.height + 0.05;
         baseGroup.add(ledRing);
 
         // Main power ring glow
         const powerRing = new THREE.Mesh(
-            new THREE.TorusGeometry(2.6, 0.2, 16, 32),
+            new THREE.TorusGeometry(topRadius + 0.1, 0.2, 16, 32),
             new THREE.MeshBasicMaterial({ color: 0x38bdf8, transparent: true, opacity: 0.8 })
         );
         powerRing.rotation.x = Math.PI / 2;
-        powerRing.position.y = ARM_CONFIG.baseHeight + 0.15;
+        powerRing.position.y = base.height + 0.15;
         baseGroup.add(powerRing);
+    }
+
+    /**
+     * Meshes of an imported robot, e.g. the visuals of a URDF link
+     * @param {THREE.Object3D} parent - Frame the visuals are placed in
+     * @param {Array} visuals - [{ position, rotation, scale, color, parts: [{ geometry, matrix }] }],
+     *                          rotation as a quaternion [x, y, z, w] and color as [r, g, b, a];
+     *                          visuals without a color get the arm's metal finish
+     * @param {Object} materials - The arm's materials
+     */
+    createImportedVisuals(parent, visuals, materials) {
+        visuals.forEach(visual => {
+            const [r, g, b, a = 1] = visual.color || [];
+            const material = visual.color
+                ? new THREE.MeshStandardMaterial({
+                    color: new THREE.Color(r, g, b),
+                    roughness: 0.5,
+                    metalness: 0.4,
+                    transparent: a < 1,
+                    opacity: a
+                })
+                : materials.brushedMetal;
+
+            // Not a Group, so collectMeshes treats the parts as the link's own meshes
+            const holder = new THREE.Object3D();
+            holder.position.set(...visual.position);
+            holder.quaternion.set(...visual.rotation);
+            holder.scale.set(...visual.scale);
+
+            // Each arm gets its own geometry, since removing an arm disposes it
+            visual.parts.forEach(part => {
+                const mesh = new THREE.Mesh(part.geometry.clone(), material);
+                mesh.applyMatrix4(part.matrix);
+                mesh.castShadow = true;
+                mesh.receiveShadow = true;
+                holder.add(mesh);
+            });
+            parent.add(holder);
+        });
+    }
 
-        // Shoulder joint assembly (rotates Y)
-        const shoulderGroup = new THREE.Group();
-        shoulderGroup.name = 'shoulder';
-        shoulderGroup.position.y = ARM_CONFIG.baseHeight;
-        baseGroup.add(shoulderGroup);
+    createJointHousing(frame, joint, materials) {
+        const radius = joint.visual.housing;
 
-        // Main shoulder sphere
-        const shoulderMesh = new THREE.Mesh(
-            new THREE.SphereGeometry(2, 32, 32),
-            jointMaterial
+        const housingMesh = new THREE.Mesh(
+            new THREE.SphereGeometry(radius, 32, 32),
+            materials.joint
         );
-        shoulderMesh.castShadow = true;
-        shoulderGroup.add(shoulderMesh);
-
-        // Shoulder detail rings
-        for (let i = 0; i < 3; i++) {
-            const ring = new THREE.Mesh(
-                new THREE.TorusGeometry(2.1 + i * 0.15, 0.06, 8, 32),
-                darkMetalMaterial
-            );
-            ring.rotation.x = Math.PI / 2;
-            ring.position.y = -0.8 + i * 0.8;
-            shoulderGroup.add(ring);
+        housingMesh.castShadow = true;
+        frame.add(housingMesh);
+
+        if (Math.abs(joint.axis.y) > 0.99) {
+            // Turret-style detail rings stacked along a vertical axis
+            for (let i = 0; i < 3; i++) {
+                const ring = new THREE.Mesh(
+                    new THREE.TorusGeometry(radius * 1.05 + i * 0.15, 0.06, 8, 32),
+                    materials.darkMetal
+                );
+                ring.rotation.x = Math.PI / 2;
+                ring.position.y = (i - 1) * radius * 0.4;
+                frame.add(ring);
+            }
+            return;
         }
 
-        // Lower arm pivot (rotates X)
-        const lowerArmPivot = new THREE.Group();
-        lowerArmPivot.name = 'lowerArmPivot';
-        shoulderGroup.add(lowerArmPivot);
+        // Knuckle mechanical details
+        const outerRing = new THREE.Mesh(
+            new THREE.TorusGeometry(radius * 1.06, 0.08, 8, 32),
+            materials.darkMetal
+        );
+        outerRing.rotation.x = Math.PI / 2;
+        frame.add(outerRing);
 
-        // Lower arm main structure
-        const lowerArmMesh = new THREE.Mesh(
-            new THREE.BoxGeometry(1.4, ARM_CONFIG.lowerArmLength, 1.4),
-            brushedMetalMaterial
+        const accentRing = new THREE.Mesh(
+            new THREE.TorusGeometry(radius * 0.94, 0.06, 8, 32),
+            new THREE.MeshBasicMaterial({ color: 0x38bdf8 })
         );
-        lowerArmMesh.position.y = ARM_CONFIG.lowerArmLength / 2;
-        lowerArmMesh.castShadow = true;
-        lowerArmPivot.add(lowerArmMesh);
-
-        // Lower arm side panels
-        const sidePanelGeometry = new THREE.BoxGeometry(0.05, ARM_CONFIG.lowerArmLength - 1, 1.2);
-        const leftPanel = new THREE.Mesh(sidePanelGeometry, darkMetalMaterial);
-        leftPanel.position.set(-0.7, ARM_CONFIG.lowerArmLength / 2, 0);
-        lowerArmPivot.add(leftPanel);
-
-        const rightPanel = new THREE.Mesh(sidePanelGeometry, darkMetalMaterial);
-        rightPanel.position.set(0.7, ARM_CONFIG.lowerArmLength / 2, 0);
-        lowerArmPivot.add(rightPanel);
-
-        // Lower arm warning stripes
-        for (let i = 0; i < 3; i++) {
+        accentRing.rotation.x = Math.PI / 2;
+        accentRing.position.y = 0.1;
+        frame.add(accentRing);
+    }
+
+    createLinkMesh(pivot, joint, materials) {
+        const { length } = joint;
+        const width = joint.visual.width || 1;
+
+        if (joint.visual.link === 'cylinder') {
+            // Sleeker tapered link
+            const linkMesh = new THREE.Mesh(
+                new THREE.CylinderGeometry(width * 0.4, width / 2, length, 32),
+                materials.brushedMetal
+            );
+            linkMesh.position.y = length / 2;
+            linkMesh.castShadow = true;
+            pivot.add(linkMesh);
+
+            // Accent rings
+            for (let y = 3; y < length - 1; y += 4) {
+                const ring = new THREE.Mesh(
+                    new THREE.TorusGeometry(width / 2 + 0.02, 0.05, 8, 32),
+                    materials.darkMetal
+                );
+                ring.rotation.x = Math.PI / 2;
+                ring.position.y = y;
+                pivot.add(ring);
+            }
+            return;
+        }
+
+        // Box link main structure
+        const linkMesh = new THREE.Mesh(
+            new THREE.BoxGeometry(width, length, width),
+            materials.brushedMetal
+        );
+        linkMesh.position.y = length / 2;
+        linkMesh.castShadow = true;
+        pivot.add(linkMesh);
+
+        // Side panels
+        const sidePanelGeometry = new THREE.BoxGeometry(0.05, Math.max(length - 1, 0.1), width - 0.2);
+        const leftPanel = new THREE.Mesh(sidePanelGeometry, materials.darkMetal);
+        leftPanel.position.set(-width / 2, length / 2, 0);
+        pivot.add(leftPanel);
+
+        const rightPanel = new THREE.Mesh(sidePanelGeometry, materials.darkMetal);
+        rightPanel.position.set(width / 2, length / 2, 0);
+        pivot.add(rightPanel);
+
+        // Warning stripes
+        for (let y = 2; y < length - 1; y += 3.5) {
             const stripe = new THREE.Mesh(
-                new THREE.BoxGeometry(1.5, 0.3, 0.05),
-                warningStripeMaterial
+                new THREE.BoxGeometry(width + 0.1, 0.3, 0.05),
+                materials.warningStripe
             );
-            stripe.position.y = 2 + i * 3.5;
-            stripe.position.z = 0.71;
-            lowerArmPivot.add(stripe);
+            stripe.position.y = y;
+            stripe.position.z = width / 2 + 0.01;
+            pivot.add(stripe);
         }
 
-        // LED indicators on lower arm
-        for (let i = 0; i < 4; i++) {
+        // LED indicators
+        for (let y = 1.5; y < length; y += 3) {
             const led = new THREE.Mesh(
                 new THREE.CylinderGeometry(0.1, 0.1, 0.05, 16),
-                ledMaterial
+                materials.led
             );
             led.rotation.x = Math.PI / 2;
-            led.position.set(0.5, 1.5 + i * 3, 0.72);
-            lowerArmPivot.add(led);
+            led.position.set(width / 2 - 0.2, y, width / 2 + 0.02);
+            pivot.add(led);
         }
+    }
 
-        // Elbow joint assembly
-        const elbowGroup = new THREE.Group();
-        elbowGroup.name = 'elbow';
-        elbowGroup.position.y = ARM_CONFIG.lowerArmLength;
-        lowerArmPivot.add(elbowGroup);
-
-        const elbowMesh = new THREE.Mesh(
-            new THREE.SphereGeometry(1.6, 32, 32),
-            jointMaterial
-        );
-        elbowMesh.castShadow = true;
-        elbowGroup.add(elbowMesh);
-
-        // Elbow mechanical details
-        const elbowRing1 = new THREE.Mesh(
-            new THREE.TorusGeometry(1.7, 0.08, 8, 32),
-            darkMetalMaterial
-        );
-        elbowRing1.rotation.x = Math.PI / 2;
-        elbowGroup.add(elbowRing1);
-
-        const elbowRing2 = new THREE.Mesh(
-            new THREE.TorusGeometry(1.5, 0.06, 8, 32),
-            new THREE.MeshBasicMaterial({ color: 0x38bdf8 })
-        );
-        elbowRing2.rotation.x = Math.PI / 2;
-        elbowRing2.position.y = 0.1;
-        elbowGroup.add(elbowRing2);
-
-        // Upper arm pivot (rotates X)
-        const upperArmPivot = new THREE.Group();
-        upperArmPivot.name = 'upperArmPivot';
-        elbowGroup.add(upperArmPivot);
-
-        // Upper arm sleeker design
-        const upperArmMesh = new THREE.Mesh(
-            new THREE.CylinderGeometry(0.55, 0.7, ARM_CONFIG.upperArmLength, 32),
-            brushedMetalMaterial
-        );
-        upperArmMesh.position.y = ARM_CONFIG.upperArmLength / 2;
-        upperArmMesh.castShadow = true;
-        upperArmPivot.add(upperArmMesh);
-
-        // Upper arm accent rings
-        for (let i = 0; i < 2; i++) {
-            const ring = new THREE.Mesh(
-                new THREE.TorusGeometry(0.72, 0.05, 8, 32),
-                darkMetalMaterial
-            );
-            ring.rotation.x = Math.PI / 2;
-            ring.position.y = 3 + i * 4;
-            upperArmPivot.add(ring);
-        }
+    createEndEffector(parent, model, materials) {
+        const endEffector = new THREE.Group();
+        endEffector.name = 'endEffector';
+        endEffector.position.copy(model.flangeOffset);
+        endEffector.quaternion.copy(model.flangeRotation);
+        parent.add(endEffector);
 
         // End effector - robotic gripper look
         const endEffectorBase = new THREE.Mesh(
             new THREE.CylinderGeometry(0.8, 0.6, 1.2, 32),
-            jointMaterial
+            materials.joint
         );
-        endEffectorBase.position.y = ARM_CONFIG.upperArmLength;
+        endEffectorBase.position.y = 0.6;
         endEffectorBase.castShadow = true;
-        upperArmPivot.add(endEffectorBase);
+        endEffector.add(endEffectorBase);
 
-        // Gripper jaws
-        const gripperGeom = new THREE.BoxGeometry(0.3, 0.8, 0.1);
+        // Gripper jaws, reaching slightly past the tool point
+        const jawLength = Math.max(model.toolDepth - 0.6, 0.8);
+        const gripperGeom = new THREE.BoxGeometry(0.2, jawLength, 0.6);
         const gripperMat = new THREE.MeshStandardMaterial({
             color: 0x1a1f2e,
             metalness: 0.9,
             roughness: 0.3
         });
 
-        const gripper1 = new THREE.Mesh(gripperGeom, gripperMat);
-        gripper1.position.set(0.4, ARM_CONFIG.upperArmLength - 0.6, 0);
-        upperArmPivot.add(gripper1);
-
-        const gripper2 = new THREE.Mesh(gripperGeom, gripperMat);
-        gripper2.position.set(-0.4, ARM_CONFIG.upperArmLength - 0.6, 0);
-        upperArmPivot.add(gripper2);
+        const jaws = [1, -1].map(side => {
+            const jaw = new THREE.Mesh(gripperGeom, gripperMat);
+            jaw.position.set(side * (model.tool.maxOpening / 2 + 0.1), 1.0 + jawLength / 2, 0);
+            jaw.castShadow = true;
+            jaw.userData.side = side;
+            endEffector.add(jaw);
+            return jaw;
+        });
 
         // End effector LED ring
         const endLedRing = new THREE.Mesh(
@@ -618,24 +780,33 @@ export class SceneManager {
             new THREE.MeshBasicMaterial({ color: 0x38bdf8 })
         );
         endLedRing.rotation.x = Math.PI / 2;
-        endLedRing.position.y = ARM_CONFIG.upperArmLength + 0.6;
-        upperArmPivot.add(endLedRing);
+        endLedRing.position.y = 1.2;
+        endEffector.add(endLedRing);
 
         // Bright point light at end effector
         const effectorLight = new THREE.PointLight(0x38bdf8, 2, 12);
-        effectorLight.position.y = ARM_CONFIG.upperArmLength;
-        upperArmPivot.add(effectorLight);
-
-        this.robotArm = {
-            base: baseGroup,
-            shoulder: shoulderGroup,
-            lowerArmPivot,
-            elbow: elbowGroup,
-            upperArmPivot
+        effectorLight.position.y = 0.6;
+        endEffector.add(effectorLight);
+
+        // Grasp point between the jaws
+        const toolPoint = new THREE.Group();
+        toolPoint.name = 'toolPoint';
+        toolPoint.position.set(0, model.toolDepth, 0);
+        endEffector.add(toolPoint);
+
+        return {
+            group: endEffector,
+            jaws,
+            toolPoint,
+            maxOpening: model.tool.maxOpening
         };
     }
 
-    createTargetMarker() {
+    /**
+     * Target marker, reach line and approach arrow for one arm
+     * @param {THREE.Object3D} parent - The arm's base group
+     */
+    createTargetMarker(parent) {
         const markerGroup = new THREE.Group();
         markerGroup.name = 'targetMarker';
 
@@ -666,24 +837,383 @@ export class SceneManager {
         const markerLight = new THREE.PointLight(0x38bdf8, 2, 8);
         markerGroup.add(markerLight);
 
-        this.scene.add(markerGroup);
-        this.targetMarker = markerGroup;
+        parent.add(markerGroup);
+
+        // Dashed line from the tool to a target it can't reach
+        const reachLine = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+            new THREE.LineDashedMaterial({ color: 0xfbbf24, dashSize: 0.5, gapSize: 0.3 })
+        );
+        reachLine.visible = false;
+        reachLine.frustumCulled = false;
+        parent.add(reachLine);
+
+        // Approach direction for orientation targets (kept outside the spinning marker)
+        const approachArrow = new THREE.ArrowHelper(
+            new THREE.Vector3(0, -1, 0),
+            new THREE.Vector3(),
+            3,
+            0xff6600,
+            0.8,
+            0.5
+        );
+        approachArrow.visible = false;
+        parent.add(approachArrow);
+
+        return {
+            group: markerGroup,
+            materials: [coreMesh.material, ringMesh.material],
+            light: markerLight,
+            reachLine,
+            approachArrow
+        };
     }
 
-    updateArmAngles(angles) {
-        if (!this.robotArm) return;
+    createObstacleLayer() {
+        this.obstacleGroup = new THREE.Group();
+        this.obstacleGroup.name = 'obstacles';
+        this.scene.add(this.obstacleGroup);
+
+        this.obstacleMaterial = new THREE.MeshStandardMaterial({
+            color: 0x64748b,
+            roughness: 0.8,
+            metalness: 0.1,
+            transparent: true,
+            opacity: 0.75
+        });
 
-        this.robotArm.shoulder.rotation.y = angles.base;
-        this.robotArm.lowerArmPivot.rotation.x = angles.shoulder;
-        this.robotArm.upperArmPivot.rotation.x = angles.elbow;
+        // Swapped onto colliding links
+        this.collisionMaterial = new THREE.MeshStandardMaterial({
+            color: 0xef4444,
+            emissive: 0xef4444,
+            emissiveIntensity: 0.5,
+            roughness: 0.4,
+            metalness: 0.3
+        });
+    }
+
+    /**
+     * Show a static obstacle from the collision checker
+     * @param {Object} obstacle - { id, name, position, size }
+     */
+    addObstacle(obstacle) {
+        const { size, position } = obstacle;
+
+        const mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(size.x, size.y, size.z),
+            this.obstacleMaterial
+        );
+        mesh.position.copy(position);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.userData.obstacleId = obstacle.id;
+
+        const edges = new THREE.LineSegments(
+            new THREE.EdgesGeometry(mesh.geometry),
+            new THREE.LineBasicMaterial({ color: 0x1e293b })
+        );
+        mesh.add(edges);
+
+        this.obstacleGroup.add(mesh);
+        return mesh;
+    }
+
+    removeObstacle(id) {
+        const mesh = this.obstacleGroup.children.find(child => child.userData.obstacleId === id);
+        if (!mesh) return;
+
+        this.obstacleGroup.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.children.forEach(child => child.geometry.dispose());
+    }
+
+    clearObstacles() {
+        [...this.obstacleGroup.children].forEach(mesh => this.removeObstacle(mesh.userData.obstacleId));
+    }
+
+    /**
+     * Turn colliding links red and restore the rest
+     * @param {string} id - Arm id
+     * @param {Array<string>} links - Link names from a collision check
+     */
+    highlightCollisions(id, links) {
+        const arm = this.arms.get(id);
+        if (!arm) return;
+
+        const colliding = new Set(links);
+        Object.entries(arm.linkMeshes).forEach(([name, meshes]) => {
+            const highlight = colliding.has(name);
+            meshes.forEach(mesh => {
+                if (highlight && !mesh.userData.baseMaterial) {
+                    mesh.userData.baseMaterial = mesh.material;
+                    mesh.material = this.collisionMaterial;
+                } else if (!highlight && mesh.userData.baseMaterial) {
+                    mesh.material = mesh.userData.baseMaterial;
+                    delete mesh.userData.baseMaterial;
+                }
+            });
+        });
+    }
+
+    updateArmAngles(id, angles) {
+        const arm = this.arms.get(id);
+        if (!arm) return;
+
+        arm.model.joints.forEach(joint => {
+            const pivot = arm.joints[joint.name];
+            if (!pivot || angles[joint.name] === undefined) return;
+
+            if (joint.type === JointTypes.PRISMATIC) {
+                pivot.position.copy(joint.axis).multiplyScalar(angles[joint.name]);
+            } else {
+                pivot.quaternion.setFromAxisAngle(joint.axis, angles[joint.name]);
+            }
+        });
     }
 
-    updateTargetMarker(position) {
-        if (!this.targetMarker) return;
+    /**
+     * Move the gripper jaws to an opening
+     * @param {string} id - Arm id
+     * @param {number} opening - 0 (closed) to 1 (fully open)
+     */
+    updateGripper(id, opening) {
+        const arm = this.arms.get(id);
+        if (!arm) return;
+
+        const { jaws, maxOpening } = arm.gripper;
+        jaws.forEach(jaw => {
+            jaw.position.x = jaw.userData.side * (opening * maxOpening / 2 + 0.1);
+        });
+    }
 
-        this.targetMarker.position.copy(position);
-        this.targetMarker.rotation.y += 0.015;
-        this.targetMarker.rotation.z += 0.01;
+    /**
+     * @param {string} id - Arm id
+     * @param {Object} position - Target in the arm's frame
+     * @param {Object} orientation - Tool orientation { approach, side } in the arm's frame
+     */
+    updateTargetMarker(id, position, orientation = null) {
+        const arm = this.arms.get(id);
+        if (!arm) return;
+
+        const { group, approachArrow } = arm.marker;
+        group.position.copy(position);
+        group.rotation.y += 0.015;
+        group.rotation.z += 0.01;
+
+        // Arrow ends at the target, pointing along the approach direction
+        approachArrow.visible = !!orientation;
+        if (orientation) {
+            const approach = new THREE.Vector3(
+                orientation.approach.x,
+                orientation.approach.y,
+                orientation.approach.z
+            ).normalize();
+            approachArrow.setDirection(approach);
+            approachArrow.position.copy(position).addScaledVector(approach, -3);
+        }
+    }
+
+    /**
+     * Make a target marker draggable with a translate gizmo and let a click on the
+     * ground, an obstacle or a pickable object place it. Positions are reported in the
+     * frame of the arm whose marker the gizmo is on.
+     * @param {Object} options - { onMove(position, { dragging }), getPickables() → meshes,
+     *                           hoverHeight above the ground for ground clicks }
+     */
+    setupTargetInteraction({ onMove, getPickables = () => [], hoverHeight = 1 }) {
+        this.transformControls = new TransformControls(this.camera, this.renderer.domElement);
+        this.transformControls.setMode('translate');
+        this.transformControls.setSize(0.7);
+        this.scene.add(this.transformControls.getHelper());
+
+        // Orbiting would fight the gizmo for the same pointer
+        this.transformControls.addEventListener('dragging-changed', (event) => {
+            this.controls.enabled = !event.value;
+        });
+
+        this.transformControls.addEventListener('objectChange', () => {
+            const position = this.transformControls.object.position;
+            position.y = Math.max(position.y, 0);
+            onMove(position.clone(), { dragging: true });
+        });
+
+        // A click is a press and release without orbiting in between
+        const raycaster = new THREE.Raycaster();
+        const pointer = new THREE.Vector2();
+        let pressed = null;
+
+        this.onPointerDown = (event) => {
+            if (!this.transformControls.enabled || !this.transformControls.object) return;
+            const onGizmo = this.transformControls.axis !== null;
+            pressed = event.button === 0 && !onGizmo ? { x: event.clientX, y: event.clientY } : null;
+        };
+
+        this.onPointerUp = (event) => {
+            if (!pressed) return;
+            const moved = Math.hypot(event.clientX - pressed.x, event.clientY - pressed.y);
+            pressed = null;
+            if (moved > 4) return;
+
+            const rect = this.renderer.domElement.getBoundingClientRect();
+            pointer.set(
+                ((event.clientX - rect.left) / rect.width) * 2 - 1,
+                -((event.clientY - rect.top) / rect.height) * 2 + 1
+            );
+            raycaster.setFromCamera(pointer, this.camera);
+
+            const candidates = [...getPickables(), ...this.obstacleGroup.children, this.groundPlane];
+            const hit = raycaster.intersectObjects(candidates, false)[0];
+            if (!hit) return;
+
+            // Hover above the ground rather than driving the jaws into it
+            const position = hit.point.clone();
+            if (hit.object === this.groundPlane) position.y += hoverHeight;
+
+            onMove(this.transformControls.object.parent.worldToLocal(position), { dragging: false });
+        };
+
+        this.renderer.domElement.addEventListener('pointerdown', this.onPointerDown);
+        this.renderer.domElement.addEventListener('pointerup', this.onPointerUp);
+    }
+
+    /**
+     * Turn the gizmo and click-to-place on or off, e.g. while another input source drives the target
+     * @param {boolean} enabled
+     * @param {string} id - Arm whose marker the gizmo moves
+     */
+    setTargetInteractionEnabled(enabled, id = null) {
+        if (!this.transformControls) return;
+
+        const arm = this.arms.get(id);
+        if (enabled && arm) {
+            this.transformControls.attach(arm.marker.group);
+        } else if (!enabled) {
+            this.transformControls.detach();
+        }
+
+        this.transformControls.enabled = enabled;
+        this.transformControls.getHelper().visible = enabled;
+    }
+
+    /**
+     * Colour the target marker by reachability and link an unreachable target to the tool
+     * @param {string} id - Arm id
+     * @param {Object} tip - Tool position {x, y, z} in the arm's frame
+     * @param {Object} target - Target position {x, y, z} in the arm's frame
+     * @param {boolean} reachable - Whether the arm can get the tool to the target
+     */
+    updateReachFeedback(id, tip, target, reachable) {
+        const arm = this.arms.get(id);
+        if (!arm) return;
+
+        const { materials, light, reachLine } = arm.marker;
+        const color = reachable ? 0x38bdf8 : 0xfbbf24;
+        materials.forEach(material => material.color.setHex(color));
+        light.color.setHex(color);
+
+        reachLine.visible = !reachable;
+        if (!reachable) {
+            const positions = reachLine.geometry.attributes.position;
+            positions.setXYZ(0, tip.x, tip.y, tip.z);
+            positions.setXYZ(1, target.x, target.y, target.z);
+            positions.needsUpdate = true;
+            reachLine.computeLineDistances();
+        }
+    }
+
+    /**
+     * Show or hide every arm's reachable envelope, sampling each the first time it's shown
+     */
+    setWorkspaceVisible(visible) {
+        this.workspaceVisible = visible;
+
+        this.arms.forEach(arm => {
+            if (visible && !arm.workspaceShell) {
+                arm.workspaceShell = this.createWorkspaceShell(arm.model.sampleReachEnvelope());
+                arm.base.add(arm.workspaceShell);
+            }
+            if (arm.workspaceShell) {
+                arm.workspaceShell.visible = visible;
+            }
+        });
+    }
+
+    /**
+     * Build translucent outer and inner surfaces from a sampled reach envelope
+     * @param {Object} envelope - RobotModel.sampleReachEnvelope() result
+     * @returns {THREE.Group} The shell, in the arm's frame
+     */
+    createWorkspaceShell(envelope) {
+        const { origin, azimuthBins, elevationBins, min, max } = envelope;
+
+        // Nothing below the floor is reachable in practice
+        const floorClip = [new THREE.Plane(new THREE.Vector3(0, 1, 0), 0)];
+
+        const shellMaterial = new THREE.MeshBasicMaterial({
+            color: 0x38bdf8,
+            transparent: true,
+            opacity: 0.08,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+            clippingPlanes: floorClip
+        });
+        const wireMaterial = new THREE.MeshBasicMaterial({
+            color: 0x0ea5e9,
+            wireframe: true,
+            transparent: true,
+            opacity: 0.12,
+            depthWrite: false,
+            clippingPlanes: floorClip
+        });
+
+        const direction = new THREE.Vector3();
+        const buildSurface = (radii) => {
+            const positions = [];
+            for (let e = 0; e < elevationBins; e++) {
+                const elevation = ((e + 0.5) / elevationBins) * Math.PI - Math.PI / 2;
+                for (let a = 0; a < azimuthBins; a++) {
+                    const azimuth = ((a + 0.5) / azimuthBins) * 2 * Math.PI - Math.PI;
+                    direction.set(
+                        Math.cos(elevation) * Math.cos(azimuth),
+                        Math.sin(elevation),
+                        Math.cos(elevation) * Math.sin(azimuth)
+                    );
+                    const point = direction.multiplyScalar(radii[e * azimuthBins + a]).add(origin);
+                    positions.push(point.x, point.y, point.z);
+                }
+            }
+
+            // Quads between neighbouring bins, skipping directions out of reach
+            const indices = [];
+            for (let e = 0; e < elevationBins - 1; e++) {
+                for (let a = 0; a < azimuthBins; a++) {
+                    const next = (a + 1) % azimuthBins;
+                    const quad = [
+                        e * azimuthBins + a,
+                        e * azimuthBins + next,
+                        (e + 1) * azimuthBins + next,
+                        (e + 1) * azimuthBins + a
+                    ];
+                    if (quad.some(bin => max[bin] === 0)) continue;
+                    indices.push(quad[0], quad[1], quad[2], quad[0], quad[2], quad[3]);
+                }
+            }
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            geometry.setIndex(indices);
+            return geometry;
+        };
+
+        const shell = new THREE.Group();
+        shell.name = 'workspaceShell';
+
+        const outer = buildSurface(max);
+        shell.add(new THREE.Mesh(outer, shellMaterial));
+        shell.add(new THREE.Mesh(outer, wireMaterial));
+        shell.add(new THREE.Mesh(buildSurface(min), shellMaterial));
+
+        return shell;
     }
 
     render() {
@@ -698,6 +1228,11 @@ export class SceneManager {
     }
 
     dispose() {
+        if (this.transformControls) {
+            this.renderer.domElement.removeEventListener('pointerdown', this.onPointerDown);
+            this.renderer.domElement.removeEventListener('pointerup', this.onPointerUp);
+            this.transformControls.dispose();
+        }
         this.renderer.dispose();
         this.controls.dispose();
     }
@@ -0,0 +1,363 @@
+/**
+ * Servo Output
+ * Sends the arm's joint angles to a hobby servo controller over the Web Serial API,
+ * as SSC-32 style text commands or compact binary frames, plus a mock port that logs
+ * what would have been sent
+ */
+
+const DEG = 180 / Math.PI;
+
+export const ServoProtocols = {
+    TEXT: 'text',
+    BINARY: 'binary'
+};
+
+export const ServoProtocolLabels = {
+    [ServoProtocols.TEXT]: 'Text (#0P1500T20)',
+    [ServoProtocols.BINARY]: 'Binary (compact)'
+};
+
+// First byte of every binary frame
+const BINARY_HEADER = 0xA5;
+
+const STORAGE_KEY = 'robotic-arm.servo-output';
+
+/**
+ * Per-joint servo calibration. The servo sits at the middle of its travel when the joint
+ * is at `offset` degrees; `direction` is -1 for a servo mounted reversed, and the pulse
+ * range (µs) spans `travel` degrees.
+ */
+export const DEFAULT_SERVO_JOINT = {
+    channel: 0,
+    offset: 0,
+    direction: 1,
+    minPulse: 500,
+    maxPulse: 2500,
+    travel: 180
+};
+
+export const DEFAULT_SERVO_CONFIG = {
+    protocol: ServoProtocols.TEXT,
+    baudRate: 115200,
+
+    // Frames per second
+    rate: 50,
+
+    // Fitted to the built-in arm: each servo is centred mid-range and its pulse range
+    // spans the joint's limits, so no joint saturates before its limit. Set travel to a
+    // real servo's when it covers less, and pulses clamp at its ends.
+    joints: {
+        base: { ...DEFAULT_SERVO_JOINT, channel: 0, travel: 360 },
+        shoulder: { ...DEFAULT_SERVO_JOINT, channel: 1, travel: 200 },
+        elbow: { ...DEFAULT_SERVO_JOINT, channel: 2, offset: 80, travel: 160 },
+        wristPitch: { ...DEFAULT_SERVO_JOINT, channel: 3, travel: 220 },
+        wristRoll: { ...DEFAULT_SERVO_JOINT, channel: 4, travel: 350 }
+    }
+};
+
+export class SerialServoOutput {
+    /**
+     * @param {Object} config - Same shape as DEFAULT_SERVO_CONFIG; only the joints listed
+     *                          under `joints` are sent
+     */
+    constructor(config = {}) {
+        this.configure({ ...DEFAULT_SERVO_CONFIG, ...config });
+
+        this.port = null;
+        this.writer = null;
+        this.angles = null;
+        this.elapsed = 0;
+
+        // A frame still being written when the next is due is skipped, not queued
+        this.writing = false;
+        this.stats = { sent: 0, dropped: 0 };
+
+        // Callbacks
+        this.onFrame = null;
+        this.onError = null;
+    }
+
+    /**
+     * Whether this browser has the Web Serial API
+     */
+    static get isSupported() {
+        return typeof navigator !== 'undefined' && 'serial' in navigator;
+    }
+
+    get isConnected() {
+        return this.writer !== null;
+    }
+
+    /**
+     * @param {Object} config - { protocol, baudRate, rate, joints }; omitted fields keep their values
+     */
+    configure(config) {
+        if (config.protocol !== undefined) this.protocol = config.protocol;
+        if (config.baudRate !== undefined) this.baudRate = config.baudRate;
+        if (config.rate !== undefined) this.rate = config.rate;
+        if (config.joints !== undefined) {
+            this.joints = {};
+            Object.entries(config.joints).forEach(([name, joint]) => {
+                this.joints[name] = { ...DEFAULT_SERVO_JOINT, ...joint };
+            });
+        }
+    }
+
+    /**
+     * Open a serial port. Without one the browser asks the user to pick a device, so
+     * this has to be called from a user gesture.
+     * @param {SerialPort|MockSerialPort} port - Port to use instead of prompting
+     */
+    async connect(port = null) {
+        if (this.isConnected) await this.disconnect();
+
+        if (!port) {
+            if (!SerialServoOutput.isSupported) {
+                throw new Error('Web Serial is not supported in this browser');
+            }
+            port = await navigator.serial.requestPort();
+        }
+
+        await port.open({ baudRate: this.baudRate });
+        this.port = port;
+        this.writer = port.writable.getWriter();
+        this.elapsed = 0;
+        this.stats = { sent: 0, dropped: 0 };
+    }
+
+    async disconnect() {
+        const { port, writer } = this;
+        this.port = null;
+        this.writer = null;
+        this.writing = false;
+        if (!port) return;
+
+        try {
+            await writer.close();
+        } catch (error) {
+            // The device may already be gone
+            console.warn('Servo output close failed:', error);
+        }
+        writer.releaseLock();
+        await port.close();
+    }
+
+    /**
+     * Latest joint angles to send, in radians keyed by joint name
+     */
+    setAngles(angles) {
+        this.angles = angles;
+    }
+
+    /**
+     * Send a frame whenever the configured rate is due
+     * @param {number} dt - Seconds since the last update
+     */
+    update(dt) {
+        if (!this.isConnected || !this.angles) return;
+
+        const period = 1 / this.rate;
+        this.elapsed += dt;
+        if (this.elapsed < period) return;
+        this.elapsed %= period;
+
+        if (this.writing) {
+            this.stats.dropped++;
+            return;
+        }
+
+        const pulses = SerialServoOutput.toPulses(this.angles, this.joints);
+        const frame = SerialServoOutput.encode(pulses, this.protocol, Math.round(period * 1000));
+        this.send(frame, pulses);
+    }
+
+    async send(frame, pulses) {
+        const writer = this.writer;
+        this.writing = true;
+        try {
+            await writer.write(frame);
+            this.stats.sent++;
+            if (this.onFrame) this.onFrame({ frame, pulses });
+        } catch (error) {
+            // A port that fails to write has usually been unplugged
+            if (writer === this.writer) {
+                await this.disconnect().catch(() => {});
+                if (this.onError) this.onError(error);
+            }
+        } finally {
+            if (writer === this.writer) this.writing = false;
+        }
+    }
+
+    /**
+     * Convert joint angles to servo pulse widths
+     * @param {Object} angles - Joint angles in radians keyed by joint name
+     * @param {Object} joints - Servo calibration keyed by joint name
+     * @returns {Array} [{ name, channel, pulse }] for every calibrated joint with an angle,
+     *                  pulse in µs, clamped to the joint's pulse range
+     */
+    static toPulses(angles, joints) {
+        return Object.entries(joints)
+            .filter(([name]) => Number.isFinite(angles[name]))
+            .map(([name, joint]) => {
+                const degrees = joint.travel / 2 + joint.direction * (angles[name] * DEG - joint.offset);
+                const t = Math.max(0, Math.min(1, degrees / joint.travel));
+                const pulse = Math.round(joint.minPulse + t * (joint.maxPulse - joint.minPulse));
+                return { name, channel: joint.channel, pulse };
+            });
+    }
+
+    /**
+     * Text: `#<channel>P<pulse>` per servo then `T<ms>` move time, CR LF terminated.
+     * Binary: 0xA5, servo count, then channel (u8) and pulse (u16 little-endian) per
+     * servo, then the low byte of the sum of everything after the header.
+     * @param {Array} pulses - [{ channel, pulse }]
+     * @param {string} protocol - One of ServoProtocols
+     * @param {number} moveTime - Milliseconds the controller should take to get there
+     * @returns {Uint8Array} Frame bytes
+     */
+    static encode(pulses, protocol, moveTime) {
+        if (protocol === ServoProtocols.BINARY) {
+            const bytes = new Uint8Array(3 + pulses.length * 3);
+            bytes[0] = BINARY_HEADER;
+            bytes[1] = pulses.length;
+            pulses.forEach(({ channel, pulse }, i) => {
+                bytes[2 + i * 3] = channel;
+                bytes[3 + i * 3] = pulse & 0xFF;
+                bytes[4 + i * 3] = (pulse >> 8) & 0xFF;
+            });
+            bytes[bytes.length - 1] = bytes.subarray(1, -1).reduce((sum, byte) => sum + byte, 0) & 0xFF;
+            return bytes;
+        }
+
+        const commands = pulses.map(({ channel, pulse }) => `#${channel}P${pulse}`).join('');
+        return new TextEncoder().encode(`${commands}T${moveTime}\r\n`);
+    }
+
+    /**
+     * Read a frame back, for logging and checking what was sent
+     * @param {Uint8Array} bytes - One encoded frame
+     * @param {string} protocol - One of ServoProtocols
+     * @returns {Array} [{ channel, pulse }]
+     */
+    static decode(bytes, protocol) {
+        if (protocol === ServoProtocols.BINARY) {
+            if (bytes[0] !== BINARY_HEADER || bytes.length !== 3 + bytes[1] * 3) {
+                throw new Error('Malformed binary servo frame');
+            }
+            const checksum = bytes.subarray(1, -1).reduce((sum, byte) => sum + byte, 0) & 0xFF;
+            if (checksum !== bytes[bytes.length - 1]) {
+                throw new Error('Binary servo frame checksum mismatch');
+            }
+
+            const pulses = [];
+            for (let i = 0; i < bytes[1]; i++) {
+                pulses.push({ channel: bytes[2 + i * 3], pulse: bytes[3 + i * 3] | (bytes[4 + i * 3] << 8) });
+            }
+            return pulses;
+        }
+
+        const text = new TextDecoder().decode(bytes);
+        return [...text.matchAll(/#(\d+)P(\d+)/g)].map(([, channel, pulse]) => ({
+            channel: parseInt(channel, 10),
+            pulse: parseInt(pulse, 10)
+        }));
+    }
+}
+
+/**
+ * Servo settings in localStorage, so a physical arm's calibration survives a reload
+ */
+export class ServoConfigStore {
+    /**
+     * @returns {Object} Saved settings merged over DEFAULT_SERVO_CONFIG
+     */
+    static load() {
+        const defaults = { ...DEFAULT_SERVO_CONFIG, joints: { ...DEFAULT_SERVO_CONFIG.joints } };
+        try {
+            const json = localStorage.getItem(STORAGE_KEY);
+            if (!json) return defaults;
+
+            const saved = JSON.parse(json);
+            return {
+                ...defaults,
+                ...saved,
+                joints: { ...defaults.joints, ...saved.joints }
+            };
+        } catch (error) {
+            console.warn('Ignoring saved servo settings:', error);
+            return defaults;
+        }
+    }
+
+    static save(config) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+        } catch (error) {
+            // Still usable for this session
+            console.warn('Could not save servo settings:', error);
+        }
+    }
+}
+
+/**
+ * Stands in for a Web Serial SerialPort: it accepts frames like a device would and
+ * keeps the most recent ones for inspection. Binary frames are told apart from text
+ * by their header byte.
+ */
+export class MockSerialPort {
+    /**
+     * @param {Object} config - { maxFrames } kept in the log
+     */
+    constructor(config = {}) {
+        this.maxFrames = config.maxFrames ?? 100;
+        this.frames = [];
+        this.baudRate = null;
+        this.writable = null;
+
+        // Called with each logged frame { time, bytes, pulses, text }
+        this.onFrame = null;
+    }
+
+    getInfo() {
+        return { mock: true };
+    }
+
+    async open({ baudRate }) {
+        if (this.writable) throw new Error('Mock port is already open');
+
+        this.baudRate = baudRate;
+        this.writable = new WritableStream({
+            write: (chunk) => this.receive(chunk)
+        });
+    }
+
+    async close() {
+        this.writable = null;
+    }
+
+    receive(chunk) {
+        const bytes = new Uint8Array(chunk);
+        const protocol = bytes[0] === BINARY_HEADER ? ServoProtocols.BINARY : ServoProtocols.TEXT;
+        const entry = {
+            time: performance.now(),
+            bytes,
+            pulses: SerialServoOutput.decode(bytes, protocol),
+            text: MockSerialPort.describe(bytes, protocol)
+        };
+
+        this.frames.push(entry);
+        if (this.frames.length > this.maxFrames) this.frames.shift();
+        if (this.onFrame) this.onFrame(entry);
+    }
+
+    /**
+     * One-line rendering of a frame: the command text, or hex bytes for binary
+     */
+    static describe(bytes, protocol) {
+        if (protocol === ServoProtocols.BINARY) {
+            return [...bytes].map(byte => byte.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+        }
+        return new TextDecoder().decode(bytes).trimEnd();
+    }
+}
@@ -0,0 +1,301 @@
+/**
+ * Teach Pendant
+ * Named waypoints assembled into sequenced programs, and a runner that executes them
+ */
+
+import { VelocityProfiles } from './trajectory-planner.js';
+
+const FORMAT_VERSION = 1;
+
+export const MoveTypes = {
+    JOINT: 'joint',
+    LINEAR: 'linear'
+};
+
+export const GripperActions = {
+    NONE: null,
+    OPEN: 'open',
+    CLOSE: 'close'
+};
+
+export class TeachPendant {
+    constructor() {
+        this.waypoints = [];
+        this.steps = [];
+    }
+
+    /**
+     * Store a pose as a named waypoint, replacing any waypoint with the same name
+     * @param {string} name - Waypoint name
+     * @param {Object} pose - { target, angles, gripper }
+     * @returns {Object} The waypoint
+     */
+    addWaypoint(name, { target, angles, gripper }) {
+        const waypoint = {
+            name,
+            target: { x: target.x, y: target.y, z: target.z },
+            angles: { ...angles },
+            gripper: gripper ? { closed: gripper.closed } : null
+        };
+
+        const index = this.waypoints.findIndex(existing => existing.name === name);
+        if (index >= 0) {
+            this.waypoints[index] = waypoint;
+        } else {
+            this.waypoints.push(waypoint);
+        }
+        return waypoint;
+    }
+
+    removeWaypoint(name) {
+        this.waypoints = this.waypoints.filter(waypoint => waypoint.name !== name);
+        this.steps = this.steps.filter(step => step.waypoint !== name);
+    }
+
+    getWaypoint(name) {
+        return this.waypoints.find(waypoint => waypoint.name === name) || null;
+    }
+
+    /**
+     * Append a program step moving to a waypoint
+     * @param {string} waypoint - Waypoint name
+     * @param {Object} options - { moveType, speed (0-1), dwell (s), gripper ('open'|'close'|null) }
+     * @returns {Object} The step
+     */
+    addStep(waypoint, options = {}) {
+        if (!this.getWaypoint(waypoint)) {
+            throw new Error(`Unknown waypoint: ${waypoint}`);
+        }
+
+        const step = {
+            waypoint,
+            moveType: options.moveType || MoveTypes.JOINT,
+            speed: options.speed ?? 0.5,
+            dwell: options.dwell ?? 0,
+            gripper: options.gripper ?? GripperActions.NONE
+        };
+        this.steps.push(step);
+        return step;
+    }
+
+    updateStep(index, changes) {
+        if (!this.steps[index]) return;
+        Object.assign(this.steps[index], changes);
+    }
+
+    removeStep(index) {
+        this.steps.splice(index, 1);
+    }
+
+    moveStep(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.steps.length) return;
+        [this.steps[index], this.steps[target]] = [this.steps[target], this.steps[index]];
+    }
+
+    /**
+     * Check waypoints against a robot's joints. Waypoints store angles by joint name,
+     * so ones taught on another robot (or before an arm swap) can't be run.
+     * @param {Array} jointNames - The robot's joint names
+     * @param {Array} waypoints - Waypoints to check, this pendant's by default
+     * @returns {string|null} What doesn't match, null when every waypoint has an angle
+     *                        for exactly those joints
+     */
+    findJointMismatch(jointNames, waypoints = this.waypoints) {
+        const known = new Set(jointNames);
+
+        for (const waypoint of waypoints) {
+            const angles = waypoint.angles || {};
+            const missing = jointNames.filter(name => !Number.isFinite(angles[name]));
+            const unknown = Object.keys(angles).filter(name => !known.has(name));
+            if (missing.length === 0 && unknown.length === 0) continue;
+
+            const problems = [];
+            if (missing.length > 0) problems.push(`no angle for ${missing.join(', ')}`);
+            if (unknown.length > 0) problems.push(`angles for unknown joints ${unknown.join(', ')}`);
+            return `Waypoint "${waypoint.name}" has ${problems.join(' and ')}; it was taught on a different robot`;
+        }
+        return null;
+    }
+
+    toJSON(robotName = null) {
+        return {
+            version: FORMAT_VERSION,
+            robot: robotName,
+            waypoints: this.waypoints,
+            steps: this.steps
+        };
+    }
+
+    /**
+     * Replace waypoints and steps with a parsed program file
+     * @param {Object} data - Parsed JSON
+     * @param {Array} jointNames - Joints of the robot it will run on; when given, a
+     *                             program taught on other joints is refused
+     */
+    load(data, jointNames = null) {
+        if (!data || data.version !== FORMAT_VERSION) {
+            throw new Error('Unsupported program format');
+        }
+        if (!Array.isArray(data.waypoints) || !Array.isArray(data.steps)) {
+            throw new Error('Program must contain waypoints and steps');
+        }
+
+        const names = new Set(data.waypoints.map(waypoint => waypoint.name));
+        const missing = data.steps.find(step => !names.has(step.waypoint));
+        if (missing) {
+            throw new Error(`Step refers to unknown waypoint: ${missing.waypoint}`);
+        }
+
+        const mismatch = jointNames && this.findJointMismatch(jointNames, data.waypoints);
+        if (mismatch) {
+            throw new Error(mismatch);
+        }
+
+        this.waypoints = data.waypoints.map(waypoint => ({ ...waypoint }));
+        this.steps = data.steps.map(step => ({ ...step }));
+    }
+}
+
+export class ProgramRunner {
+    constructor(pendant, planner, config = {}) {
+        this.pendant = pendant;
+        this.planner = planner;
+        this.model = planner.model;
+
+        this.profile = config.profile || VelocityProfiles.TRAPEZOIDAL;
+
+        this.isRunning = false;
+        this.loop = false;
+        this.stepIndex = -1;
+        this.phase = null;
+        this.trajectory = null;
+        this.lastError = null;
+        this.onStepChange = null;
+        this.onFinish = null;
+        this.onError = null;
+    }
+
+    /**
+     * Run programs on another arm
+     * @param {TrajectoryPlanner} planner - That arm's planner
+     */
+    setPlanner(planner) {
+        this.planner = planner;
+        this.model = planner.model;
+    }
+
+    /**
+     * Start executing the program from the first step. Waypoints that don't match the
+     * arm's joints are refused through onError.
+     * @param {Object} currentAngles - Pose the arm is in now
+     * @param {boolean} loop - Repeat the program until stopped
+     */
+    start(currentAngles, loop = false) {
+        if (this.pendant.steps.length === 0) return false;
+
+        this.lastError = this.pendant.findJointMismatch(this.model.jointNames);
+        if (this.lastError) {
+            if (this.onError) this.onError(this.lastError);
+            return false;
+        }
+
+        this.loop = loop;
+        this.isRunning = true;
+        this.angles = { ...currentAngles };
+        this.beginStep(0);
+        return this.isRunning;
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        this.stepIndex = -1;
+        this.phase = null;
+        this.trajectory = null;
+        if (this.onStepChange) this.onStepChange(-1, null);
+    }
+
+    beginStep(index) {
+        this.stepIndex = index;
+        this.step = this.pendant.steps[index];
+        this.waypoint = this.pendant.getWaypoint(this.step.waypoint);
+
+        this.phase = 'move';
+        this.elapsed = 0;
+        this.trajectory = this.planStep();
+
+        if (this.onStepChange) this.onStepChange(index, this.trajectory);
+
+        const problem = this.findPlanProblem();
+        if (problem) {
+            const message = `Step ${index + 1}: ${problem}`;
+            this.lastError = message;
+            this.stop();
+            if (this.onError) this.onError(message);
+        }
+    }
+
+    findPlanProblem() {
+        if (!this.trajectory.reachable) {
+            return `straight line to "${this.waypoint.name}" leaves the workspace`;
+        }
+        if (this.trajectory.collision) {
+            return `move to "${this.waypoint.name}" would collide (${this.trajectory.collision.reason})`;
+        }
+        return null;
+    }
+
+    planStep() {
+        const options = { profile: this.profile, speed: this.step.speed };
+
+        if (this.step.moveType === MoveTypes.LINEAR) {
+            return this.planner.planLinearMove(this.angles, this.waypoint.target, {
+                ...options,
+                goalAngles: this.waypoint.angles
+            });
+        }
+        return this.planner.planJointMove(this.angles, this.waypoint.angles, options);
+    }
+
+    /**
+     * Advance the program
+     * @param {number} dt - Frame time in seconds
+     * @returns {Object|null} { angles, gripper } command for this frame, gripper is
+     *                        'open', 'close' or null
+     */
+    update(dt) {
+        if (!this.isRunning) return null;
+
+        this.elapsed += dt;
+        let gripper = null;
+
+        if (this.phase === 'move') {
+            this.angles = this.trajectory.sample(Math.min(this.elapsed, this.trajectory.duration));
+
+            if (this.elapsed >= this.trajectory.duration) {
+                gripper = this.step.gripper;
+                this.phase = 'dwell';
+                this.elapsed = 0;
+            }
+        } else if (this.phase === 'dwell' && this.elapsed >= this.step.dwell) {
+            this.advance();
+        }
+
+        return { angles: { ...this.angles }, gripper };
+    }
+
+    advance() {
+        const next = this.stepIndex + 1;
+
+        if (next < this.pendant.steps.length) {
+            this.beginStep(next);
+        } else if (this.loop) {
+            this.beginStep(0);
+        } else {
+            this.stop();
+            if (this.onFinish) this.onFinish();
+        }
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Tracking Loss
+ * What an arm does once its hand source has lost the hand for longer than a timeout,
+ * and when it should ease back onto the hand after it reappears
+ */
+
+export const TrackingLossPolicies = {
+    HOLD: 'hold',
+    STOP: 'stop',
+    HOME: 'home',
+    RETREAT: 'retreat'
+};
+
+export const TrackingLossLabels = {
+    [TrackingLossPolicies.HOLD]: 'Hold position',
+    [TrackingLossPolicies.STOP]: 'Slow down and stop',
+    [TrackingLossPolicies.HOME]: 'Return home',
+    [TrackingLossPolicies.RETREAT]: 'Open gripper and retreat'
+};
+
+export const DEFAULT_TRACKING_LOSS = {
+    policy: TrackingLossPolicies.HOLD,
+
+    // Seconds without a hand before the policy applies, so brief dropouts are ignored
+    timeout: 0.5
+};
+
+// Seconds to ease from wherever the policy left the target onto the returning hand
+export const REACQUIRE_TIME = 1.2;
+
+// Retreat lifts the tool and draws it in toward the base axis (arm units)
+const RETREAT_LIFT = 5;
+const RETREAT_PULL_BACK = 4;
+const RETREAT_MIN_RADIUS = 4;
+
+export class TrackingLossMonitor {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        // Seconds the hand has been gone, null while it is seen
+        this.lostFor = null;
+
+        // Whether the timeout ran out and the policy was applied
+        this.engaged = false;
+    }
+
+    get isLost() {
+        return this.lostFor !== null;
+    }
+
+    handLost() {
+        if (this.lostFor === null) this.lostFor = 0;
+    }
+
+    /**
+     * @returns {boolean} Whether the policy had taken over, so the target should blend
+     *                    back onto the hand rather than jump to it
+     */
+    handFound() {
+        const engaged = this.engaged;
+        this.reset();
+        return engaged;
+    }
+
+    /**
+     * @param {number} dt - Seconds since the last update
+     * @param {number} timeout - Seconds without a hand before the policy applies
+     * @returns {boolean} True on the one update the timeout runs out
+     */
+    update(dt, timeout) {
+        if (this.lostFor === null || this.engaged) return false;
+
+        this.lostFor += dt;
+        if (this.lostFor < timeout) return false;
+
+        this.engaged = true;
+        return true;
+    }
+
+    /**
+     * Where a retreating tool goes: up and back toward the base, away from whatever
+     * it was working on
+     * @param {Object} position - Tool position {x, y, z} in the arm's frame
+     * @returns {Object} Retreat position {x, y, z}
+     */
+    static retreatTarget(position) {
+        const radius = Math.hypot(position.x, position.z);
+        const pulled = Math.max(RETREAT_MIN_RADIUS, radius - RETREAT_PULL_BACK);
+        const scale = radius > 1e-6 ? Math.min(1, pulled / radius) : 1;
+
+        return {
+            x: position.x * scale,
+            y: position.y + RETREAT_LIFT,
+            z: position.z * scale
+        };
+    }
+}
@@ -0,0 +1,304 @@
+/**
+ * Trajectory Planner
+ * Plans timed moves between poses with trapezoidal or quintic time-scaling,
+ * in joint space or along straight Cartesian lines
+ */
+
+import { CollisionChecker } from './collision-checker.js';
+
+export const VelocityProfiles = {
+    TRAPEZOIDAL: 'trapezoidal',
+    QUINTIC: 'quintic'
+};
+
+/**
+ * Time-scaling s(t) for a path parameter running from 0 to 1
+ */
+export class TimeScaling {
+    /**
+     * Fastest trapezoidal profile within a path-speed and path-acceleration limit.
+     * Falls back to a triangle when the cruise speed can't be reached.
+     * @param {number} maxSpeed - Limit on ds/dt
+     * @param {number} maxAcceleration - Limit on d²s/dt²
+     * @returns {Object} { duration, peakSpeed, position(t) }
+     */
+    static trapezoidal(maxSpeed, maxAcceleration) {
+        let accelTime = maxSpeed / maxAcceleration;
+        let cruiseSpeed = maxSpeed;
+        let duration;
+
+        if (maxSpeed * accelTime >= 1) {
+            // Triangle: accelerate to the midpoint, then brake
+            accelTime = Math.sqrt(1 / maxAcceleration);
+            cruiseSpeed = maxAcceleration * accelTime;
+            duration = 2 * accelTime;
+        } else {
+            duration = accelTime + 1 / maxSpeed;
+        }
+
+        const acceleration = cruiseSpeed / accelTime;
+
+        return {
+            duration,
+            peakSpeed: cruiseSpeed,
+            position: (t) => {
+                if (t <= 0) return 0;
+                if (t >= duration) return 1;
+                if (t < accelTime) return 0.5 * acceleration * t * t;
+                if (t <= duration - accelTime) {
+                    return 0.5 * acceleration * accelTime * accelTime + cruiseSpeed * (t - accelTime);
+                }
+                const remaining = duration - t;
+                return 1 - 0.5 * acceleration * remaining * remaining;
+            }
+        };
+    }
+
+    /**
+     * Quintic polynomial s = 10τ³ − 15τ⁴ + 6τ⁵ with zero velocity and acceleration at both ends
+     * @param {number} maxSpeed - Limit on ds/dt
+     * @param {number} maxAcceleration - Limit on d²s/dt²
+     * @returns {Object} { duration, peakSpeed, position(t) }
+     */
+    static quintic(maxSpeed, maxAcceleration) {
+        // Peak ds/dt is 15/8 T⁻¹ and peak d²s/dt² is 10/√3 T⁻²
+        const duration = Math.max(15 / 8 / maxSpeed, Math.sqrt(10 / Math.sqrt(3) / maxAcceleration));
+
+        return {
+            duration,
+            peakSpeed: 15 / 8 / duration,
+            position: (t) => {
+                const tau = Math.max(0, Math.min(1, t / duration));
+                return tau * tau * tau * (10 - 15 * tau + 6 * tau * tau);
+            }
+        };
+    }
+
+    static create(profile, maxSpeed, maxAcceleration) {
+        return profile === VelocityProfiles.QUINTIC
+            ? TimeScaling.quintic(maxSpeed, maxAcceleration)
+            : TimeScaling.trapezoidal(maxSpeed, maxAcceleration);
+    }
+
+    /**
+     * Stretch a scaling to a longer duration without changing its shape
+     */
+    static stretch(scaling, factor) {
+        return {
+            duration: scaling.duration * factor,
+            peakSpeed: scaling.peakSpeed / factor,
+            position: (t) => scaling.position(t / factor)
+        };
+    }
+}
+
+export class TrajectoryPlanner {
+    constructor(solver, config = {}) {
+        this.solver = solver;
+        this.model = solver.model;
+
+        // Cartesian limits for straight-line moves, in world units
+        this.maxLinearSpeed = config.maxLinearSpeed || 20;
+        this.maxLinearAcceleration = config.maxLinearAcceleration || 60;
+
+        // Distance between IK solutions along a straight line
+        this.pathResolution = config.pathResolution || 0.25;
+
+        // Fallback limits for joints that don't declare any
+        this.defaultJointVelocity = config.defaultJointVelocity || Math.PI;
+        this.defaultJointAcceleration = config.defaultJointAcceleration || 4 * Math.PI;
+
+        // Optional checker every planned move is swept through
+        this.collisionChecker = config.collisionChecker || null;
+        this.collisionSamples = config.collisionSamples || 60;
+    }
+
+    /**
+     * Plan a move in joint space: every joint starts and finishes together
+     * @param {Object} from - Start joint angles
+     * @param {Object} to - Goal joint angles
+     * @param {Object} options - { profile, speed } where speed scales the joint limits (0-1]
+     * @returns {Object} Trajectory { type, duration, peakJointSpeeds, collision, sample(t) }
+     */
+    planJointMove(from, to, options = {}) {
+        const speed = Math.max(options.speed ?? 1, 0.01);
+
+        // Path-parameter limits set by whichever joint has the least headroom
+        let maxSpeed = Infinity;
+        let maxAcceleration = Infinity;
+        this.model.joints.forEach(joint => {
+            const travel = Math.abs(to[joint.name] - from[joint.name]);
+            if (travel < 1e-9) return;
+
+            const { velocity, acceleration } = this.jointLimits(joint);
+            maxSpeed = Math.min(maxSpeed, velocity * speed / travel);
+            maxAcceleration = Math.min(maxAcceleration, acceleration * speed * speed / travel);
+        });
+
+        const start = { ...from };
+        const goal = { ...to };
+
+        if (!Number.isFinite(maxSpeed)) {
+            return this.createTrajectory('joint', { duration: 0, peakSpeed: 0, position: () => 1 },
+                () => ({ ...goal }), {});
+        }
+
+        const scaling = TimeScaling.create(options.profile, maxSpeed, maxAcceleration);
+
+        const peakJointSpeeds = {};
+        this.model.joints.forEach(joint => {
+            peakJointSpeeds[joint.name] = Math.abs(goal[joint.name] - start[joint.name]) * scaling.peakSpeed;
+        });
+
+        return this.createTrajectory('joint', scaling, (s) => {
+            const angles = {};
+            this.model.joints.forEach(joint => {
+                angles[joint.name] = start[joint.name] + (goal[joint.name] - start[joint.name]) * s;
+            });
+            return angles;
+        }, peakJointSpeeds);
+    }
+
+    /**
+     * Plan a straight-line tool move. The line is subdivided and every point solved
+     * through the IK solver so the tool really travels in a line.
+     * @param {Object} from - Start joint angles
+     * @param {Object} target - Goal tool position {x, y, z}
+     * @param {Object} options - { profile, speed, goalAngles } where goalAngles, when known,
+     *                           steers the wrist and redundant joints along the way
+     * @returns {Object} Trajectory { type, duration, peakJointSpeeds, collision, sample(t), reachable }
+     */
+    planLinearMove(from, target, options = {}) {
+        const speed = Math.max(options.speed ?? 1, 0.01);
+        const start = this.model.forward(from);
+        const length = Math.sqrt(
+            (target.x - start.x) ** 2 + (target.y - start.y) ** 2 + (target.z - start.z) ** 2
+        );
+
+        if (length < 1e-6) {
+            return this.planJointMove(from, options.goalAngles || from, options);
+        }
+
+        // Solve IK along the line, seeding each point with the previous solution
+        // blended toward the goal pose
+        const count = Math.max(2, Math.ceil(length / this.pathResolution));
+        const samples = [{ ...from }];
+        let reachable = true;
+
+        for (let i = 1; i <= count; i++) {
+            const u = i / count;
+            const previous = samples[i - 1];
+            const seed = {};
+            this.model.joints.forEach(joint => {
+                const goal = options.goalAngles ? options.goalAngles[joint.name] : previous[joint.name];
+                seed[joint.name] = previous[joint.name] + (goal - previous[joint.name]) / (count - i + 1);
+            });
+
+            const solution = this.solver.solve({
+                x: start.x + (target.x - start.x) * u,
+                y: start.y + (target.y - start.y) * u,
+                z: start.z + (target.z - start.z) * u
+            }, { seed });
+
+            if (solution.isAtLimit) reachable = false;
+
+            const angles = {};
+            this.model.jointNames.forEach(name => {
+                angles[name] = solution[name];
+            });
+            samples.push(angles);
+        }
+
+        const interpolate = (s) => {
+            const position = Math.max(0, Math.min(1, s)) * count;
+            const index = Math.min(Math.floor(position), count - 1);
+            const alpha = position - index;
+            const a = samples[index];
+            const b = samples[index + 1];
+            const angles = {};
+            this.model.jointNames.forEach(name => {
+                angles[name] = a[name] + (b[name] - a[name]) * alpha;
+            });
+            return angles;
+        };
+
+        let scaling = TimeScaling.create(
+            options.profile,
+            this.maxLinearSpeed * speed / length,
+            this.maxLinearAcceleration * speed * speed / length
+        );
+
+        // Near singularities a straight line can demand more than the joints can give;
+        // stretch the timing until every joint is within its velocity limit
+        let peakJointSpeeds = this.measurePeakSpeeds(scaling, interpolate);
+        const overload = this.model.joints.reduce((worst, joint) => {
+            const limit = this.jointLimits(joint).velocity * speed;
+            return Math.max(worst, peakJointSpeeds[joint.name] / limit);
+        }, 0);
+
+        if (overload > 1) {
+            scaling = TimeScaling.stretch(scaling, overload);
+            peakJointSpeeds = this.measurePeakSpeeds(scaling, interpolate);
+        }
+
+        const trajectory = this.createTrajectory('linear', scaling, interpolate, peakJointSpeeds);
+        trajectory.reachable = reachable;
+        return trajectory;
+    }
+
+    /**
+     * Numerically estimate each joint's peak speed over a trajectory
+     */
+    measurePeakSpeeds(scaling, interpolate, steps = 200) {
+        const peaks = Object.fromEntries(this.model.jointNames.map(name => [name, 0]));
+        const dt = scaling.duration / steps;
+        if (dt <= 0) return peaks;
+
+        let previous = interpolate(scaling.position(0));
+        for (let i = 1; i <= steps; i++) {
+            const current = interpolate(scaling.position(i * dt));
+            this.model.jointNames.forEach(name => {
+                peaks[name] = Math.max(peaks[name], Math.abs(current[name] - previous[name]) / dt);
+            });
+            previous = current;
+        }
+        return peaks;
+    }
+
+    jointLimits(joint) {
+        const { maxVelocity, maxAcceleration } = joint.limits;
+        return {
+            velocity: Number.isFinite(maxVelocity) ? maxVelocity : this.defaultJointVelocity,
+            acceleration: Number.isFinite(maxAcceleration) ? maxAcceleration : this.defaultJointAcceleration
+        };
+    }
+
+    /**
+     * Sweep a path through the collision checker
+     * @param {Function} interpolate - Path parameter s (0-1) to joint angles
+     * @returns {Object|null} First contact { progress, reason, links }, null when clear
+     */
+    findCollision(interpolate) {
+        if (!this.collisionChecker) return null;
+
+        for (let i = 1; i <= this.collisionSamples; i++) {
+            const progress = i / this.collisionSamples;
+            const result = this.collisionChecker.check(interpolate(progress));
+            if (result.colliding) {
+                return { progress, reason: CollisionChecker.describe(result), links: result.links };
+            }
+        }
+        return null;
+    }
+
+    createTrajectory(type, scaling, interpolate, peakJointSpeeds) {
+        return {
+            type,
+            duration: scaling.duration,
+            peakJointSpeeds,
+            reachable: true,
+            collision: this.findCollision(interpolate),
+            sample: (t) => interpolate(scaling.position(t))
+        };
+    }
+}
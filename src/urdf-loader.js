@@ -0,0 +1,559 @@
+/**
+ * URDF Loader
+ * Reads a URDF robot description (plus any STL, OBJ or Collada meshes it references)
+ * into a robot definition for RobotModel: the serial chain the IK solves, and the link
+ * visuals SceneManager hangs on it.
+ *
+ * URDF is z-up in meters; the definition is y-up in scene units, scaled so the arm's
+ * reach matches the built-in one unless a scale is given.
+ */
+
+import * as THREE from 'three';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { ColladaLoader } from 'three/examples/jsm/loaders/ColladaLoader.js';
+import { RobotModel, JointTypes } from './robot-model.js';
+
+const URDF_EXTENSIONS = ['urdf', 'xml'];
+
+// Reach of an imported arm in scene units, about that of the built-in arm
+const TARGET_REACH = 20;
+
+// Link capsule thickness for collisions, as a fraction of the reach
+const LINK_WIDTH = 0.06;
+
+// Used when a joint has no velocity limit (rad/s, or reaches/s for prismatic joints)
+const FALLBACK_VELOCITY = Math.PI;
+const FALLBACK_PRISMATIC_VELOCITY = 0.25;
+
+// Gap kept between the floor and an imported arm's home pose (scene units)
+const FLOOR_CLEARANCE = 1;
+
+// Acceleration limit per unit of velocity limit, as URDF has none
+const ACCELERATION_PER_VELOCITY = 4;
+
+// Tool mount names preferred when several links end the chain equally deep
+const TOOL_LINK_PATTERN = /tool|tcp|flange/i;
+
+// URDF is z-up, the scene y-up
+const Z_UP_TO_Y_UP = new THREE.Matrix4().makeRotationX(-Math.PI / 2);
+
+// Turns a link's +Z (URDF's usual approach axis) into the tool's +Y
+const Z_APPROACH_TO_Y = new THREE.Matrix4().makeRotationX(Math.PI / 2);
+
+// Cosine between an end link's +Z and its offset from the last joint above which the
+// +Z is taken as the approach
+const APPROACH_ALONG_OFFSET = 0.5;
+
+const MOVABLE_TYPES = ['revolute', 'continuous', 'prismatic'];
+
+export class UrdfLoader {
+    /**
+     * Load a robot from user-picked files: one .urdf (or .xml) plus its meshes.
+     * Meshes are matched by file name, ignoring package:// and directory paths.
+     * @param {Array|FileList} files
+     * @param {Object} options - { scale } scene units per meter, instead of fitting the reach
+     * @returns {Promise<Object>} { definition, warnings }
+     */
+    static async load(files, options = {}) {
+        const list = [...files];
+        const urdfFile = list.find(file => URDF_EXTENSIONS.includes(UrdfLoader.extension(file.name)));
+        if (!urdfFile) {
+            throw new Error('Pick a .urdf file, along with the meshes it uses');
+        }
+
+        const robot = UrdfLoader.parse(await urdfFile.text());
+        const warnings = [];
+
+        // Parse each referenced mesh once, however many links use it
+        const byName = new Map(list.map(file => [file.name.toLowerCase(), file]));
+        const meshes = new Map();
+        const filenames = new Set();
+        robot.links.forEach(link => link.visuals.forEach(visual => {
+            if (visual.geometry.type === 'mesh') filenames.add(visual.geometry.filename);
+        }));
+
+        for (const filename of filenames) {
+            const file = byName.get(UrdfLoader.basename(filename).toLowerCase());
+            if (!file) {
+                warnings.push(`Missing mesh ${UrdfLoader.basename(filename)}`);
+                continue;
+            }
+            try {
+                meshes.set(filename, await UrdfLoader.loadMesh(file));
+            } catch (error) {
+                warnings.push(`Could not read ${file.name}: ${error.message}`);
+            }
+        }
+
+        const result = UrdfLoader.toDefinition(robot, meshes, options);
+        return { definition: result.definition, warnings: [...warnings, ...result.warnings] };
+    }
+
+    /**
+     * Parse URDF XML
+     * @param {string} text
+     * @returns {Object} { name, links: Map name → { name, visuals }, joints: [...] }
+     *                   with origins as Matrix4 in meters
+     */
+    static parse(text) {
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        const root = xml.documentElement;
+        if (!root || root.tagName !== 'robot' || xml.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Not a URDF file: expected a <robot> element');
+        }
+
+        // Named materials may be declared at the top level and referenced from visuals
+        const materials = new Map();
+        UrdfLoader.children(root, 'material').forEach(material => {
+            const color = UrdfLoader.parseColor(material);
+            if (color) materials.set(material.getAttribute('name'), color);
+        });
+
+        const links = new Map();
+        UrdfLoader.children(root, 'link').forEach(element => {
+            const name = element.getAttribute('name');
+            const visuals = UrdfLoader.children(element, 'visual')
+                .map(visual => UrdfLoader.parseVisual(visual, materials))
+                .filter(Boolean);
+            links.set(name, { name, visuals });
+        });
+
+        const joints = UrdfLoader.children(root, 'joint').map(element => {
+            const name = element.getAttribute('name');
+            const parent = UrdfLoader.child(element, 'parent')?.getAttribute('link');
+            const child = UrdfLoader.child(element, 'child')?.getAttribute('link');
+            if (!links.has(parent) || !links.has(child)) {
+                throw new Error(`Joint ${name} connects links that are not defined`);
+            }
+
+            const limit = UrdfLoader.child(element, 'limit');
+            return {
+                name,
+                type: element.getAttribute('type'),
+                parent,
+                child,
+                origin: UrdfLoader.parseOrigin(UrdfLoader.child(element, 'origin')),
+                axis: UrdfLoader.parseNumbers(UrdfLoader.child(element, 'axis')?.getAttribute('xyz'), [1, 0, 0]),
+                limit: limit && {
+                    lower: parseFloat(limit.getAttribute('lower') ?? 0),
+                    upper: parseFloat(limit.getAttribute('upper') ?? 0),
+                    velocity: parseFloat(limit.getAttribute('velocity') ?? 0)
+                },
+                mimic: UrdfLoader.child(element, 'mimic') !== null
+            };
+        });
+
+        if (links.size === 0) {
+            throw new Error('URDF defines no links');
+        }
+
+        return { name: root.getAttribute('name') || 'URDF Robot', links, joints };
+    }
+
+    /**
+     * Build a RobotModel definition from a parsed robot.
+     *
+     * The chain runs from the root link to the deepest link reached through the most
+     * revolute and prismatic joints. Joints where a link branches into several moving
+     * children (gripper fingers) and mimic joints are held fixed, as are all joints off
+     * the chain, so their links still show. Fixed joints are folded into the next
+     * moving joint's origin.
+     *
+     * @param {Object} robot - From parse
+     * @param {Map} meshes - Parsed meshes (THREE.Object3D) keyed by URDF filename
+     * @param {Object} options - { scale } scene units per meter
+     * @returns {Object} { definition, warnings }
+     */
+    static toDefinition(robot, meshes = new Map(), options = {}) {
+        const warnings = [];
+        const childJoints = new Map();
+        robot.joints.forEach(joint => {
+            if (!childJoints.has(joint.parent)) childJoints.set(joint.parent, []);
+            childJoints.get(joint.parent).push(joint);
+        });
+
+        const childLinks = new Set(robot.joints.map(joint => joint.child));
+        const roots = [...robot.links.keys()].filter(name => !childLinks.has(name));
+        if (roots.length !== 1) {
+            throw new Error(roots.length === 0
+                ? 'URDF links form a loop'
+                : `URDF has several root links: ${roots.join(', ')}`);
+        }
+
+        robot.joints
+            .filter(joint => !MOVABLE_TYPES.includes(joint.type) && joint.type !== 'fixed')
+            .forEach(joint => warnings.push(`Joint ${joint.name} (${joint.type}) is held fixed`));
+
+        const moves = (joint) => {
+            if (!MOVABLE_TYPES.includes(joint.type) || joint.mimic) return false;
+            const siblings = childJoints.get(joint.parent)
+                .filter(other => MOVABLE_TYPES.includes(other.type) && !other.mimic);
+            return siblings.length < 2;
+        };
+
+        const path = UrdfLoader.findChain(roots[0], childJoints, moves);
+        if (!path.some(moves)) {
+            throw new Error('URDF has no revolute or prismatic joints to drive');
+        }
+
+        // Walk the chain. Each link is placed relative to its owner, the frame of the last
+        // moving joint before it (or the base), and its visuals hang on that owner.
+        const base = { visuals: [] };
+        const joints = [];
+        const onChain = new Set(path.map(joint => joint.name));
+        let owner = base;
+        let pending = Z_UP_TO_Y_UP.clone();
+
+        const attach = (linkName, matrix) => {
+            robot.links.get(linkName).visuals.forEach(visual => {
+                owner.visuals.push({ ...visual, matrix: matrix.clone().multiply(visual.origin) });
+            });
+
+            // Off-chain joints stay at zero, carrying their links along
+            (childJoints.get(linkName) || [])
+                .filter(joint => !onChain.has(joint.name))
+                .forEach(joint => attach(joint.child, matrix.clone().multiply(joint.origin)));
+        };
+
+        attach(roots[0], pending);
+        path.forEach(joint => {
+            pending.multiply(joint.origin);
+
+            if (moves(joint)) {
+                const entry = { joint, matrix: pending, visuals: [] };
+                joints.push(entry);
+                owner = entry;
+                pending = new THREE.Matrix4();
+            }
+            attach(joint.child, pending);
+        });
+
+        const mount = UrdfLoader.toolMount(pending);
+
+        // Fit the reach: link lengths from the second moving joint on, plus prismatic travel
+        const position = new THREE.Vector3();
+        let reach = position.setFromMatrixPosition(mount).length();
+        joints.forEach(({ joint, matrix }, i) => {
+            if (i > 0) reach += position.setFromMatrixPosition(matrix).length();
+            if (joint.type === 'prismatic' && joint.limit) {
+                reach += Math.max(Math.abs(joint.limit.lower), Math.abs(joint.limit.upper));
+            }
+        });
+        const scale = options.scale ?? (reach > 1e-6 ? TARGET_REACH / reach : 1);
+        const units = reach * scale;
+
+        const definition = {
+            name: robot.name,
+            base: {
+                height: 0,
+                radius: units * 0.1,
+                visuals: UrdfLoader.toVisuals(base.visuals, meshes, scale, warnings)
+            },
+            joints: joints.map(({ joint, matrix, visuals }) => ({
+                name: joint.name,
+                type: joint.type === 'prismatic' ? JointTypes.PRISMATIC : JointTypes.REVOLUTE,
+                axis: joint.axis,
+                ...UrdfLoader.toPose(matrix, scale),
+                limits: UrdfLoader.toLimits(joint, scale, units),
+                home: UrdfLoader.toHome(joint, scale),
+                visual: {
+                    link: 'urdf',
+                    width: units * LINK_WIDTH,
+                    meshes: UrdfLoader.toVisuals(visuals, meshes, scale, warnings)
+                }
+            })),
+            tool: {
+                // Same gripper as the built-in arm
+                length: 1.8,
+                maxOpening: 1.6,
+                flange: UrdfLoader.toPose(mount, scale).offset,
+                rotation: UrdfLoader.toPose(mount, scale).rotation
+            }
+        };
+
+        // Many arms rest stretched out at shoulder height; stand those on a pedestal so
+        // the home pose clears the floor
+        const lift = UrdfLoader.pedestalHeight(new RobotModel(definition), units * LINK_WIDTH / 2);
+        if (lift > 0) {
+            definition.base.height = lift;
+            definition.joints[0].offset[1] += lift;
+            definition.base.visuals.forEach(visual => { visual.position[1] += lift; });
+        }
+
+        return { definition, warnings };
+    }
+
+    /**
+     * Height to raise a model by so its home pose keeps FLOOR_CLEARANCE above the floor
+     * @param {RobotModel} model
+     * @param {number} linkRadius - Thickness of the links around the joint origins
+     * @returns {number} Whole scene units, 0 when it already clears
+     */
+    static pedestalHeight(model, linkRadius) {
+        const frames = model.computeFrames(model.homeAngles());
+        const flange = model.flangeOffset.clone().applyMatrix4(frames.joints[frames.joints.length - 1].matrix);
+        const lowest = Math.min(
+            ...frames.joints.slice(1).map(frame => frame.position.y - linkRadius),
+            flange.y - linkRadius,
+            frames.tip.y
+        );
+        return lowest < FLOOR_CLEARANCE ? Math.ceil(FLOOR_CLEARANCE - lowest) : 0;
+    }
+
+    /**
+     * Joints from the root to the chain's end: most moving joints, then deepest, then a
+     * link named like a tool mount
+     */
+    static findChain(root, childJoints, moves) {
+        let best = { path: [], moving: 0, depth: 0, tool: false };
+
+        const visit = (link, path, moving) => {
+            const candidate = { path, moving, depth: path.length, tool: TOOL_LINK_PATTERN.test(link) };
+            const better = candidate.moving - best.moving ||
+                candidate.depth - best.depth ||
+                Number(candidate.tool) - Number(best.tool);
+            if (better > 0) best = candidate;
+
+            (childJoints.get(link) || []).forEach(joint => {
+                // Branching moving joints end the chain rather than continue it
+                if (MOVABLE_TYPES.includes(joint.type) && !joint.mimic && !moves(joint)) return;
+                visit(joint.child, [...path, joint], moving + (moves(joint) ? 1 : 0));
+            });
+        };
+        visit(root, [], 0);
+
+        return best.path;
+    }
+
+    /**
+     * Tool mount in the last joint's frame: at the end link, approaching along the end
+     * link's +Z (the usual flange convention). When the end link sits out from the joint
+     * and its +Z points across or back along that offset, the link frame follows some
+     * other convention and the approach is taken along the offset instead. The joint's
+     * rotation axis says nothing about where the tool points, so it is never used.
+     * @param {THREE.Matrix4} end - End link in the last joint's frame
+     * @returns {THREE.Matrix4}
+     */
+    static toolMount(end) {
+        const z = new THREE.Vector3().setFromMatrixColumn(end, 2).normalize();
+        const offset = new THREE.Vector3().setFromMatrixPosition(end);
+        const direction = offset.clone().normalize();
+        if (offset.length() < 1e-6 || z.dot(direction) > APPROACH_ALONG_OFFSET) {
+            return end.clone().multiply(Z_APPROACH_TO_Y);
+        }
+
+        const rotation = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+        return new THREE.Matrix4().compose(
+            offset,
+            rotation,
+            new THREE.Vector3(1, 1, 1)
+        );
+    }
+
+    /**
+     * @returns {Object} { offset: [x, y, z] in scene units, rotation: [x, y, z, w] }
+     */
+    static toPose(matrix, scale) {
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        matrix.decompose(position, quaternion, new THREE.Vector3());
+        return {
+            offset: position.multiplyScalar(scale).toArray(),
+            rotation: quaternion.toArray()
+        };
+    }
+
+    static toLimits(joint, scale, units) {
+        const prismatic = joint.type === 'prismatic';
+        const factor = prismatic ? scale : 1;
+
+        let min = -Math.PI;
+        let max = Math.PI;
+        if (joint.type !== 'continuous' && joint.limit && joint.limit.upper > joint.limit.lower) {
+            min = joint.limit.lower * factor;
+            max = joint.limit.upper * factor;
+        }
+
+        const maxVelocity = joint.limit?.velocity > 0
+            ? joint.limit.velocity * factor
+            : (prismatic ? FALLBACK_PRISMATIC_VELOCITY * units : FALLBACK_VELOCITY);
+
+        return { min, max, maxVelocity, maxAcceleration: maxVelocity * ACCELERATION_PER_VELOCITY };
+    }
+
+    /**
+     * Zero, or the middle of the range when zero is outside it
+     */
+    static toHome(joint, scale) {
+        const { min, max } = UrdfLoader.toLimits(joint, scale, 1);
+        return min <= 0 && max >= 0 ? 0 : (min + max) / 2;
+    }
+
+    /**
+     * Turn collected link visuals into the form SceneManager.createImportedVisuals takes
+     */
+    static toVisuals(visuals, meshes, scale, warnings) {
+        return visuals.map(visual => {
+            const parts = UrdfLoader.toParts(visual.geometry, meshes);
+            if (!parts) return null;
+
+            const pose = UrdfLoader.toPose(visual.matrix, scale);
+            const meshScale = visual.geometry.scale || [1, 1, 1];
+            return {
+                position: pose.offset,
+                rotation: pose.rotation,
+                scale: meshScale.map(value => value * scale),
+                color: visual.color,
+                parts
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Geometry of one visual in meters, as [{ geometry, matrix }]
+     */
+    static toParts(geometry, meshes) {
+        const identity = new THREE.Matrix4();
+
+        switch (geometry.type) {
+            case 'box':
+                return [{ geometry: new THREE.BoxGeometry(...geometry.size), matrix: identity }];
+            case 'cylinder':
+                // URDF cylinders run along Z, three.js ones along Y
+                return [{
+                    geometry: new THREE.CylinderGeometry(geometry.radius, geometry.radius, geometry.length, 24)
+                        .rotateX(Math.PI / 2),
+                    matrix: identity
+                }];
+            case 'sphere':
+                return [{ geometry: new THREE.SphereGeometry(geometry.radius, 24, 16), matrix: identity }];
+            case 'mesh': {
+                const object = meshes.get(geometry.filename);
+                if (!object) return null;
+
+                // Flatten the mesh file's own hierarchy into parts
+                object.updateMatrixWorld(true);
+                const parts = [];
+                object.traverse(child => {
+                    if (child.isMesh) parts.push({ geometry: child.geometry, matrix: child.matrixWorld.clone() });
+                });
+                return parts;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * @param {File} file - STL, OBJ or Collada mesh
+     * @returns {Promise<THREE.Object3D>} In the file's own units
+     */
+    static async loadMesh(file) {
+        switch (UrdfLoader.extension(file.name)) {
+            case 'stl':
+                return new THREE.Mesh(new STLLoader().parse(await file.arrayBuffer()));
+            case 'obj':
+                return new OBJLoader().parse(await file.text());
+            case 'dae': {
+                const { scene } = new ColladaLoader().parse(await file.text(), '');
+                // Collada's loader turns z-up files y-up, but URDF meshes belong in the
+                // link's own z-up frame
+                scene.rotation.set(0, 0, 0);
+                return scene;
+            }
+            default:
+                throw new Error('Unsupported mesh format');
+        }
+    }
+
+    static parseVisual(element, materials) {
+        const geometryElement = UrdfLoader.child(element, 'geometry');
+        const shape = geometryElement && [...geometryElement.children][0];
+        if (!shape) return null;
+
+        let geometry;
+        switch (shape.tagName) {
+            case 'box':
+                geometry = { type: 'box', size: UrdfLoader.parseNumbers(shape.getAttribute('size'), [1, 1, 1]) };
+                break;
+            case 'cylinder':
+                geometry = {
+                    type: 'cylinder',
+                    radius: parseFloat(shape.getAttribute('radius')),
+                    length: parseFloat(shape.getAttribute('length'))
+                };
+                break;
+            case 'sphere':
+                geometry = { type: 'sphere', radius: parseFloat(shape.getAttribute('radius')) };
+                break;
+            case 'mesh':
+                geometry = {
+                    type: 'mesh',
+                    filename: shape.getAttribute('filename'),
+                    scale: UrdfLoader.parseNumbers(shape.getAttribute('scale'), [1, 1, 1])
+                };
+                break;
+            default:
+                return null;
+        }
+
+        const material = UrdfLoader.child(element, 'material');
+        const color = material
+            ? UrdfLoader.parseColor(material) || materials.get(material.getAttribute('name')) || null
+            : null;
+
+        return {
+            origin: UrdfLoader.parseOrigin(UrdfLoader.child(element, 'origin')),
+            geometry,
+            color
+        };
+    }
+
+    /**
+     * @returns {Array|null} [r, g, b, a]
+     */
+    static parseColor(material) {
+        const rgba = UrdfLoader.child(material, 'color')?.getAttribute('rgba');
+        return rgba ? UrdfLoader.parseNumbers(rgba, [0.5, 0.5, 0.5, 1]) : null;
+    }
+
+    /**
+     * <origin xyz rpy>: rpy turns about the fixed x, y then z axes
+     * @returns {THREE.Matrix4}
+     */
+    static parseOrigin(element) {
+        const xyz = UrdfLoader.parseNumbers(element?.getAttribute('xyz'), [0, 0, 0]);
+        const rpy = UrdfLoader.parseNumbers(element?.getAttribute('rpy'), [0, 0, 0]);
+        return new THREE.Matrix4().compose(
+            new THREE.Vector3(...xyz),
+            new THREE.Quaternion().setFromEuler(new THREE.Euler(rpy[0], rpy[1], rpy[2], 'ZYX')),
+            new THREE.Vector3(1, 1, 1)
+        );
+    }
+
+    static parseNumbers(text, fallback) {
+        if (!text) return fallback;
+        const values = text.trim().split(/\s+/).map(Number);
+        return values.length === fallback.length && values.every(Number.isFinite) ? values : fallback;
+    }
+
+    static children(element, tagName) {
+        return [...element.children].filter(child => child.tagName === tagName);
+    }
+
+    static child(element, tagName) {
+        return UrdfLoader.children(element, tagName)[0] || null;
+    }
+
+    static extension(filename) {
+        return filename.split('.').pop().toLowerCase();
+    }
+
+    /**
+     * File name without package://, directories or a query
+     */
+    static basename(filename) {
+        return filename.split(/[\\/]/).pop().split('?')[0];
+    }
+}
@@ -0,0 +1,328 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { connect } from 'node:net';
+import { randomBytes } from 'node:crypto';
+import { once } from 'node:events';
+import * as THREE from 'three';
+import { RosBridgeClient } from '../src/ros-bridge.js';
+
+const SERVER = new URL('../tools/bridge-server.js', import.meta.url).pathname;
+
+let server;
+let port;
+const output = [];
+
+/**
+ * Resolves with the first server output line matching pattern, including ones already printed
+ */
+function waitForLine(pattern, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const found = output.find(line => pattern.test(line));
+        if (found) {
+            resolve(found);
+            return;
+        }
+        const timer = setTimeout(() => reject(new Error(`No output matching ${pattern}`)), timeout);
+        const onLine = (line) => {
+            if (!pattern.test(line)) return;
+            clearTimeout(timer);
+            server.off('line', onLine);
+            resolve(line);
+        };
+        server.on('line', onLine);
+    });
+}
+
+before(async () => {
+    server = spawn(process.execPath, [SERVER, '--port', '0'], { stdio: ['pipe', 'pipe', 'inherit'] });
+    let pending = '';
+    server.stdout.on('data', (chunk) => {
+        const lines = (pending + chunk).split('\n');
+        pending = lines.pop();
+        lines.forEach(line => {
+            output.push(line);
+            server.emit('line', line);
+        });
+    });
+
+    const line = await waitForLine(/^Bridge listening on ws:\/\/localhost:(\d+)/);
+    port = Number(line.match(/:(\d+)$/)[1]);
+});
+
+after(() => {
+    server.kill();
+});
+
+/**
+ * A browser-style WebSocket that collects what it receives
+ */
+async function openSocket() {
+    const socket = new WebSocket(`ws://localhost:${port}`);
+    const received = [];
+    const waiters = [];
+    socket.addEventListener('message', (event) => {
+        const message = JSON.parse(event.data);
+        received.push(message);
+        [...waiters].forEach(waiter => waiter());
+    });
+    await once(socket, 'open');
+
+    socket.next = (match, timeout = 5000) => new Promise((resolve, reject) => {
+        const check = () => {
+            const index = received.findIndex(match);
+            if (index < 0) return;
+            clearTimeout(timer);
+            waiters.splice(waiters.indexOf(check), 1);
+            resolve(received.splice(index, 1)[0]);
+        };
+        const timer = setTimeout(() => {
+            waiters.splice(waiters.indexOf(check), 1);
+            reject(new Error('No matching message'));
+        }, timeout);
+        waiters.push(check);
+        check();
+    });
+    socket.json = (message) => socket.send(JSON.stringify(message));
+    return socket;
+}
+
+/**
+ * Raw TCP client, to send frames a browser never would
+ */
+async function openRaw() {
+    const socket = connect(port, 'localhost');
+    await once(socket, 'connect');
+    socket.write([
+        'GET / HTTP/1.1',
+        `Host: localhost:${port}`,
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Key: ${randomBytes(16).toString('base64')}`,
+        'Sec-WebSocket-Version: 13',
+        '',
+        ''
+    ].join('\r\n'));
+
+    let buffer = Buffer.alloc(0);
+    const frames = [];
+    const waiters = [];
+    let upgraded = false;
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        if (!upgraded) {
+            const end = buffer.indexOf('\r\n\r\n');
+            if (end < 0) return;
+            assert.match(buffer.subarray(0, end).toString(), /^HTTP\/1\.1 101/);
+            buffer = buffer.subarray(end + 4);
+            upgraded = true;
+        }
+        let frame;
+        while ((frame = readFrame(buffer))) {
+            buffer = buffer.subarray(frame.size);
+            frames.push(frame);
+            [...waiters].forEach(waiter => waiter());
+        }
+    });
+
+    socket.nextFrame = (timeout = 5000) => new Promise((resolve, reject) => {
+        const check = () => {
+            if (frames.length === 0) return;
+            clearTimeout(timer);
+            waiters.splice(waiters.indexOf(check), 1);
+            resolve(frames.shift());
+        };
+        const timer = setTimeout(() => {
+            waiters.splice(waiters.indexOf(check), 1);
+            reject(new Error('No frame'));
+        }, timeout);
+        waiters.push(check);
+        check();
+    });
+    return socket;
+}
+
+/**
+ * Masked client frame
+ */
+function frame(opcode, payload, fin = true) {
+    const mask = randomBytes(4);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([opcode | (fin ? 0x80 : 0), 0x80 | payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 0x80 | 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 0x80 | 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = opcode | (fin ? 0x80 : 0);
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) masked[i] ^= mask[i % 4];
+    return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * Unmasked server frame from the front of buffer, or null if incomplete
+ */
+function readFrame(buffer) {
+    if (buffer.length < 2) return null;
+    assert.equal(buffer[1] & 0x80, 0, 'server frames are not masked');
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    let lengthBytes = 0;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+        lengthBytes = 2;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+        lengthBytes = 8;
+    }
+    if (buffer.length < offset + length) return null;
+    return {
+        opcode: buffer[0] & 0x0F,
+        payload: Buffer.from(buffer.subarray(offset, offset + length)),
+        lengthBytes,
+        size: offset + length
+    };
+}
+
+const text = (message) => Buffer.from(JSON.stringify(message));
+
+test('a bad --port value is refused, whatever flags come before it', async () => {
+    const child = spawn(process.execPath, [SERVER, '--echo', '--port', 'none'], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let errors = '';
+    child.stderr.on('data', (chunk) => { errors += chunk; });
+    const [code] = await once(child, 'exit');
+
+    assert.equal(code, 1);
+    assert.match(errors, /usage/);
+});
+
+test('the simulator publishes, takes targets and serves calls through the bridge', async () => {
+    const calls = [];
+    const client = new RosBridgeClient({
+        getArms: () => [{
+            id: 'arm-1',
+            name: 'Arm 1',
+            jointNames: ['base', 'shoulder'],
+            angles: { base: 0.5, shoulder: -0.25 },
+            tool: { position: { x: 1, y: 2, z: 3 }, quaternion: new THREE.Quaternion() },
+            gripper: { opening: 0.75 }
+        }],
+        setTarget: (armId, position) => calls.push(['target', armId, position]),
+        home: (armId) => {
+            calls.push(['home', armId]);
+            return { success: true, message: 'homing' };
+        },
+        stop: () => ({ success: true }),
+        runProgram: (armId, loop) => {
+            calls.push(['run', armId, loop]);
+            return { success: false, message: 'no program' };
+        }
+    });
+
+    await client.connect(`ws://localhost:${port}`);
+    const node = await openSocket();
+    try {
+        // The service answering proves the client's subscriptions are in place too
+        let reply;
+        for (let attempt = 0; attempt < 50 && !reply?.result; attempt++) {
+            node.json({ op: 'call_service', id: `home_${attempt}`, service: '/arm_1/home' });
+            reply = await node.next(message => message.op === 'service_response');
+        }
+        assert.equal(reply.result, true);
+        assert.deepEqual(reply.values, { success: true, message: 'homing' });
+        assert.match(reply.id, /^home_/);
+
+        node.json({ op: 'call_service', id: 'run', service: '/arm_1/run_program', args: { data: true } });
+        assert.deepEqual((await node.next(message => message.id === 'run')).values, { success: false, message: 'no program' });
+
+        node.json({ op: 'subscribe', topic: '/arm_1/joint_states' });
+        node.json({ op: 'publish', topic: '/arm_1/target', msg: { x: 4, y: 5, z: 6 } });
+
+        // Keep publishing until the subscription has landed
+        let states;
+        for (let attempt = 0; attempt < 50 && !states; attempt++) {
+            client.update(1);
+            states = await node.next(message => message.topic === '/arm_1/joint_states', 100).catch(() => null);
+        }
+        assert.deepEqual(states.msg.name, ['base', 'shoulder']);
+        assert.deepEqual(states.msg.position, [0.5, -0.25]);
+
+        server.stdin.write('home arm-1\n');
+        await waitForLine(/^\/arm_1\/home: \{"success":true,"message":"homing"\}/);
+
+        assert.deepEqual(calls.find(call => call[0] === 'target'), ['target', 'arm-1', { x: 4, y: 6, z: -5 }]);
+        assert.deepEqual(calls.find(call => call[0] === 'run'), ['run', 'arm-1', true]);
+        assert.equal(calls.filter(call => call[0] === 'home').length >= 2, true);
+    } finally {
+        node.close();
+        client.disconnect();
+    }
+});
+
+test('frames: masking, fragments, 16 and 64-bit lengths, ping and close', async () => {
+    const raw = await openRaw();
+    try {
+        // A subscribe split across a text frame and a continuation
+        const subscribe = text({ op: 'subscribe', topic: '/big' });
+        raw.write(frame(0x1, subscribe.subarray(0, 10), false));
+        raw.write(frame(0x0, subscribe.subarray(10)));
+
+        raw.write(frame(0x9, Buffer.from('still there?')));
+        const pong = await raw.nextFrame();
+        assert.equal(pong.opcode, 0xA);
+        assert.equal(pong.payload.toString(), 'still there?');
+
+        for (const size of [300, 70000]) {
+            const msg = { data: 'x'.repeat(size) };
+            raw.write(frame(0x1, text({ op: 'publish', topic: '/big', msg })));
+            const echoed = await raw.nextFrame();
+            assert.equal(echoed.opcode, 0x1);
+            assert.equal(echoed.lengthBytes, size < 65536 ? 2 : 8);
+            assert.deepEqual(JSON.parse(echoed.payload), { op: 'publish', topic: '/big', msg });
+        }
+
+        const code = Buffer.alloc(2);
+        code.writeUInt16BE(1000);
+        raw.write(frame(0x8, code));
+        const close = await raw.nextFrame();
+        assert.equal(close.opcode, 0x8);
+        assert.equal(close.payload.readUInt16BE(0), 1000);
+        await once(raw, 'end');
+    } finally {
+        raw.destroy();
+    }
+});
+
+test('calls to a provider that disconnects fail and its services go away', async () => {
+    const provider = await openSocket();
+    const caller = await openSocket();
+    try {
+        provider.json({ op: 'advertise_service', service: '/flaky', type: 'std_srvs/Trigger' });
+        await waitForLine(/^service \/flaky /);
+
+        caller.json({ op: 'call_service', id: 'pending', service: '/flaky' });
+        await provider.next(message => message.op === 'call_service');
+        provider.close();
+
+        const failed = await caller.next(message => message.id === 'pending');
+        assert.equal(failed.result, false);
+        assert.match(failed.values, /went away/);
+
+        caller.json({ op: 'call_service', id: 'after', service: '/flaky' });
+        const missing = await caller.next(message => message.id === 'after');
+        assert.equal(missing.result, false);
+        assert.match(missing.values, /not available/);
+    } finally {
+        caller.close();
+    }
+});
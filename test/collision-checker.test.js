@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RobotModel } from '../src/robot-model.js';
+import { IKSolver } from '../src/ik-solver.js';
+import { CollisionChecker } from '../src/collision-checker.js';
+
+/**
+ * A lone arm following targets through the same collision gate as the app's update loop
+ */
+function createArm() {
+    const model = new RobotModel();
+    const solver = new IKSolver(model);
+    const checker = new CollisionChecker(model);
+    return { model, solver, checker, pose: model.homeAngles() };
+}
+
+// One frame at 60 Hz, so joint rate limits apply as in the app
+const DT = 1 / 60;
+
+function step(arm, target) {
+    const solved = arm.solver.solve(target, { dt: DT });
+    const angles = Object.fromEntries(arm.model.jointNames.map(name => [name, solved[name]]));
+    const collision = arm.checker.check(angles);
+    const refused = collision.colliding && !CollisionChecker.allowsMove(arm.checker.check(arm.pose), collision);
+
+    if (refused) {
+        arm.solver.lastAngles = { ...arm.pose };
+        arm.solver.resetMotion(arm.pose);
+    } else {
+        arm.pose = angles;
+    }
+    return { refused, collision };
+}
+
+function sweep(arm, from, to, steps) {
+    const results = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        results.push(step(arm, {
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t,
+            z: from.z + (to.z - from.z) * t
+        }));
+    }
+    return results;
+}
+
+test('allowsMove refuses new contacts or lost clearance and accepts moves that back out', () => {
+    const contact = (link, other, gap) => ({ type: 'obstacle', link, other, gap });
+    const result = (...contacts) => ({ colliding: contacts.length > 0, contacts });
+
+    const clear = result();
+    const touching = result(contact('elbow', 'box', -0.5));
+    const deeper = result(contact('elbow', 'box', -0.8));
+    const shallower = result(contact('elbow', 'box', -0.2));
+    const more = result(contact('elbow', 'box', -0.2), contact('tool', 'floor', 0));
+    const traded = result(contact('elbow', 'box', -0.6), contact('tool', 'floor', 0.2));
+    const backing = result(contact('elbow', 'box', -0.62), contact('tool', 'floor', 0.3));
+
+    assert.equal(CollisionChecker.allowsMove(clear, clear), true);
+    assert.equal(CollisionChecker.allowsMove(clear, touching), false);
+    assert.equal(CollisionChecker.allowsMove(touching, clear), true);
+    assert.equal(CollisionChecker.allowsMove(touching, touching), false);
+    assert.equal(CollisionChecker.allowsMove(touching, shallower), true);
+    assert.equal(CollisionChecker.allowsMove(touching, deeper), false);
+    assert.equal(CollisionChecker.allowsMove(touching, more), false);
+    assert.equal(CollisionChecker.allowsMove(more, shallower), true);
+    assert.equal(CollisionChecker.allowsMove(more, traded), false);
+    assert.equal(CollisionChecker.allowsMove(traded, backing), true);
+    assert.equal(CollisionChecker.allowsMove(backing, traded), false);
+});
+
+test('an arm driven into an obstacle stops short and can be driven back out', () => {
+    const arm = createArm();
+    const start = { x: 6, y: 10, z: 10 };
+    const blocked = { x: 6, y: 10, z: -10 };
+    sweep(arm, start, start, 240);
+    assert.equal(arm.checker.check(arm.pose).colliding, false);
+
+    arm.checker.addObstacle({ name: 'box', position: { x: 6, y: 7, z: 0 }, size: { x: 4, y: 14, z: 2 } });
+
+    const forward = sweep(arm, start, blocked, 240);
+    assert.ok(forward.some(result => result.refused), 'the obstacle should refuse some poses');
+    assert.equal(arm.checker.check(arm.pose).colliding, false, 'the arm stays clear of the obstacle');
+    assert.ok(arm.model.forward(arm.pose).z > 0, 'the arm stops on the near side');
+
+    const back = sweep(arm, blocked, start, 240);
+    assert.ok(back.some(result => !result.refused), 'the arm moves again once the target backs off');
+    const tip = arm.model.forward(arm.pose);
+    assert.ok(Math.hypot(tip.x - start.x, tip.y - start.y, tip.z - start.z) < 0.1, 'the arm returns to the start');
+});
+
+test('an arm an obstacle is dropped on can be driven out but not further in', () => {
+    const arm = createArm();
+    const start = { x: 6, y: 10, z: 0 };
+    sweep(arm, start, start, 240);
+
+    arm.checker.addObstacle({ name: 'box', position: { x: 6, y: 7, z: 0 }, size: { x: 4, y: 14, z: 2 } });
+    const held = arm.checker.check(arm.pose);
+    assert.equal(held.colliding, true);
+
+    const deeper = step(arm, { x: 6, y: 6, z: 0 });
+    assert.equal(deeper.refused, true);
+
+    const out = sweep(arm, start, { x: 6, y: 10, z: 10 }, 240);
+    assert.equal(out[out.length - 1].refused, false);
+    assert.equal(arm.checker.check(arm.pose).colliding, false, 'the arm ends up clear');
+});
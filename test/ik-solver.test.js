@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IKSolver, ToolOrientations } from '../src/ik-solver.js';
+
+function solveFromHome(target) {
+    const solver = new IKSolver();
+    return { solver, result: solver.solve(target, { seed: solver.model.homeAngles() }) };
+}
+
+test('a target beyond the workspace is out of reach, not held by a joint limit', () => {
+    for (const target of [{ x: 0, y: 30, z: 0 }, { x: 0, y: 60, z: 0 }, { x: 40, y: 4, z: 0 }]) {
+        const { result } = solveFromHome(target);
+        assert.equal(result.isAtLimit, true);
+        assert.equal(result.outOfReach, true);
+        assert.deepEqual(result.clamped, [], `clamped for ${JSON.stringify(target)}`);
+    }
+});
+
+test('a target beside the shoulder is held by the elbow fold limit', () => {
+    const { solver, result } = solveFromHome({ x: 0, y: 4, z: 1 });
+    const elbow = solver.model.joints.find(joint => joint.name === 'elbow');
+
+    assert.equal(result.isAtLimit, true);
+    assert.equal(result.outOfReach, false);
+    assert.deepEqual(result.clamped, ['elbow']);
+    assert.ok(Math.abs(result.elbow - elbow.limits.max) < 1e-6);
+});
+
+test('a reachable target reports no limits', () => {
+    const { result } = solveFromHome({ x: 8, y: 6, z: 8 });
+
+    assert.equal(result.isAtLimit, false);
+    assert.equal(result.outOfReach, false);
+    assert.deepEqual(result.clamped, []);
+});
+
+test('the wrist points the tool straight down at a reachable target', () => {
+    const target = { x: 8, y: 6, z: 8 };
+    const { solver, result } = solveFromHome({ ...target, orientation: ToolOrientations.TOP_DOWN });
+    const tip = solver.model.forward(result);
+
+    assert.ok(result.orientationError < 0.01, `orientation error ${result.orientationError}`);
+    assert.ok(Math.hypot(tip.x - target.x, tip.y - target.y, tip.z - target.z) < 0.05);
+});
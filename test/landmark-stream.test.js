@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LandmarkRecorder, LandmarkPlayer } from '../src/landmark-stream.js';
+import { LandmarkFilter } from '../src/landmark-filter.js';
+
+/**
+ * A fingertip wobbling across the frame, one landmark per frame at 30 fps
+ */
+function wobbleStream(count = 30) {
+    const frames = Array.from({ length: count }, (_, i) => ({
+        t: i / 30,
+        multiHandLandmarks: [[{ x: 0.5 + 0.1 * Math.sin(i), y: 0.5 + 0.05 * Math.cos(3 * i), z: 0 }]]
+    }));
+    const header = { format: 'hand-landmarks', version: 1, camera: 'test', frames: count };
+    return LandmarkRecorder.parse([header, ...frames].map(line => JSON.stringify(line)).join('\n'));
+}
+
+test('step delivers each frame with its recorded time without starting playback', () => {
+    const stream = wobbleStream(5);
+    const times = [];
+    const player = new LandmarkPlayer(results => times.push(results.time));
+    player.load(stream);
+
+    while (player.step());
+
+    assert.equal(player.isActive, false);
+    assert.deepEqual(times, stream.frames.map(frame => frame.t));
+});
+
+test('stepping a stream through the filter gives the same output every run', () => {
+    const run = () => {
+        const filter = new LandmarkFilter();
+        const output = [];
+        const player = new LandmarkPlayer(results => {
+            output.push(filter.filter({ ...results.multiHandLandmarks[0][0] }, results.time));
+        });
+        player.load(wobbleStream());
+        while (player.step());
+        return output;
+    };
+
+    assert.deepEqual(run(), run());
+});
+
+test('looping playback keeps time running forwards', async () => {
+    const stream = wobbleStream(3);
+    const times = [];
+    const player = new LandmarkPlayer(results => times.push(results.time), { loop: true, speed: 20 });
+    player.load(stream);
+
+    await player.start();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await player.stop();
+
+    assert.ok(times.length > stream.frames.length, `only ${times.length} frames played`);
+    times.slice(1).forEach((time, i) => assert.ok(time > times[i], `time went from ${times[i]} to ${time}`));
+    assert.ok(Math.abs(times[3] - 0.1) < 1e-9, 'the second loop starts one frame after the first ends');
+});
+
+test('looping a single frame repeats it at a frame rate instead of spinning', async () => {
+    const stream = wobbleStream(1);
+    const times = [];
+    const player = new LandmarkPlayer(results => times.push(results.time), { loop: true });
+    player.load(stream);
+
+    await player.start();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await player.stop();
+
+    assert.ok(times.length > 1 && times.length <= 8, `${times.length} frames in 0.2 s`);
+    times.slice(1).forEach((time, i) => assert.ok(Math.abs(time - times[i] - 1 / 30) < 1e-9));
+});
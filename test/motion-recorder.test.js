@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RobotModel, DEFAULT_ROBOT } from '../src/robot-model.js';
+import { MotionRecorder } from '../src/motion-recorder.js';
+
+function record(model) {
+    const recorder = new MotionRecorder();
+    recorder.start(model);
+    const angles = model.homeAngles();
+    recorder.capture({ target: model.forward(angles), angles, gripper: { closed: false, opening: 1 } });
+    return MotionRecorder.fromJSON(JSON.parse(JSON.stringify(recorder.stop())));
+}
+
+test('a recording matches the robot it was made on', () => {
+    const model = new RobotModel();
+
+    assert.equal(MotionRecorder.findJointMismatch(record(model), model.jointNames), null);
+});
+
+test('a recording made on other joints names them', () => {
+    const threeJoint = new RobotModel({ ...DEFAULT_ROBOT, name: 'Three joint', joints: DEFAULT_ROBOT.joints.slice(0, 3) });
+    const model = new RobotModel();
+
+    assert.match(MotionRecorder.findJointMismatch(record(threeJoint), model.jointNames),
+        /no angles for wristPitch, wristRoll; it was made on "Three joint"/);
+    assert.match(MotionRecorder.findJointMismatch(record(model), threeJoint.jointNames),
+        /angles for unknown joints wristPitch, wristRoll/);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RobotModel } from '../src/robot-model.js';
+import { IKSolver } from '../src/ik-solver.js';
+
+test('turning the base swings the tip around the vertical axis', () => {
+    const model = new RobotModel();
+    const home = model.homeAngles();
+    const tip = model.forward(home);
+    const turned = model.forward({ ...home, base: home.base + 1 });
+
+    assert.ok(Math.abs(turned.y - tip.y) < 1e-9);
+    assert.ok(Math.abs(Math.hypot(turned.x, turned.z) - Math.hypot(tip.x, tip.z)) < 1e-9);
+    assert.ok(Math.hypot(turned.x - tip.x, turned.z - tip.z) > 1);
+});
+
+test('the solver reaches a tip position the model computed', () => {
+    const model = new RobotModel();
+    const home = model.homeAngles();
+    const goal = model.forward({ ...home, base: 0.4, shoulder: home.shoulder - 0.2 });
+    const angles = new IKSolver(model).solve(goal, { seed: home });
+
+    const tip = model.forward(angles);
+    assert.ok(Math.hypot(tip.x - goal.x, tip.y - goal.y, tip.z - goal.z) < 0.05);
+});
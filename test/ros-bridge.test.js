@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { RemoteHold } from '../src/ros-bridge.js';
+
+/**
+ * An arm driven the way main applies source targets: only when the hold accepts them
+ */
+function drivenArm(hold) {
+    const arm = { target: new THREE.Vector3(1, 2, 3) };
+    arm.emit = (source, position) => {
+        if (hold.accepts(arm, source)) arm.target.copy(position);
+    };
+    return arm;
+}
+
+const hand = { id: 'hand', interruptsPrograms: false };
+const mouse = { id: 'mouse', interruptsPrograms: true };
+
+test('a stopped arm stays stopped while its source keeps emitting', () => {
+    const hold = new RemoteHold();
+    const arm = drivenArm(hold);
+
+    hold.hold(arm);
+    const stopped = arm.target.clone();
+    for (let i = 0; i < 10; i++) arm.emit(hand, new THREE.Vector3(i, i, i));
+
+    assert.deepEqual(arm.target, stopped);
+    assert.equal(hold.isHeld(arm), true);
+});
+
+test('an explicit command takes the arm back from the hold', () => {
+    const hold = new RemoteHold();
+    const arm = drivenArm(hold);
+    const other = drivenArm(hold);
+
+    hold.hold(arm);
+    arm.emit(mouse, new THREE.Vector3(4, 5, 6));
+    arm.emit(hand, new THREE.Vector3(7, 8, 9));
+    other.emit(hand, new THREE.Vector3(1, 1, 1));
+
+    assert.equal(hold.isHeld(arm), false);
+    assert.deepEqual(arm.target.toArray(), [7, 8, 9]);
+    assert.deepEqual(other.target.toArray(), [1, 1, 1]);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RobotModel } from '../src/robot-model.js';
+import { SerialServoOutput, DEFAULT_SERVO_CONFIG } from '../src/servo-output.js';
+
+test('every joint of the built-in arm has its own default channel', () => {
+    const model = new RobotModel();
+    const joints = DEFAULT_SERVO_CONFIG.joints;
+
+    assert.deepEqual(Object.keys(joints).sort(), [...model.jointNames].sort());
+    assert.equal(new Set(Object.values(joints).map(joint => joint.channel)).size, model.jointNames.length);
+});
+
+test('default calibration covers each joint range without saturating', () => {
+    const model = new RobotModel();
+    const joints = DEFAULT_SERVO_CONFIG.joints;
+
+    model.joints.forEach(({ name, limits }) => {
+        const { minPulse, maxPulse } = joints[name];
+        const pulses = Array.from({ length: 21 }, (_, i) => {
+            const angle = limits.min + (limits.max - limits.min) * i / 20;
+            return SerialServoOutput.toPulses({ [name]: angle }, { [name]: joints[name] })[0].pulse;
+        });
+
+        pulses.slice(1).forEach((pulse, i) => assert.ok(pulse > pulses[i], `${name} saturates`));
+        assert.ok(pulses[0] >= minPulse && pulses[20] <= maxPulse, `${name} leaves the pulse range`);
+        assert.ok(pulses[20] - pulses[0] > (maxPulse - minPulse) * 0.9, `${name} uses little of the pulse range`);
+    });
+});
+
+test('the elbow servo is centred in the middle of its range', () => {
+    const { elbow } = DEFAULT_SERVO_CONFIG.joints;
+    const middle = (elbow.minPulse + elbow.maxPulse) / 2;
+    const [{ pulse }] = SerialServoOutput.toPulses({ elbow: 80 * Math.PI / 180 }, { elbow });
+
+    assert.equal(pulse, middle);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RobotModel, DEFAULT_ROBOT } from '../src/robot-model.js';
+import { IKSolver } from '../src/ik-solver.js';
+import { TrajectoryPlanner } from '../src/trajectory-planner.js';
+import { TeachPendant, ProgramRunner } from '../src/teach-pendant.js';
+
+/**
+ * The built-in arm without its wrist joints, as if swapped in from a URDF
+ */
+function threeJointModel() {
+    return new RobotModel({ ...DEFAULT_ROBOT, joints: DEFAULT_ROBOT.joints.slice(0, 3) });
+}
+
+function teach(model) {
+    const pendant = new TeachPendant();
+    const home = model.homeAngles();
+    pendant.addWaypoint('home', { target: model.forward(home), angles: home });
+    pendant.addStep('home');
+    return pendant;
+}
+
+test('a program taught on the arm runs on it', () => {
+    const model = new RobotModel();
+    const pendant = teach(model);
+    const runner = new ProgramRunner(pendant, new TrajectoryPlanner(new IKSolver(model)));
+
+    assert.equal(pendant.findJointMismatch(model.jointNames), null);
+    assert.equal(runner.start(model.homeAngles()), true);
+    assert.ok(Object.values(runner.update(0.1).angles).every(Number.isFinite));
+});
+
+test('running waypoints taught on other joints is refused with a message', () => {
+    const pendant = teach(new RobotModel());
+    const model = threeJointModel();
+    const runner = new ProgramRunner(pendant, new TrajectoryPlanner(new IKSolver(model)));
+    const errors = [];
+    runner.onError = message => errors.push(message);
+
+    assert.equal(runner.start(model.homeAngles()), false);
+    assert.equal(runner.isRunning, false);
+    assert.equal(runner.update(0.1), null);
+    assert.match(runner.lastError, /"home" has angles for unknown joints wristPitch, wristRoll/);
+    assert.deepEqual(errors, [runner.lastError]);
+});
+
+test('importing a program for other joints is refused and keeps the current one', () => {
+    const model = new RobotModel();
+    const pendant = teach(model);
+    const other = teach(threeJointModel()).toJSON('three joints');
+
+    assert.throws(() => pendant.load(other, model.jointNames), /"home" has no angle for wristPitch, wristRoll/);
+    assert.deepEqual(Object.keys(pendant.getWaypoint('home').angles), model.jointNames);
+
+    pendant.load(JSON.parse(JSON.stringify(pendant.toJSON())), model.jointNames);
+    assert.equal(pendant.steps.length, 1);
+});
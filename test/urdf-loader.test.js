@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UrdfLoader } from '../src/urdf-loader.js';
+import { RobotModel } from '../src/robot-model.js';
+
+/**
+ * Just enough of DOMParser for UrdfLoader.parse: elements, attributes and children
+ */
+class XmlParser {
+    parseFromString(text) {
+        const root = { children: [] };
+        const stack = [root];
+        const tags = /<(\/?)([\w:-]+)((?:\s+[\w:-]+\s*=\s*"[^"]*")*)\s*(\/?)>/g;
+
+        for (const [, closing, tagName, attributeText, selfClosing] of text.replace(/<\?[^>]*\?>|<!--[\s\S]*?-->/g, '').matchAll(tags)) {
+            if (closing) {
+                stack.pop();
+                continue;
+            }
+            const attributes = new Map([...attributeText.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)].map(([, name, value]) => [name, value]));
+            const element = { tagName, children: [], getAttribute: name => attributes.get(name) ?? null };
+            stack[stack.length - 1].children.push(element);
+            if (!selfClosing) stack.push(element);
+        }
+
+        return { documentElement: root.children[0], getElementsByTagName: () => [] };
+    }
+}
+globalThis.DOMParser = XmlParser;
+
+/**
+ * An upright 4-joint arm that ends in a pitch joint: base yaw, then three pitches,
+ * with a tool link above the last one
+ */
+function pitchArm(toolOrigin) {
+    const link = name => `<link name="${name}"/>`;
+    const joint = (name, parent, child, z, axis) => `
+        <joint name="${name}" type="revolute">
+            <parent link="${parent}"/><child link="${child}"/>
+            <origin xyz="0 0 ${z}"/><axis xyz="${axis}"/>
+            <limit lower="-1.5" upper="1.5" velocity="2"/>
+        </joint>`;
+
+    return `<?xml version="1.0"?>
+        <robot name="pitch_arm">
+            ${['base', 'turret', 'upper', 'fore', 'hand', 'tool'].map(link).join('')}
+            ${joint('yaw', 'base', 'turret', 0.1, '0 0 1')}
+            ${joint('shoulder', 'turret', 'upper', 0.05, '0 1 0')}
+            ${joint('elbow', 'upper', 'fore', 0.3, '0 1 0')}
+            ${joint('wrist', 'fore', 'hand', 0.25, '0 1 0')}
+            <joint name="mount" type="fixed">
+                <parent link="hand"/><child link="tool"/>
+                <origin ${toolOrigin}/>
+            </joint>
+        </robot>`;
+}
+
+function homeTip(urdf) {
+    const { definition } = UrdfLoader.toDefinition(UrdfLoader.parse(urdf));
+    const model = new RobotModel(definition);
+    return { model, tip: model.forward(model.homeAngles()) };
+}
+
+test('a pitch-terminated arm approaches along the tool link, not the pitch axis', () => {
+    const { tip } = homeTip(pitchArm('xyz="0 0 0.1"'));
+
+    // The home pose stands straight up, so the tool tip stays on the base axis
+    assert.ok(Math.abs(tip.x) < 1e-6, `tip x ${tip.x}`);
+    assert.ok(Math.abs(tip.z) < 1e-6, `tip z ${tip.z}`);
+    assert.ok(tip.y > 0);
+});
+
+test('a tool link whose +Z points across its offset approaches along the offset', () => {
+    const upright = homeTip(pitchArm('xyz="0 0 0.1"'));
+    const { tip } = homeTip(pitchArm('xyz="0 0 0.1" rpy="0 1.5708 0"'));
+
+    assert.ok(Math.abs(tip.x) < 1e-6, `tip x ${tip.x}`);
+    assert.ok(Math.abs(tip.z) < 1e-6, `tip z ${tip.z}`);
+    assert.ok(Math.abs(tip.y - upright.tip.y) < 1e-6);
+});
+
+test('a tool link with +Z along its offset keeps the usual flange convention', () => {
+    const { model } = homeTip(pitchArm('xyz="0 0 0.1" rpy="0 0 0.7"'));
+    const frames = model.computeFrames(model.homeAngles());
+    const last = frames.joints[frames.joints.length - 1];
+    const approach = frames.tip.clone().sub(model.flangeOffset.clone().applyMatrix4(last.matrix)).normalize();
+
+    assert.ok(approach.y > 0.999, `approach ${approach.toArray()}`);
+});
@@ -0,0 +1,334 @@
+/**
+ * Local stand-in for a rosbridge server, for development and tests without ROS.
+ * Relays the rosbridge v2 operations the simulator uses between every connected
+ * client: topic publish/subscribe and client-provided services. Lines typed on stdin
+ * are sent to the simulator as commands.
+ *
+ *   node tools/bridge-server.js [--port 9090] [--echo]
+ *
+ * --port 0 picks a free port; the listening line reports which.
+ *
+ * Commands: target <arm> <x> <y> <z> · home <arm> · stop <arm> · run <arm> [loop]
+ *           echo <topic> · topics · quit
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { createInterface } from 'node:readline';
+
+const args = process.argv.slice(2);
+const portIndex = args.indexOf('--port');
+const PORT = portIndex >= 0 ? Number(args[portIndex + 1]) : 9090;
+if (!Number.isInteger(PORT) || PORT < 0 || PORT > 65535) {
+  console.error('usage: node tools/bridge-server.js [--port 9090] [--echo]');
+  process.exit(1);
+}
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const Opcodes = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+/**
+ * Just enough of RFC 6455 for JSON text messages: unfragmented or fragmented text
+ * frames in, unmasked text frames out
+ */
+class Connection {
+  constructor(socket, head, onMessage, onClose) {
+    this.socket = socket;
+    this.buffer = Buffer.from(head);
+    this.fragments = [];
+    this.closed = false;
+
+    socket.on('data', (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.readFrames(onMessage);
+    });
+    socket.on('close', () => {
+      this.closed = true;
+      onClose();
+    });
+    socket.on('error', () => socket.destroy());
+
+    // Frames sent right behind the handshake arrive with the upgrade request
+    if (this.buffer.length > 0) queueMicrotask(() => this.readFrames(onMessage));
+  }
+
+  readFrames(onMessage) {
+    while (this.buffer.length >= 2) {
+      const fin = (this.buffer[0] & 0x80) !== 0;
+      const opcode = this.buffer[0] & 0x0F;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7F;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (this.buffer.length < offset + length) return;
+
+      const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= this.buffer[maskOffset + (i % 4)];
+      }
+      this.buffer = this.buffer.subarray(offset + length);
+
+      if (opcode === Opcodes.CLOSE) {
+        this.write(Opcodes.CLOSE, payload.subarray(0, 2));
+        this.socket.end();
+        return;
+      }
+      if (opcode === Opcodes.PING) {
+        this.write(Opcodes.PONG, payload);
+        continue;
+      }
+      if (opcode !== Opcodes.TEXT && opcode !== Opcodes.CONTINUATION) continue;
+
+      this.fragments.push(payload);
+      if (fin) {
+        const text = Buffer.concat(this.fragments).toString('utf8');
+        this.fragments = [];
+        onMessage(text);
+      }
+    }
+  }
+
+  write(opcode, payload) {
+    if (this.closed) return;
+
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  send(message) {
+    this.write(Opcodes.TEXT, Buffer.from(JSON.stringify(message), 'utf8'));
+  }
+}
+
+/**
+ * Topic and service bookkeeping shared by every client. The console counts as a
+ * client too, so its commands travel the same way a ROS node's would.
+ */
+class Bridge {
+  constructor() {
+    this.subscribers = new Map();
+    this.advertised = new Map();
+    this.services = new Map();
+    this.pending = new Map();
+    this.nextCallId = 1;
+    this.echo = new Set(args.includes('--echo') ? ['*'] : []);
+  }
+
+  handle(client, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      console.warn('Ignoring malformed message');
+      return;
+    }
+
+    switch (message.op) {
+      case 'advertise':
+        this.advertised.set(message.topic, message.type);
+        break;
+      case 'unadvertise':
+        this.advertised.delete(message.topic);
+        break;
+      case 'subscribe':
+        if (!this.subscribers.has(message.topic)) this.subscribers.set(message.topic, new Set());
+        this.subscribers.get(message.topic).add(client);
+        break;
+      case 'unsubscribe':
+        this.subscribers.get(message.topic)?.delete(client);
+        break;
+      case 'publish':
+        this.publish(message.topic, message.msg);
+        break;
+      case 'advertise_service':
+        this.services.set(message.service, client);
+        console.log(`service ${message.service} (${message.type})`);
+        break;
+      case 'unadvertise_service':
+        if (this.services.get(message.service) === client) this.services.delete(message.service);
+        break;
+      case 'call_service':
+        this.callService(client, message);
+        break;
+      case 'service_response':
+        this.respond(message);
+        break;
+      default:
+        console.warn(`Unsupported op ${message.op}`);
+    }
+  }
+
+  publish(topic, msg) {
+    if (this.echo.has('*') || this.echo.has(topic)) console.log(topic, JSON.stringify(msg));
+    this.subscribers.get(topic)?.forEach(client => client.send({ op: 'publish', topic, msg }));
+  }
+
+  callService(caller, { id, service, args: request }) {
+    const provider = this.services.get(service);
+    if (!provider) {
+      caller.send({ op: 'service_response', id, service, result: false, values: `Service ${service} not available` });
+      return;
+    }
+
+    // Providers see the bridge's own call ids, so callers can't collide
+    const callId = `call_${this.nextCallId++}`;
+    this.pending.set(callId, { caller, provider, id, service });
+    provider.send({ op: 'call_service', id: callId, service, args: request || {} });
+  }
+
+  respond(message) {
+    const call = this.pending.get(message.id);
+    if (!call) return;
+
+    this.pending.delete(message.id);
+    call.caller.send({ ...message, id: call.id });
+  }
+
+  drop(client) {
+    this.subscribers.forEach(clients => clients.delete(client));
+    this.services.forEach((provider, service) => {
+      if (provider === client) this.services.delete(service);
+    });
+    this.pending.forEach((call, callId) => {
+      if (call.caller !== client && call.provider !== client) return;
+
+      // A provider that leaves mid-call will never answer, so fail the call for it
+      this.pending.delete(callId);
+      if (call.caller !== client) {
+        call.caller.send({ op: 'service_response', id: call.id, service: call.service, result: false, values: `Service ${call.service} went away` });
+      }
+    });
+  }
+}
+
+const bridge = new Bridge();
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('WebSocket bridge\n');
+});
+
+server.on('upgrade', (req, socket, head) => {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  const address = `${req.socket.remoteAddress}:${req.socket.remotePort}`;
+  console.log(`client connected ${address}`);
+
+  const client = new Connection(
+    socket,
+    head,
+    (text) => bridge.handle(client, text),
+    () => {
+      bridge.drop(client);
+      console.log(`client left ${address}`);
+    }
+  );
+});
+
+// The console acts as one more client, printing service replies
+const operator = {
+  send(message) {
+    if (message.op === 'service_response') {
+      console.log(`${message.service}:`, JSON.stringify(message.values));
+    }
+  }
+};
+
+const namespace = (arm) => `/${arm.replace(/[^A-Za-z0-9_]/g, '_')}`;
+
+function runCommand(line) {
+  const [command, arm, ...rest] = line.trim().split(/\s+/);
+  if (!command) return;
+
+  switch (command) {
+    case 'target': {
+      const [x, y, z] = rest.map(Number);
+      if (!arm || ![x, y, z].every(Number.isFinite)) {
+        console.log('usage: target <arm> <x> <y> <z>');
+        return;
+      }
+      bridge.publish(`${namespace(arm)}/target`, { x, y, z });
+      return;
+    }
+    case 'home':
+    case 'stop':
+    case 'run':
+      if (!arm) {
+        console.log(`usage: ${command} <arm>${command === 'run' ? ' [loop]' : ''}`);
+        return;
+      }
+      bridge.callService(operator, {
+        id: `operator_${Date.now()}`,
+        service: `${namespace(arm)}/${command === 'run' ? 'run_program' : command}`,
+        args: command === 'run' ? { data: rest[0] === 'loop' } : {}
+      });
+      return;
+    case 'echo':
+      if (bridge.echo.has(arm)) {
+        bridge.echo.delete(arm);
+      } else if (arm) {
+        bridge.echo.add(arm);
+      }
+      return;
+    case 'topics':
+      bridge.advertised.forEach((type, topic) => console.log(`${topic} (${type})`));
+      bridge.services.forEach((provider, service) => console.log(`${service} [service]`));
+      return;
+    case 'quit':
+      process.exit(0);
+      return;
+    default:
+      console.log('commands: target <arm> <x> <y> <z> · home <arm> · stop <arm> · run <arm> [loop] · echo <topic> · topics · quit');
+  }
+}
+
+server.listen(PORT, () => {
+  console.log(`Bridge listening on ws://localhost:${server.address().port}`);
+  createInterface({ input: process.stdin }).on('line', runCommand);
+});
@@ -0,0 +1,71 @@
+import { defineConfig } from 'vite';
+import { createReadStream, readFileSync, readdirSync, existsSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+
+const require = createRequire(import.meta.url);
+const handsDir = dirname(require.resolve('@mediapipe/hands/package.json'));
+const handsVersion = JSON.parse(readFileSync(join(handsDir, 'package.json'), 'utf8')).version;
+
+// Where the assets land in the build output, relative to the base path
+const ASSET_DIR = 'mediapipe/hands';
+
+// Files MediaPipe fetches at runtime through locateFile (wasm, loaders, model data)
+const RUNTIME_ASSET = /\.(wasm|data|tflite|binarypb)$|_(bin|loader)\.js$/;
+
+const CONTENT_TYPES = {
+  '.wasm': 'application/wasm',
+  '.js': 'text/javascript'
+};
+
+/**
+ * Serve the MediaPipe Hands runtime from the app itself: copied into the build
+ * output, and served straight from node_modules by the dev server
+ */
+function mediapipeAssets() {
+  const files = readdirSync(handsDir).filter(file => RUNTIME_ASSET.test(file));
+  let base = '/';
+
+  return {
+    name: 'mediapipe-assets',
+
+    configResolved(config) {
+      base = config.base;
+    },
+
+    configureServer(server) {
+      const prefix = `${base}${ASSET_DIR}/`;
+
+      server.middlewares.use((req, res, next) => {
+        const path = req.url?.split('?')[0];
+        if (!path?.startsWith(prefix)) return next();
+
+        const file = path.slice(prefix.length);
+        if (!files.includes(file) || !existsSync(join(handsDir, file))) return next();
+
+        const extension = file.slice(file.lastIndexOf('.'));
+        res.setHeader('Content-Type', CONTENT_TYPES[extension] || 'application/octet-stream');
+        createReadStream(join(handsDir, file)).pipe(res);
+      });
+    },
+
+    generateBundle() {
+      files.forEach(file => {
+        this.emitFile({
+          type: 'asset',
+          fileName: `${ASSET_DIR}/${file}`,
+          source: readFileSync(join(handsDir, file))
+        });
+      });
+    }
+  };
+}
+
+export default defineConfig({
+  // Set BASE_PATH when the app is served from a sub-directory
+  base: process.env.BASE_PATH || '/',
+  plugins: [mediapipeAssets()],
+  define: {
+    __MEDIAPIPE_HANDS_VERSION__: JSON.stringify(handsVersion)
+  }
+});